@@ -9,12 +9,14 @@ import './source/css/theme.css';
  * A React wrapper component for the GraphLibrary.
  * It manages the graph lifecycle and state within a React application.
  * This component is forwardRef-enabled to expose the saveSvg functionality.
+ * With the `useWorker` prop, layouts are computed in a Web Worker (see `GraphLibrary.render`).
  */
 const GraphComponent = forwardRef(({
   nodes,
   edges,
   clusters,
   options,
+  useWorker,
   onNodeClick,
   onEdgeClick,
   onNodeArgumentClick
@@ -24,13 +26,17 @@ const GraphComponent = forwardRef(({
   const graphInstanceRef = useRef(null);
 
   // Expose the saveSvg method to parent components via the ref.
+  // GraphLibrary.saveSvg throws while the graph has not been rendered, the error is logged instead.
   useImperativeHandle(ref, () => ({
     saveSvg: (filename = 'graph.svg') => {
-      if (graphInstanceRef.current) {
-        graphInstanceRef.current.saveSvg(filename);
-        console.log(`Saved SVG as ${filename}`);
-      } else {
+      if (!graphInstanceRef.current) {
         console.error('Cannot save SVG: Graph instance is not available.');
+        return;
+      }
+      try {
+        graphInstanceRef.current.saveSvg(filename);
+      } catch (error) {
+        console.error('Cannot save SVG:', error.message);
       }
     }
   }));
@@ -82,21 +88,26 @@ const GraphComponent = forwardRef(({
       });
     }
 
-    // Render the graph
-    graph.render().then(() => {
+    // Render the graph. The render is aborted if the props change before it completes.
+    const controller = new AbortController();
+    graph.render({ useWorker: Boolean(useWorker), signal: controller.signal }).then(() => {
       console.log('Graph rendered successfully with layout:', options?.direction || 'TB');
     }).catch(error => {
-      console.error('Failed to render graph:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Failed to render graph:', error);
+      }
     });
 
     // Cleanup function to run when the component unmounts or re-renders
     return () => {
+      controller.abort();
+      graph.destroy();
       if (containerRef.current) {
         containerRef.current.innerHTML = '';
       }
       graphInstanceRef.current = null;
     };
-  }, [nodes, edges, clusters, options, onNodeClick, onEdgeClick, onNodeArgumentClick]); // Re-run effect if any of these props change
+  }, [nodes, edges, clusters, options, useWorker, onNodeClick, onEdgeClick, onNodeArgumentClick]); // Re-run effect if any of these props change
 
   return (
     <div
@@ -4,26 +4,44 @@ import babel from '@rollup/plugin-babel';
 import css from 'rollup-plugin-css-only';
 import { terser } from 'rollup-plugin-terser';
 
-export default {
-  input: 'react-graph-js/Graph.jsx',
-  output: [
-    {
-      file: 'dist/index.js',
-      format: 'cjs',
-      sourcemap: true,
-    },
-    {
-      file: 'dist/index.esm.js',
+export default [
+  {
+    input: 'react-graph-js/Graph.jsx',
+    // grapher.js loads the layout engines with import(), they are bundled rather than split into chunks
+    output: [
+      {
+        file: 'dist/index.cjs',
+        format: 'cjs',
+        sourcemap: true,
+        inlineDynamicImports: true,
+      },
+      {
+        file: 'dist/index.esm.js',
+        format: 'esm',
+        sourcemap: true,
+        inlineDynamicImports: true,
+      },
+    ],
+    plugins: [
+      resolve(),
+      commonjs(),
+      babel({ babelHelpers: 'bundled', presets: ['@babel/preset-react'] }),
+      css({ output: 'dist/styles.css' }),
+      terser(),
+    ],
+    external: ['react'],
+  },
+  {
+    // The layout worker is loaded by LayoutWorker from './worker.js', next to the bundles
+    input: 'src/worker.js',
+    output: {
+      file: 'dist/worker.js',
       format: 'esm',
       sourcemap: true,
     },
-  ],
-  plugins: [
-    resolve(),
-    commonjs(),
-    babel({ babelHelpers: 'bundled', presets: ['@babel/preset-react'] }),
-    css({ output: 'dist/styles.css' }),
-    terser(),
-  ],
-  external: ['react'],
-};
\ No newline at end of file
+    plugins: [
+      resolve(),
+      terser(),
+    ],
+  },
+];
@@ -1,3 +1,4 @@
+import { intersectRect } from './geometry.js';
 
 const dagre = {};
 
@@ -50,7 +51,7 @@ dagre.layout = (nodes, edges, layout, state) => {
             }
         }
         for (const e of g.edges.values()) {
-            graph.setEdge(e.v, e.w, e.label);
+            graph.setEdge(e.v, e.w, e.label, e.name);
         }
         return graph;
     };
@@ -86,12 +87,12 @@ dagre.layout = (nodes, edges, layout, state) => {
     // We also add some minimal padding to the width to push the label for the edge away from the edge itself a bit.
     const makeSpaceForEdgeLabels = (g, state, layout) => {
         layout.ranksep /= 2;
-        const rankdir = layout.rankdir;
+        const rankdir = layout.rankdir.toLowerCase();
         for (const e of g.edges.values()) {
             const edge = e.label;
             edge.minlen *= 2;
             if (edge.labelpos.toLowerCase() !== 'c') {
-                if (rankdir === 'TB' || rankdir === 'BT') {
+                if (rankdir === 'tb' || rankdir === 'bt') {
                     edge.width += edge.labeloffset;
                 } else {
                     edge.height += edge.labeloffset;
@@ -113,6 +114,124 @@ dagre.layout = (nodes, edges, layout, state) => {
         }
     };
 
+    // Groups the nodes of the rank constraints. The nodes of a 'same' group share a rank, and those of a 'min'
+    // or 'max' group are ranked at or above, or at or below, the other nodes of their scope: the innermost
+    // cluster containing all of them, or the whole graph. Nodes missing from the graph and clusters are skipped.
+    // Edges within a group are removed until the nodes are positioned, and edges going against the
+    // constraints are reversed, so the groups do not become part of a cycle.
+    const rankConstraints_run = (g, state, layout) => {
+        state.rankGroups = [];
+        state.flatEdges = [];
+        const groupOf = new Map();
+        for (const constraint of layout.rankConstraints || []) {
+            const members = constraint.nodes.filter((v) => g.hasNode(v) && !g.hasChildren(v) && !groupOf.has(v));
+            if (members.length === 0 || (constraint.type === 'same' && members.length === 1)) {
+                continue;
+            }
+            let scope = null;
+            for (const v of members) {
+                const ancestors = [];
+                for (let parent = g.parent(v); parent; parent = g.parent(parent)) {
+                    ancestors.unshift(parent);
+                }
+                if (scope) {
+                    let i = 0;
+                    while (i < scope.length && i < ancestors.length && scope[i] === ancestors[i]) {
+                        i++;
+                    }
+                    scope = scope.slice(0, i);
+                } else {
+                    scope = ancestors;
+                }
+            }
+            const group = { type: constraint.type, members, rep: members[0], scope: scope.length > 0 ? scope[scope.length - 1] : null };
+            for (const v of members) {
+                groupOf.set(v, group);
+            }
+            state.rankGroups.push(group);
+        }
+        if (state.rankGroups.length === 0) {
+            return;
+        }
+        const rep = (v) => groupOf.has(v) ? groupOf.get(v).rep : v;
+        for (const e of g.edges.values()) {
+            if (groupOf.has(e.v) && groupOf.get(e.v) === groupOf.get(e.w)) {
+                state.flatEdges.push({ e, label: e.label });
+                g.removeEdge(e);
+            }
+        }
+        // The nodes a 'min' group is ranked above, or a 'max' group below, with groups as their first node
+        const inside = (v, scope) => {
+            for (let parent = g.parent(v); parent; parent = g.parent(parent)) {
+                if (parent === scope) {
+                    return true;
+                }
+            }
+            return scope === null;
+        };
+        for (const group of state.rankGroups) {
+            if (group.type !== 'same') {
+                group.targets = new Set();
+                for (const v of g.nodes.keys()) {
+                    const other = groupOf.get(v);
+                    if (!g.hasChildren(v) && (!other || other.type === 'same') && inside(v, group.scope)) {
+                        group.targets.add(rep(v));
+                    }
+                }
+            }
+        }
+        // Orders the groups and other nodes depth first as acyclic_run does, then moves 'min' groups before
+        // and 'max' groups after the nodes they are ranked against. Edges pointing backwards are reversed.
+        const postorder = [];
+        const visited = new Set();
+        const stack = Array.from(g.nodes.keys(), rep).reverse();
+        while (stack.length > 0) {
+            const v = stack.pop();
+            if (Array.isArray(v)) {
+                postorder.push(v[0]);
+            } else if (!visited.has(v)) {
+                visited.add(v);
+                stack.push([v]);
+                const out = groupOf.has(v) ? flat(groupOf.get(v).members.map((u) => g.node(u).out)) : g.node(v).out;
+                for (let i = out.length - 1; i >= 0; i--) {
+                    stack.push(rep(out[i].w));
+                }
+            }
+        }
+        const index = new Map(postorder.map((v, i) => [v, postorder.length - i]));
+        for (const group of state.rankGroups) {
+            let value = index.get(group.rep);
+            for (const v of group.targets || []) {
+                value = group.type === 'min' ? Math.min(value, index.get(v)) : Math.max(value, index.get(v));
+            }
+            if (group.type !== 'same') {
+                index.set(group.rep, group.type === 'min' ? value - 0.5 : value + 0.5);
+            }
+        }
+        const edges = Array.from(g.edges.values()).filter((e) => index.get(rep(e.w)) < index.get(rep(e.v)));
+        for (const e of edges) {
+            const label = e.label;
+            g.removeEdge(e);
+            label.forwardName = e.name;
+            label.reversed = true;
+            g.setEdge(e.w, e.v, label, uniqueId('rev'));
+        }
+        // The other nodes follow the first, or precede the last, of the nodes a group is ranked against
+        for (const group of state.rankGroups) {
+            if (group.targets) {
+                const ends = new Set(group.targets);
+                for (const e of g.edges.values()) {
+                    const v = rep(e.v);
+                    const w = rep(e.w);
+                    if (v !== w && group.targets.has(v) && group.targets.has(w)) {
+                        ends.delete(group.type === 'min' ? w : v);
+                    }
+                }
+                group.targets = ends;
+            }
+        }
+    };
+
     const acyclic_run = (g) => {
         const edges = [];
         const visited = new Set();
@@ -176,8 +295,33 @@ dagre.layout = (nodes, edges, layout, state) => {
     //    1. Graph nodes will have a 'rank' attribute based on the results of the
     //       algorithm. Ranks can start at any index (including negative), we'll
     //       fix them up later.
-    const rank = (g) => {
+    const rank = (g, state) => {
+        const groups = state.rankGroups || [];
+        const members = flat(groups.map((group) => group.members.map((v) => [g.node(v).label, g.node(group.rep).label])));
         g = asNonCompoundGraph(g);
+        // Each rank constraint group is ranked as its first node, kept at or above, or at or below,
+        // the other nodes of its scope by edges of length zero
+        for (const group of groups) {
+            for (const v of group.members.slice(1)) {
+                const node = g.node(v);
+                for (const e of node.in) {
+                    g.setEdge(e.v, group.rep, e.label, uniqueId('rc'));
+                }
+                for (const e of node.out) {
+                    g.setEdge(group.rep, e.w, e.label, uniqueId('rc'));
+                }
+                g.removeNode(v);
+            }
+        }
+        for (const group of groups) {
+            for (const v of group.targets || []) {
+                if (group.type === 'min') {
+                    g.setEdge(group.rep, v, { minlen: 0, weight: 1 }, uniqueId('rc'));
+                } else {
+                    g.setEdge(v, group.rep, { minlen: 0, weight: 1 }, uniqueId('rc'));
+                }
+            }
+        }
         // Constructs a spanning tree with tight edges and adjusted the input node's ranks to achieve this.
         // A tight edge is one that is has a length that matches its 'minlen' attribute.
         // The basic structure for this function is derived from Gansner, et al., 'A Technique for Drawing Directed Graphs.'
@@ -514,6 +658,9 @@ dagre.layout = (nodes, edges, layout, state) => {
                 networkSimplex(g);
                 break;
         }
+        for (const [label, rep] of members) {
+            label.rank = rep.rank;
+        }
     };
 
     // Creates temporary dummy nodes that capture the rank in which each edge's label is going to, if it has one of non-zero width and height.
@@ -714,6 +861,7 @@ dagre.layout = (nodes, edges, layout, state) => {
             const wRank = g.node(w).label.rank;
             if (wRank !== vRank + 1) {
                 g.removeEdge(e);
+                const ports = edgePorts(edgeLabel);
                 let first = true;
                 vRank++;
                 while (vRank < wRank) {
@@ -732,7 +880,7 @@ dagre.layout = (nodes, edges, layout, state) => {
                         attrs.dummy = 'edge-label';
                         attrs.labelpos = edgeLabel.labelpos;
                     }
-                    g.setEdge(v, dummy, { weight: edgeLabel.weight }, name);
+                    g.setEdge(v, dummy, first ? { weight: edgeLabel.weight, tailport: ports[0] } : { weight: edgeLabel.weight }, name);
                     if (first) {
                         state.dummyChains.push(dummy);
                         first = false;
@@ -740,10 +888,12 @@ dagre.layout = (nodes, edges, layout, state) => {
                     v = dummy;
                     vRank++;
                 }
-                g.setEdge(v, w, { weight: edgeLabel.weight }, name);
+                g.setEdge(v, w, { weight: edgeLabel.weight, headport: ports[1] }, name);
             }
         }
     };
+    // The ports at the v and w ends of an edge, which acyclic_run may have reversed
+    const edgePorts = (label) => label.reversed ? [label.headport, label.tailport] : [label.tailport, label.headport];
 
     const denormalize = (g, state) => {
         for (let v of state.dummyChains) {
@@ -982,7 +1132,7 @@ dagre.layout = (nodes, edges, layout, state) => {
                         const edge = e.label;
                         const nodeU = e.vNode.label;
                         return {
-                            sum: acc.sum + (edge.weight * nodeU.order),
+                            sum: acc.sum + (edge.weight * (nodeU.order + (edge.shift || 0))),
                             weight: acc.weight + edge.weight
                         };
                     }, { sum: 0, weight: 0 });
@@ -1149,23 +1299,40 @@ dagre.layout = (nodes, edges, layout, state) => {
                 for (let i = 0; i < southLayer.length; i++) {
                     southPos.set(southLayer[i], i);
                 }
+                // Edges leaving a node from different ports are sorted by them first, and edges entering a node
+                // at different ports have their own position next to the node.
                 const southEntries = [];
+                let headPorts = false;
                 for (const v of northLayer) {
                     const entries = [];
                     for (const e of g.node(v).out) {
+                        const [tail, head] = edgePorts(e.label);
+                        headPorts = headPorts || head !== undefined;
                         entries.push({
                             pos: southPos.get(e.w),
+                            tail: tail || 0,
+                            head: head || 0,
                             weight: e.label.weight
                         });
                     }
-                    entries.sort((a, b) => a.pos - b.pos);
+                    entries.sort((a, b) => a.tail - b.tail || a.pos - b.pos || a.head - b.head);
                     for (const entry of entries) {
                         southEntries.push(entry);
                     }
                 }
+                let positions = southLayer.length;
+                if (headPorts) {
+                    // Ports are within half a node, so they do not change the order of nodes
+                    const keys = Array.from(new Set(southEntries.map((entry) => entry.pos + entry.head * 0.9))).sort((a, b) => a - b);
+                    const index = new Map(keys.map((key, i) => [key, i]));
+                    for (const entry of southEntries) {
+                        entry.pos = index.get(entry.pos + entry.head * 0.9);
+                    }
+                    positions = keys.length;
+                }
                 // Build the accumulator tree
                 let firstIndex = 1;
-                while (firstIndex < southLayer.length) {
+                while (firstIndex < positions) {
                     firstIndex <<= 1;
                 }
                 const treeSize = 2 * firstIndex - 1;
@@ -1248,6 +1415,13 @@ dagre.layout = (nodes, edges, layout, state) => {
         //       relationship parameter, are included in the graph (without hierarchy).
         //    4. Edges incident on movable nodes, selected by the relationship parameter, are added to the output graph.
         //    5. The weights for copied edges are aggregated as need, since the output graph is not a multi-graph.
+        // The layer graph edge from the node in the fixed rank. Its shift moves the barycenter from the
+        // order of that node to where the movable node lines its port up with the port at the fixed end.
+        const layerEdge = (e, tailFixed) => {
+            const [v, w] = edgePorts(e.label);
+            const shift = tailFixed ? (v || 0) - (w || 0) : (w || 0) - (v || 0);
+            return shift ? { weight: e.label.weight, shift } : { weight: e.label.weight };
+        };
         const buildLayerGraph = (g, nodes, rankIndexes, rank, relationship) => {
             let root = '';
             while (g.hasNode((root = uniqueId('_root')))) {
@@ -1273,11 +1447,11 @@ dagre.layout = (nodes, edges, layout, state) => {
                         // This assumes we have only short edges!
                         if (relationship) {
                             for (const e of node.in) {
-                                graph.setEdge(e.v, v, { weight: e.label.weight });
+                                graph.setEdge(e.v, v, layerEdge(e, true));
                             }
                         } else {
                             for (const e of node.out) {
-                                graph.setEdge(e.w, v, { weight: e.label.weight });
+                                graph.setEdge(e.w, v, layerEdge(e, false));
                             }
                         }
                         if ('minRank' in label) {
@@ -1305,11 +1479,11 @@ dagre.layout = (nodes, edges, layout, state) => {
                     // This assumes we have only short edges!
                     if (relationship) {
                         for (const e of node.in) {
-                            graph.setEdge(e.v, v, { weight: e.label.weight });
+                            graph.setEdge(e.v, v, layerEdge(e, true));
                         }
                     } else {
                         for (const e of node.out) {
-                            graph.setEdge(e.w, v, { weight: e.label.weight });
+                            graph.setEdge(e.w, v, layerEdge(e, false));
                         }
                     }
                 }
@@ -1369,7 +1543,8 @@ dagre.layout = (nodes, edges, layout, state) => {
             const layer = best[i];
             for (let j = 0; j < layer.length; ++j) {
                 const node = g.nodes.get(layer[j]);
-                if (node.in && node.in.length === 2) {
+                // Walk up two ranks at a time; stop where a chain has no predecessor
+                if (node.in && node.in.length === 2 && node.in[0].vNode.in.length > 0 && node.in[1].vNode.in.length > 0) {
                     let n0 = node.in[0].vNode.in[0].vNode;
                     let n1 = node.in[1].vNode.in[0].vNode;
                     const indexes = [];
@@ -1409,6 +1584,9 @@ dagre.layout = (nodes, edges, layout, state) => {
                             break;
                         }
                         indexes.push(idx0, idx1);
+                        if (n0.in[0].vNode.in.length === 0 || n1.in[0].vNode.in.length === 0) {
+                            break;
+                        }
                         n0 = n0.in[0].vNode.in[0].vNode;
                         n1 = n1.in[0].vNode.in[0].vNode;
                     }
@@ -1524,7 +1702,7 @@ dagre.layout = (nodes, edges, layout, state) => {
                                     const node1d = node1.out[0].wNode;
                                     index0 = layer3.indexOf(node0d.v);
                                     index1 = layer3.indexOf(node1d.v);
-                                    if (index0 + 1 === index1 && node0d.out[0].wNode === node1d.out[0].wNode) {
+                                    if (index0 + 1 === index1 && node0d.out.length > 0 && node1d.out.length > 0 && node0d.out[0].wNode === node1d.out[0].wNode) {
                                         exchange(layer1, node0u, node1u);
                                         exchange(layer2, node0, node1);
                                         exchange(layer3, node0d, node1d);
@@ -1999,7 +2177,7 @@ dagre.layout = (nodes, edges, layout, state) => {
                 const y = selfNode.y;
                 const dx = label.x - x;
                 const dy = selfNode.height / 2;
-                g.setEdge(label.e.v, label.e.w, label.label);
+                g.setEdge(label.e.v, label.e.w, label.label, label.e.name);
                 g.removeNode(v);
                 label.label.points = [
                     { x: x + 2 * dx / 3, y: y - dy },
@@ -2052,6 +2230,45 @@ dagre.layout = (nodes, edges, layout, state) => {
         }
     };
 
+    // Restores the edges within rank constraint groups as arcs bulging towards the previous rank,
+    // stacked when there are several between two nodes.
+    const positionFlatEdges = (g, state, layout) => {
+        if (state.flatEdges.length === 0) {
+            return;
+        }
+        const rankDir = layout.rankdir.toLowerCase();
+        const heights = new Map();
+        for (const node of g.nodes.values()) {
+            const label = node.label;
+            if (!g.hasChildren(node.v) && label.rank !== undefined) {
+                heights.set(label.rank, Math.max(heights.get(label.rank) || 0, label.height));
+            }
+        }
+        const counts = new Map();
+        for (const { e, label } of state.flatEdges) {
+            const v = g.node(e.v).label;
+            const w = g.node(e.w).label;
+            const key = e.v < e.w ? `${e.v}\n${e.w}` : `${e.w}\n${e.v}`;
+            const count = (counts.get(key) || 0) + 1;
+            counts.set(key, count);
+            const x = (v.x + w.x) / 2;
+            const y = v.y - heights.get(v.rank) / 2 - count * layout.ranksep;
+            label.points = [{ x, y }];
+            // As done for the other edges by coordinateSystem_adjust and fixupEdgeLabelCoords
+            if (rankDir === 'lr' || rankDir === 'rl') {
+                [label.width, label.height] = [label.height, label.width];
+            }
+            if (label.labelpos.toLowerCase() !== 'c') {
+                label.width -= label.labeloffset;
+            }
+            if (label.width && label.height) {
+                label.x = x;
+                label.y = y - label.height / 2;
+            }
+            g.setEdge(e.v, e.w, label, e.name);
+        }
+    };
+
     const translateGraph = (g, state) => {
         let minX = Number.POSITIVE_INFINITY;
         let maxX = 0;
@@ -2098,28 +2315,6 @@ dagre.layout = (nodes, edges, layout, state) => {
     };
 
     const assignNodeIntersects = (g) => {
-        // Finds where a line starting at point ({x, y}) would intersect a rectangle
-        // ({x, y, width, height}) if it were pointing at the rectangle's center.
-        const intersectRect = (rect, point) => {
-            const x = rect.x;
-            const y = rect.y;
-            // Rectangle intersection algorithm from: http://math.stackexchange.com/questions/108113/find-edge-between-two-boxes
-            const dx = point.x - x;
-            const dy = point.y - y;
-            if (dx === 0 && dy === 0) {
-                throw new Error('Not possible to find intersection inside of the rectangle');
-            }
-            let w = rect.width / 2;
-            let h = rect.height / 2;
-            if (Math.abs(dy) * w > Math.abs(dx) * h) {
-                // Intersection is top or bottom of rect.
-                h = dy < 0 ? -h : h;
-                return { x: x + (h * dx / dy), y: y + h };
-            }
-            // Intersection is left or right of rect.
-            w = dx < 0 ? -w : w;
-            return { x: x + w, y: y + (w * dy / dx) };
-        };
         for (const e of g.edges.values()) {
             const edge = e.label;
             const vNode = e.vNode.label;
@@ -2150,6 +2345,14 @@ dagre.layout = (nodes, edges, layout, state) => {
             g.setParent(node.v, node.parent);
         }
     }
+    // Ports are kept as the fraction of their node they are off its center along the rank,
+    // where nodes are ordered
+    const horizontal = ['lr', 'rl'].includes((layout.rankdir || 'tb').toLowerCase());
+    const across = (port, v) => {
+        const node = g.node(v).label;
+        const size = horizontal ? node.height : node.width;
+        return port && size ? (horizontal ? port.y : port.x) / size : undefined;
+    };
     for (const edge of edges) {
         g.setEdge(edge.v, edge.w, {
             minlen: edge.minlen || 1,
@@ -2157,8 +2360,10 @@ dagre.layout = (nodes, edges, layout, state) => {
             width: edge.width || 0,
             height: edge.height || 0,
             labeloffset: edge.labeloffset || 10,
-            labelpos: edge.labelpos || 'r'
-        });
+            labelpos: edge.labelpos || 'r',
+            tailport: across(edge.tailport, edge.v),
+            headport: across(edge.headport, edge.w)
+        }, edge.name);
     }
 
     // Run layout
@@ -2166,6 +2371,7 @@ dagre.layout = (nodes, edges, layout, state) => {
     const tasks = [
         makeSpaceForEdgeLabels,
         removeSelfEdges,
+        rankConstraints_run,
         acyclic_run,
         nestingGraph_run,
         rank,
@@ -2185,6 +2391,7 @@ dagre.layout = (nodes, edges, layout, state) => {
         removeBorderNodes,
         denormalize,
         fixupEdgeLabelCoords,
+        positionFlatEdges,
         coordinateSystem_undo,
         translateGraph,
         assignNodeIntersects,
@@ -2209,7 +2416,7 @@ dagre.layout = (nodes, edges, layout, state) => {
         }
     }
     for (const edge of edges) {
-        const label = g.edge(edge.v, edge.w).label;
+        const label = g.edge(edge.v, edge.w, edge.name).label;
         edge.points = label.points;
         if ('x' in label) {
             edge.x = label.x;
@@ -2359,8 +2566,8 @@ dagre.Graph = class {
         return set;
     }
 
-    edge(v, w) {
-        return this.edges.get(this._edgeKey(this.directed, v, w));
+    edge(v, w, name) {
+        return this.edges.get(this._edgeKey(this.directed, v, w, name));
     }
 
     setEdge(v, w, label, name) {
@@ -0,0 +1,694 @@
+const dot = {};
+
+// Graphviz DOT language
+// https://graphviz.org/doc/info/lang.html
+
+dot.parse = (text) => {
+    return new dot.Parser(text).parse();
+};
+
+dot.write = (model) => {
+    return new dot.Writer().write(model);
+};
+
+dot.Tokenizer = class {
+
+    constructor(text) {
+        this._text = text;
+        this._position = 0;
+        this._line = 1;
+        this._column = 1;
+    }
+
+    read() {
+        this._skip();
+        const line = this._line;
+        const column = this._column;
+        const token = (type, value) => ({ type, value, line, column });
+        const c = this._peek();
+        if (c === undefined) {
+            return token('eof', null);
+        }
+        if (c === '-' && (this._peek(1) === '>' || this._peek(1) === '-')) {
+            this._next();
+            return token('edgeop', `-${this._next()}`);
+        }
+        if ('{}[];,=:'.includes(c)) {
+            return token('punct', this._next());
+        }
+        if (c === '"') {
+            let value = this._string();
+            // Quoted strings can be concatenated with '+'
+            for (;;) {
+                const position = { position: this._position, line: this._line, column: this._column };
+                this._skip();
+                if (this._peek() === '+') {
+                    this._next();
+                    this._skip();
+                    if (this._peek() === '"') {
+                        value += this._string();
+                        continue;
+                    }
+                    throw new dot.Error("Expected a quoted string after '+'", this._line, this._column);
+                }
+                this._position = position.position;
+                this._line = position.line;
+                this._column = position.column;
+                break;
+            }
+            return token('string', value);
+        }
+        if (c === '<') {
+            return token('html', this._html());
+        }
+        if (/[0-9.-]/.test(c)) {
+            const match = /^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)/.exec(this._text.substring(this._position));
+            if (match) {
+                this._advance(match[0].length);
+                return token('id', match[0]);
+            }
+        }
+        const match = /^[A-Za-z_\u0080-\uFFFF][A-Za-z_0-9\u0080-\uFFFF]*/.exec(this._text.substring(this._position));
+        if (match) {
+            this._advance(match[0].length);
+            return token('id', match[0]);
+        }
+        throw new dot.Error(`Unexpected character '${c}'`, line, column);
+    }
+
+    _skip() {
+        for (;;) {
+            const c = this._peek();
+            if (c === ' ' || c === '\t' || c === '\r' || c === '\n' || c === '\uFEFF') {
+                this._next();
+            } else if (c === '/' && this._peek(1) === '/') {
+                while (this._peek() !== undefined && this._peek() !== '\n') {
+                    this._next();
+                }
+            } else if (c === '/' && this._peek(1) === '*') {
+                const line = this._line;
+                const column = this._column;
+                this._advance(2);
+                while (!(this._peek() === '*' && this._peek(1) === '/')) {
+                    if (this._peek() === undefined) {
+                        throw new dot.Error('Unterminated comment', line, column);
+                    }
+                    this._next();
+                }
+                this._advance(2);
+            } else if (c === '#' && this._column === 1) {
+                // Lines starting with '#' are C preprocessor output
+                while (this._peek() !== undefined && this._peek() !== '\n') {
+                    this._next();
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    _string() {
+        const line = this._line;
+        const column = this._column;
+        this._next();
+        let value = '';
+        for (;;) {
+            const c = this._next();
+            if (c === undefined) {
+                throw new dot.Error('Unterminated string', line, column);
+            }
+            if (c === '"') {
+                return value;
+            }
+            if (c === '\\' && this._peek() === '"') {
+                value += this._next();
+            } else if (c === '\\' && this._peek() === '\n') {
+                this._next(); // Line continuation
+            } else if (c === '\\' && this._peek() === '\r' && this._peek(1) === '\n') {
+                this._advance(2);
+            } else {
+                value += c;
+            }
+        }
+    }
+
+    _html() {
+        const line = this._line;
+        const column = this._column;
+        let depth = 0;
+        let value = '';
+        for (;;) {
+            const c = this._next();
+            if (c === undefined) {
+                throw new dot.Error('Unterminated HTML string', line, column);
+            }
+            if (c === '<') {
+                depth++;
+            } else if (c === '>') {
+                depth--;
+            }
+            if (depth === 0) {
+                return value;
+            }
+            value += depth === 1 && c === '<' ? '' : c;
+        }
+    }
+
+    _peek(offset) {
+        const position = this._position + (offset || 0);
+        return position < this._text.length ? this._text[position] : undefined;
+    }
+
+    _next() {
+        const c = this._peek();
+        if (c !== undefined) {
+            this._position++;
+            if (c === '\n') {
+                this._line++;
+                this._column = 1;
+            } else {
+                this._column++;
+            }
+        }
+        return c;
+    }
+
+    _advance(count) {
+        for (let i = 0; i < count; i++) {
+            this._next();
+        }
+    }
+};
+
+dot.Parser = class {
+
+    constructor(text) {
+        if (typeof text !== 'string') {
+            throw new dot.Error('DOT input must be a string', 1, 1);
+        }
+        this._tokenizer = new dot.Tokenizer(text);
+        this._token = this._tokenizer.read();
+    }
+
+    parse() {
+        this._options = {};
+        this._clusters = new Map();
+        this._nodes = new Map();
+        this._edges = [];
+        this._rankConstraints = [];
+        this._records = new Map();
+        this._strict = this._keyword('strict');
+        if (this._token.type === 'id' && this._token.value.toLowerCase() === 'graph') {
+            this._unsupported("Undirected graphs are not supported, use 'digraph'");
+        }
+        if (!this._keyword('digraph')) {
+            this._error("Expected 'digraph'");
+        }
+        this._name = this._isId() ? this._read().value : '';
+        this._expect('{');
+        const scope = { root: true, cluster: null, graph: null, rank: null, node: new Map(), edge: new Map(), nodes: new Set() };
+        this._statements(scope);
+        if (this._token.type !== 'eof') {
+            this._error('Expected end of input after the graph');
+        }
+        this._records.forEach((record, id) => {
+            if (record.label && /^m?record$/i.test(record.shape)) {
+                this._record(this._nodes.get(id), record.label);
+            }
+        });
+        const result = {
+            options: this._options,
+            clusters: Array.from(this._clusters.values()),
+            nodes: Array.from(this._nodes.values()),
+            edges: this._edges,
+        };
+        if (this._rankConstraints.length > 0) {
+            result.rankConstraints = this._rankConstraints;
+        }
+        return result;
+    }
+
+    _statements(scope) {
+        while (!this._match('}')) {
+            if (this._token.type === 'eof') {
+                this._error("Expected '}'");
+            }
+            this._statement(scope);
+            this._match(';');
+        }
+    }
+
+    _statement(scope) {
+        const token = this._token;
+        const keyword = token.type === 'id' ? token.value.toLowerCase() : '';
+        if (keyword === 'graph' || keyword === 'node' || keyword === 'edge') {
+            this._read();
+            if (!this._is('[')) {
+                this._error(`Expected '[' after '${token.value}'`);
+            }
+            const attributes = this._attributes();
+            if (keyword === 'graph') {
+                this._graphAttributes(scope, attributes);
+            } else {
+                attributes.forEach((attribute, name) => scope[keyword].set(name, attribute));
+            }
+            return;
+        }
+        let operand = null;
+        let node = null;
+        if (keyword === 'subgraph' || this._is('{')) {
+            operand = this._subgraph(scope);
+        } else if (this._isId()) {
+            this._read();
+            if (this._match('=')) {
+                const value = this._value();
+                this._graphAttributes(scope, new Map([[token.value, { ...value, name: token.value }]]));
+                return;
+            }
+            this._port();
+            node = this._node(token.value, scope);
+            operand = [node];
+        } else {
+            this._error('Expected a statement');
+        }
+        if (this._token.type !== 'edgeop') {
+            if (node !== null && this._is('[')) {
+                this._nodeAttributes(node, this._attributes());
+            }
+            return;
+        }
+        const operands = [operand];
+        while (this._token.type === 'edgeop') {
+            if (this._token.value === '--') {
+                this._unsupported("Undirected edge '--' in a digraph, use '->'");
+            }
+            this._read();
+            if (this._keyword('subgraph', true) || this._is('{')) {
+                operands.push(this._subgraph(scope));
+            } else if (this._isId()) {
+                const id = this._read().value;
+                this._port();
+                operands.push([this._node(id, scope)]);
+            } else {
+                this._error("Expected a node or subgraph after '->'");
+            }
+        }
+        const attributes = this._is('[') ? this._attributes() : new Map();
+        for (let i = 1; i < operands.length; i++) {
+            for (const from of operands[i - 1]) {
+                for (const to of operands[i]) {
+                    this._edge(from, to, scope, attributes);
+                }
+            }
+        }
+    }
+
+    _subgraph(scope) {
+        let name = null;
+        if (this._keyword('subgraph') && this._isId()) {
+            name = this._read().value;
+        }
+        this._expect('{');
+        // Only subgraphs named 'cluster...' are drawn, other subgraphs just group statements
+        const inner = { root: false, cluster: scope.cluster, graph: null, rank: null, node: new Map(scope.node), edge: new Map(scope.edge), nodes: new Set() };
+        if (name !== null && name.startsWith('cluster')) {
+            // The 'cluster_' prefix added by the writer is not part of the cluster ID
+            const id = name.startsWith('cluster_') && name.length > 8 ? name.substring(8) : name;
+            if (this._nodes.has(id)) {
+                this._unsupported(`ID '${id}' is used for both a node and a cluster`);
+            }
+            if (!this._clusters.has(id)) {
+                const clusterOpts = { id, label: '' };
+                if (scope.cluster !== null) {
+                    clusterOpts.parent = scope.cluster;
+                }
+                this._clusters.set(id, clusterOpts);
+            }
+            inner.cluster = id;
+            inner.graph = this._clusters.get(id);
+        }
+        this._statements(inner);
+        inner.nodes.forEach(id => scope.nodes.add(id));
+        if (inner.rank !== null) {
+            this._rankConstraint(inner.rank, inner.nodes);
+        }
+        return Array.from(inner.nodes);
+    }
+
+    _rankConstraint(attribute, ids) {
+        // 'source' and 'sink' ranks are only approximated, other nodes may share them
+        const type = { same: 'same', min: 'min', source: 'min', max: 'max', sink: 'max' }[attribute.value.toLowerCase()];
+        const nodes = [];
+        for (const id of ids) {
+            const other = this._rankConstraints.find(constraint => constraint.nodes.includes(id));
+            if (other) {
+                console.warn(`Ignoring rank=${attribute.value} for node '${id}' at line ${attribute.line}, column ${attribute.column}: it is already in a rank=${other.type} subgraph.`);
+            } else {
+                nodes.push(id);
+            }
+        }
+        if (nodes.length > 0) {
+            this._rankConstraints.push({ type, nodes });
+        }
+    }
+
+    _node(id, scope) {
+        if (this._clusters.has(id)) {
+            this._unsupported(`ID '${id}' is used for both a node and a cluster`);
+        }
+        let nodeOpts = this._nodes.get(id);
+        if (!nodeOpts) {
+            nodeOpts = { id, label: id };
+            this._nodes.set(id, nodeOpts);
+            this._nodeAttributes(id, scope.node);
+        }
+        // Nodes belong to the first cluster they are mentioned in
+        if (nodeOpts.parent === undefined && scope.cluster !== null) {
+            nodeOpts.parent = scope.cluster;
+        }
+        scope.nodes.add(id);
+        return id;
+    }
+
+    _edge(from, to, scope, attributes) {
+        if (this._strict && this._edges.some(edgeOpts => edgeOpts.from === from && edgeOpts.to === to)) {
+            return;
+        }
+        const edgeOpts = { from, to };
+        const apply = (attribute, name) => {
+            switch (name) {
+                case 'label': edgeOpts.label = this._text(attribute, { from, to }); break;
+                case 'minlen': edgeOpts.minlen = this._number(attribute, true); break;
+                case 'weight': edgeOpts.weight = this._number(attribute, false); break;
+                case 'class': edgeOpts.styleClass = attribute.value; break;
+                case 'id': edgeOpts.id = attribute.value; break;
+                default: break;
+            }
+        };
+        scope.edge.forEach(apply);
+        attributes.forEach(apply);
+        this._edges.push(edgeOpts);
+    }
+
+    _nodeAttributes(id, attributes) {
+        const nodeOpts = this._nodes.get(id);
+        attributes.forEach((attribute, name) => {
+            // Record labels are split into the label and arguments once the shape is known
+            const record = this._records.get(id) || {};
+            switch (name) {
+                case 'label': nodeOpts.label = this._text(attribute, { node: id }); record.label = attribute; break;
+                case 'shape': record.shape = attribute.value; break;
+                case 'class': nodeOpts.styleClass = attribute.value; break;
+                default: break;
+            }
+            this._records.set(id, record);
+        });
+    }
+
+    _record(nodeOpts, attribute) {
+        // Fields are separated by '|' and grouped by braces. The first field is the label
+        // and every line of the other fields is a 'name: value' argument.
+        const fields = [];
+        let field = [];
+        let line = '';
+        const value = attribute.value;
+        for (let i = 0; i < value.length; i++) {
+            const c = value[i];
+            const next = value[i + 1];
+            if (c === '\\' && next !== undefined && '{}|<> '.includes(next)) {
+                line += next;
+                i++;
+            } else if (c === '\\' && next !== undefined && 'lnr'.includes(next)) {
+                field.push(line);
+                line = '';
+                i++;
+            } else if (c === '\\' && next !== undefined) {
+                line += c + next; // Escapes of labels, such as '\N'
+                i++;
+            } else if (c === '{' || c === '}' || c === '|') {
+                field.push(line);
+                fields.push(field);
+                field = [];
+                line = '';
+            } else if (c === '<') {
+                // Field ports
+                const end = value.indexOf('>', i);
+                i = end === -1 ? value.length : end;
+            } else {
+                line += c;
+            }
+        }
+        field.push(line);
+        fields.push(field);
+        const lines = fields.map(field => field
+            .map(line => this._text({ ...attribute, value: line }, { node: nodeOpts.id }))
+            .filter(line => line));
+        const label = lines.find(field => field.length > 0);
+        if (label === undefined) {
+            nodeOpts.label = '';
+            return;
+        }
+        nodeOpts.label = label.join(' ');
+        const args = {};
+        for (const line of [].concat(...lines.slice(lines.indexOf(label) + 1))) {
+            const index = line.indexOf(':');
+            if (index === -1) {
+                args[line] = '';
+            } else {
+                args[line.substring(0, index).trim()] = line.substring(index + 1).trim();
+            }
+        }
+        if (Object.keys(args).length > 0) {
+            nodeOpts.arguments = args;
+        }
+    }
+
+    _graphAttributes(scope, attributes) {
+        attributes.forEach((attribute, name) => {
+            if (!scope.root && name === 'rank') {
+                if (!['same', 'min', 'max', 'source', 'sink'].includes(attribute.value.toLowerCase())) {
+                    throw new dot.Error(`Invalid rank '${attribute.value}', expected 'same', 'min', 'max', 'source' or 'sink'`, attribute.line, attribute.column);
+                }
+                scope.rank = attribute;
+            } else if (scope.graph) {
+                // Cluster attributes
+                switch (name) {
+                    case 'label': scope.graph.label = this._text(attribute, {}); break;
+                    case 'class': scope.graph.styleClass = attribute.value; break;
+                    default: break;
+                }
+            } else if (scope.root && name === 'rankdir') {
+                const direction = attribute.value.toUpperCase();
+                if (!['TB', 'BT', 'LR', 'RL'].includes(direction)) {
+                    throw new dot.Error(`Invalid rankdir '${attribute.value}', expected 'TB', 'BT', 'LR' or 'RL'`, attribute.line, attribute.column);
+                }
+                this._options.direction = direction;
+            } else if (!scope.root) {
+                console.warn(`Ignoring attribute '${name}' of a subgraph at line ${attribute.line}, column ${attribute.column}: only 'rank' is supported.`);
+            }
+        });
+    }
+
+    _attributes() {
+        const attributes = new Map();
+        while (this._match('[')) {
+            while (!this._match(']')) {
+                if (!this._isId()) {
+                    this._error("Expected an attribute name or ']'");
+                }
+                const name = this._read().value;
+                this._expect('=');
+                attributes.set(name, { ...this._value(), name });
+                if (!this._match(',')) {
+                    this._match(';');
+                }
+            }
+        }
+        return attributes;
+    }
+
+    _value() {
+        const token = this._token;
+        if (!this._isId() && token.type !== 'html') {
+            this._error('Expected an attribute value');
+        }
+        this._read();
+        return { value: token.value, html: token.type === 'html', line: token.line, column: token.column };
+    }
+
+    _text(attribute, context) {
+        if (attribute.html) {
+            throw new dot.Error(`HTML-like '${attribute.name}' values are not supported`, attribute.line, attribute.column);
+        }
+        return attribute.value.replace(/\\([NGTHElnr\\])/g, (match, c) => {
+            switch (c) {
+                case 'N': return context.node !== undefined ? context.node : '';
+                case 'G': return this._name;
+                case 'T': return context.from !== undefined ? context.from : '';
+                case 'H': return context.to !== undefined ? context.to : '';
+                case 'E': return context.from !== undefined ? `${context.from}->${context.to}` : '';
+                case '\\': return '\\';
+                default: return ' '; // Line breaks, labels are drawn on a single line
+            }
+        }).trim();
+    }
+
+    _number(attribute, integer) {
+        const value = Number(attribute.value);
+        if (attribute.html || attribute.value === '' || !Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+            const expected = integer ? 'a non-negative integer' : 'a non-negative number';
+            throw new dot.Error(`Invalid ${attribute.name} '${attribute.value}', expected ${expected}`, attribute.line, attribute.column);
+        }
+        return value;
+    }
+
+    _port() {
+        if (this._is(':')) {
+            this._unsupported('Node ports are not supported');
+        }
+    }
+
+    _isId() {
+        return this._token.type === 'id' || this._token.type === 'string';
+    }
+
+    _is(value) {
+        return this._token.type === 'punct' && this._token.value === value;
+    }
+
+    _match(value) {
+        if (this._is(value)) {
+            this._read();
+            return true;
+        }
+        return false;
+    }
+
+    _keyword(value, peek) {
+        if (this._token.type === 'id' && this._token.value.toLowerCase() === value) {
+            if (!peek) {
+                this._read();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    _expect(value) {
+        if (!this._match(value)) {
+            this._error(`Expected '${value}'`);
+        }
+    }
+
+    _read() {
+        const token = this._token;
+        this._token = this._tokenizer.read();
+        return token;
+    }
+
+    _unsupported(message) {
+        throw new dot.Error(message, this._token.line, this._token.column);
+    }
+
+    _error(message) {
+        const token = this._token;
+        const found = token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+        throw new dot.Error(`${message} but found ${found}`, token.line, token.column);
+    }
+};
+
+dot.Writer = class {
+
+    write(model) {
+        this._vertical = model.direction === 'TB' || model.direction === 'BT';
+        this._lines = ['digraph {'];
+        this._clusters = new Set();
+        this._line(1, `rankdir=${model.direction};`);
+        this._graph(model.graph, 1);
+        for (const edgeOpts of model.edges) {
+            // Graphviz edges only connect nodes, an edge to a subgraph's name creates a new node
+            const cluster = [edgeOpts.from, edgeOpts.to].find(id => this._clusters.has(id));
+            if (cluster !== undefined) {
+                console.warn(`Skipping edge from '${edgeOpts.from}' to '${edgeOpts.to}': '${cluster}' is a cluster, DOT edges can only connect nodes.`);
+                continue;
+            }
+            const attributes = [];
+            if (edgeOpts.id) {
+                attributes.push(['id', this._quote(edgeOpts.id)]);
+            }
+            if (edgeOpts.label) {
+                attributes.push(['label', this._quote(edgeOpts.label)]);
+            }
+            if (edgeOpts.styleClass) {
+                attributes.push(['class', this._quote(edgeOpts.styleClass)]);
+            }
+            if (edgeOpts.minlen !== undefined) {
+                attributes.push(['minlen', String(edgeOpts.minlen)]);
+            }
+            if (edgeOpts.weight !== undefined) {
+                attributes.push(['weight', String(edgeOpts.weight)]);
+            }
+            this._line(1, `${this._quote(edgeOpts.from)} -> ${this._quote(edgeOpts.to)}${this._attributes(attributes)};`);
+        }
+        this._lines.push('}');
+        return `${this._lines.join('\n')}\n`;
+    }
+
+    _graph(graph, depth) {
+        for (const cluster of graph.clusters) {
+            this._clusters.add(cluster.id);
+            // Graphviz only draws subgraphs named 'cluster...', the parser strips the prefix again
+            this._line(depth, `subgraph ${this._quote(`cluster_${cluster.id}`)} {`);
+            if (cluster.label) {
+                this._line(depth + 1, `label=${this._quote(cluster.label)};`);
+            }
+            if (cluster.styleClass) {
+                this._line(depth + 1, `class=${this._quote(cluster.styleClass)};`);
+            }
+            this._graph(cluster, depth + 1);
+            this._line(depth, '}');
+        }
+        for (const node of graph.nodes) {
+            const attributes = [];
+            if (node.arguments.length > 0) {
+                // Records are laid out across the rank direction, braces flip them
+                const escape = (text) => text.replace(/[\\{}|<>"]/g, '\\$&').replace(/\n/g, '\\n');
+                const rows = node.arguments.map(([name, value]) => `${escape(name)}: ${escape(value)}\\l`).join('');
+                const record = `${escape(node.label)}|${rows}`;
+                attributes.push(['shape', 'record']);
+                attributes.push(['label', `"${this._vertical ? `{${record}}` : record}"`]);
+            } else {
+                attributes.push(['label', this._quote(node.label)]);
+            }
+            if (node.styleClass) {
+                attributes.push(['class', this._quote(node.styleClass)]);
+            }
+            this._line(depth, `${this._quote(node.id)}${this._attributes(attributes)};`);
+        }
+    }
+
+    _attributes(attributes) {
+        return attributes.length > 0 ? ` [${attributes.map(([name, value]) => `${name}=${value}`).join(', ')}]` : '';
+    }
+
+    _quote(text) {
+        return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+
+    _line(depth, text) {
+        this._lines.push(`${'  '.repeat(depth)}${text}`);
+    }
+};
+
+dot.Error = class extends Error {
+
+    constructor(message, line, column) {
+        super(`${message} at line ${line}, column ${column}.`);
+        this.name = 'Error parsing DOT.';
+        this.line = line;
+        this.column = column;
+    }
+};
+
+export const { parse, write } = dot;
+export const DotError = dot.Error;
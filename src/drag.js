@@ -0,0 +1,237 @@
+/**
+ * @file drag.js
+ * @description Node dragging and pinned node positions for graphs rendered by graph.js.
+ */
+
+import { clusterLabelHeight, clusterPadding } from './geometry.js';
+import { routeEdges } from './routing.js';
+
+/**
+ * Lets the user drag nodes of an SVG element. Pointer events are claimed in the capture
+ * phase, so dragging a node does not pan the viewport.
+ */
+export class NodeDrag {
+    /**
+     * Creates a node drag and starts listening to pointer events.
+     * @param {SVGSVGElement} svgElement - The SVG element receiving the gestures.
+     * @param {object} options - Node drag options.
+     * @param {function(PointerEvent): ({id: string, x: number, y: number}|null)} options.nodeAt - Returns the
+     * node a pointer event may start dragging, with its center in graph coordinates, or `null`.
+     * @param {function(number, number): {x: number, y: number}} options.toGraph - Converts client coordinates to graph coordinates.
+     * @param {function(string, number, number): void} options.onMove - Called with the node ID and its new center
+     * while the node is dragged. When the gesture is cancelled, it is called with the original center.
+     * @param {function(string, number, number, PointerEvent): void} options.onEnd - Called with the node ID, its
+     * final center and the event that ended the gesture.
+     */
+    constructor(svgElement, options) {
+        this.svgElement = svgElement;
+        this.nodeAt = options.nodeAt;
+        this.toGraph = options.toGraph;
+        this.onMove = options.onMove;
+        this.onEnd = options.onEnd;
+        this._gesture = null;
+        this._suppressClick = false;
+
+        this._listeners = {
+            pointerdown: (e) => this._onPointerDown(e),
+            pointermove: (e) => this._onPointerMove(e),
+            pointerup: (e) => this._onPointerUp(e, true),
+            pointercancel: (e) => this._onPointerUp(e, false),
+            click: (e) => this._onClick(e),
+        };
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            svgElement.addEventListener(type, listener, true);
+        }
+    }
+
+    /**
+     * Removes all event listeners. A node being dragged stays where it is.
+     */
+    destroy() {
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            this.svgElement.removeEventListener(type, listener, true);
+        }
+        this._gesture = null;
+    }
+
+    _onPointerDown(e) {
+        this._suppressClick = false;
+        if (this._gesture || (e.pointerType === 'mouse' && e.button !== 0)) {
+            return;
+        }
+        const node = this.nodeAt(e);
+        if (!node) {
+            return;
+        }
+        this._gesture = { pointerId: e.pointerId, node, start: this.toGraph(e.clientX, e.clientY), client: { x: e.clientX, y: e.clientY }, position: null };
+        e.stopPropagation();
+    }
+
+    _onPointerMove(e) {
+        const gesture = this._gesture;
+        if (!gesture || gesture.pointerId !== e.pointerId) {
+            return;
+        }
+        e.stopPropagation();
+        // Small movements are treated as clicks
+        if (!gesture.position && Math.hypot(e.clientX - gesture.client.x, e.clientY - gesture.client.y) < 3) {
+            return;
+        }
+        if (!gesture.position) {
+            this.svgElement.setPointerCapture(e.pointerId);
+        }
+        const point = this.toGraph(e.clientX, e.clientY);
+        gesture.position = { x: gesture.node.x + point.x - gesture.start.x, y: gesture.node.y + point.y - gesture.start.y };
+        this.onMove(gesture.node.id, gesture.position.x, gesture.position.y);
+    }
+
+    _onPointerUp(e, commit) {
+        const gesture = this._gesture;
+        if (!gesture || gesture.pointerId !== e.pointerId) {
+            return;
+        }
+        e.stopPropagation();
+        this._gesture = null;
+        if (gesture.position) {
+            this._suppressClick = true;
+            if (commit) {
+                this.onEnd(gesture.node.id, gesture.position.x, gesture.position.y, e);
+            } else {
+                this.onMove(gesture.node.id, gesture.node.x, gesture.node.y);
+            }
+        }
+    }
+
+    _onClick(e) {
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            e.stopPropagation();
+            e.preventDefault();
+        }
+    }
+}
+
+/**
+ * Moves a laid out node, bending the edges attached to it so that they keep their shape
+ * near their other end, and growing the clusters containing it so that they still enclose
+ * it. Clusters do not shrink below their size from the layout. Straight and orthogonal
+ * edges attached to the node are routed again (see routing.js).
+ * @param {grapher.Graph} graph - The laid out graph.
+ * @param {string} id - ID of the node.
+ * @param {number} x - New horizontal center of the node.
+ * @param {number} y - New vertical center of the node.
+ * @returns {{nodes: string[], edges: grapher.Edge[]}} The IDs of the moved node and resized
+ * clusters, and the edges whose points changed, to update.
+ */
+export function moveNode(graph, id, x, y) {
+    const changed = { nodes: [], edges: [] };
+    const gNode = graph.node(id).label;
+    const dx = x - gNode.x;
+    const dy = y - gNode.y;
+    if (dx === 0 && dy === 0) {
+        return changed;
+    }
+    gNode.x = x;
+    gNode.y = y;
+    changed.nodes.push(id);
+    for (const edge of graph.edges.values()) {
+        const gEdge = edge.label;
+        if ((edge.v !== id && edge.w !== id) || !gEdge.points) {
+            continue;
+        }
+        // Each point moves by the share of the move of the nearest end, by distance along the edge
+        const tail = edge.v === id ? 1 : 0;
+        const head = edge.w === id ? 1 : 0;
+        const points = gEdge.points;
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const length = distances[distances.length - 1];
+        gEdge.points = points.map((point, i) => {
+            const t = length > 0 ? distances[i] / length : i / (points.length - 1);
+            const share = tail * (1 - t) + head * t;
+            return { x: point.x + dx * share, y: point.y + dy * share };
+        });
+        if (gEdge.x !== undefined) {
+            gEdge.x += dx * (tail + head) / 2;
+            gEdge.y += dy * (tail + head) / 2;
+        }
+        changed.edges.push(gEdge);
+    }
+    const resized = new Set();
+    for (let parent = graph.parent(id); parent; parent = graph.parent(parent)) {
+        if (fitCluster(graph, parent)) {
+            changed.nodes.push(parent);
+            resized.add(parent);
+        }
+    }
+    // Edges attached to a resized cluster are clipped to its new border
+    for (const edge of graph.edges.values()) {
+        if ((resized.has(edge.v) || resized.has(edge.w)) && !changed.edges.includes(edge.label)) {
+            changed.edges.push(edge.label);
+        }
+    }
+    routeEdges(graph, changed.edges, false);
+    return changed;
+}
+
+/**
+ * Moves the pinned nodes of a laid out graph to their positions (see `moveNode`).
+ * Nodes missing from the graph, such as nodes of collapsed clusters, are skipped.
+ * If any node moved, all straight and orthogonal edges are routed again, as orthogonal
+ * edges may now pass through the moved nodes.
+ * @param {grapher.Graph} graph - The laid out graph.
+ * @param {Iterable<object>} nodes - Node options.
+ * @returns {{nodes: string[], edges: grapher.Edge[]}} The changed nodes, clusters and edges.
+ */
+export function pinNodes(graph, nodes) {
+    const changed = { nodes: [], edges: [] };
+    for (const nodeOpts of nodes) {
+        if (!nodeOpts.pinned || !graph.hasNode(nodeOpts.id) || graph.children(nodeOpts.id).length > 0) {
+            continue;
+        }
+        if (!Number.isFinite(nodeOpts.x) || !Number.isFinite(nodeOpts.y)) {
+            console.warn(`Ignoring pin of node '${nodeOpts.id}': x and y must be numbers.`);
+            continue;
+        }
+        const moved = moveNode(graph, nodeOpts.id, nodeOpts.x, nodeOpts.y);
+        changed.nodes.push(...moved.nodes);
+        changed.edges.push(...moved.edges);
+    }
+    if (changed.nodes.length > 0) {
+        routeEdges(graph);
+    }
+    return changed;
+}
+
+// Grows a cluster to enclose its members, keeping at least the box the layout gave it.
+// Returns whether the cluster changed.
+function fitCluster(graph, id) {
+    const gCluster = graph.node(id).label;
+    const current = { x: gCluster.x, y: gCluster.y, width: gCluster.width, height: gCluster.height };
+    const bounds = gCluster._layoutBounds;
+    // A box other than the one set here last comes from a new layout
+    if (!bounds || Object.keys(current).some(key => current[key] !== bounds.fitted[key])) {
+        gCluster._layoutBounds = { layout: current, fitted: current };
+    }
+    const layout = gCluster._layoutBounds.layout;
+    let left = layout.x - layout.width / 2;
+    let right = layout.x + layout.width / 2;
+    let top = layout.y - layout.height / 2;
+    let bottom = layout.y + layout.height / 2;
+    for (const child of graph.children(id)) {
+        const member = graph.node(child).label;
+        left = Math.min(left, member.x - member.width / 2 - clusterPadding);
+        right = Math.max(right, member.x + member.width / 2 + clusterPadding);
+        top = Math.min(top, member.y - member.height / 2 - clusterPadding - clusterLabelHeight);
+        bottom = Math.max(bottom, member.y + member.height / 2 + clusterPadding);
+    }
+    const fitted = { x: (left + right) / 2, y: (top + bottom) / 2, width: right - left, height: bottom - top };
+    gCluster._layoutBounds.fitted = fitted;
+    if (Object.keys(current).every(key => current[key] === fitted[key])) {
+        return false;
+    }
+    Object.assign(gCluster, fitted);
+    return true;
+}
@@ -0,0 +1,483 @@
+/**
+ * @file elements.js
+ * @description Converts the graph, node, cluster and edge options of graph.js into grapher.js
+ * objects, and styles the built elements. Shared by `GraphLibrary` and the DOM-free functions of headless.js.
+ */
+
+import * as grapher from './grapher.js';
+import { clusterLabelHeight, clusterPadding } from './geometry.js';
+
+const edgeRoutings = ['spline', 'polyline', 'orthogonal', 'straight'];
+
+/**
+ * Validates graph options and fills in their defaults. See the `GraphLibrary` constructor
+ * for the options.
+ * @param {object} options - Graph options.
+ * @returns {object} The options with defaults.
+ * @throws {Error} If an option is invalid.
+ */
+export function graphOptions(options) {
+    if (options.direction && !['TB', 'BT', 'LR', 'RL'].includes(options.direction)) {
+        throw new Error(`Invalid direction '${options.direction}'. Expected 'TB', 'BT', 'LR' or 'RL'.`);
+    }
+    if (options.align && !['UL', 'UR', 'DL', 'DR'].includes(options.align.toUpperCase())) {
+        throw new Error(`Invalid align '${options.align}'. Expected 'UL', 'UR', 'DL' or 'DR'.`);
+    }
+    if (options.ranker && !['network-simplex', 'tight-tree', 'longest-path'].includes(options.ranker)) {
+        throw new Error(`Invalid ranker '${options.ranker}'. Expected 'network-simplex', 'tight-tree' or 'longest-path'.`);
+    }
+    if (options.edgeRouting && !edgeRoutings.includes(options.edgeRouting)) {
+        throw new Error(`Invalid edgeRouting '${options.edgeRouting}'. Expected 'spline', 'polyline', 'orthogonal' or 'straight'.`);
+    }
+    const layout = options.layout;
+    if (layout !== undefined && !['dagre', 'force', 'tree', 'radial', 'grid'].includes(layout) && !(layout && typeof layout.layout === 'function')) {
+        throw new Error(`Invalid layout '${layout}'. Expected 'dagre', 'force', 'tree', 'radial', 'grid' or an object with a layout() function.`);
+    }
+    const result = {
+        layout: 'dagre',
+        edgeRouting: 'spline',
+        direction: 'TB',
+        nodeSep: 50,
+        rankSep: 50,
+        edgeSep: 20,
+        compound: true,
+        panZoom: true,
+        minZoom: 0.1,
+        maxZoom: 4,
+        collapsibleClusters: true,
+        draggableNodes: true,
+        slowLayoutTimeout: 2500,
+        ...options,
+    };
+    if (!(result.minZoom > 0) || !(result.maxZoom >= result.minZoom)) {
+        throw new Error(`Invalid zoom limits ${result.minZoom}-${result.maxZoom}. Expected 0 < minZoom <= maxZoom.`);
+    }
+    if (typeof result.slowLayoutTimeout !== 'number' || !(result.slowLayoutTimeout >= 0)) {
+        throw new Error(`Invalid slowLayoutTimeout '${result.slowLayoutTimeout}'. Expected a non-negative number.`);
+    }
+    return result;
+}
+
+/**
+ * Validates a rank constraint (see `GraphLibrary.prototype.addRankConstraint`).
+ * @param {object} constraint - The rank constraint.
+ * @param {object[]} constraints - The constraints added before, which may not share nodes with it.
+ * @returns {{type: string, nodes: string[]}} A copy of the constraint without duplicate node IDs.
+ * @throws {Error} If the constraint is invalid or shares a node with another constraint.
+ */
+export function rankConstraint(constraint, constraints) {
+    if (!constraint || !['same', 'min', 'max'].includes(constraint.type)) {
+        throw new Error(`Invalid rank constraint type '${constraint && constraint.type}'. Expected 'same', 'min' or 'max'.`);
+    }
+    const nodes = constraint.nodes;
+    if (!Array.isArray(nodes) || nodes.length === 0 || !nodes.every(id => id && typeof id === 'string')) {
+        throw new Error('Rank constraint nodes must be a non-empty array of node IDs.');
+    }
+    for (const id of nodes) {
+        if (constraints.some(other => other.nodes.includes(id))) {
+            throw new Error(`Node '${id}' already has a rank constraint.`);
+        }
+    }
+    return { type: constraint.type, nodes: Array.from(new Set(nodes)) };
+}
+
+/**
+ * Returns the `grapher.Graph` options used by its layout.
+ * @param {object} options - Graph options with defaults (see `graphOptions`).
+ * @param {object[]} [rankConstraints=[]] - Validated rank constraints (see `rankConstraint`).
+ * @returns {object} The `grapher.Graph` options.
+ */
+export function layoutOptions(options, rankConstraints = []) {
+    return {
+        engine: options.layout,
+        direction: options.direction,
+        // dagre specific options passed on by grapher.Graph.layout:
+        nodesep: options.nodeSep,
+        ranksep: options.rankSep,
+        edgesep: options.edgeSep,
+        align: options.align,
+        ranker: options.ranker,
+        rankConstraints: rankConstraints.length > 0 ? rankConstraints : undefined,
+    };
+}
+
+/**
+ * Computes the nodes, clusters and edges to render, taking collapsed clusters into account.
+ * A collapsed cluster becomes a summary node and everything inside it is hidden. Edges are
+ * attached to the outermost collapsed cluster containing their ends; edges inside a collapsed
+ * cluster are hidden, and edges that now connect the same pair of nodes are merged. Edges ending
+ * at an expanded cluster are skipped with a warning. Ports of
+ * edges are dropped at ends moved to a summary node, and with a warning at ends without the argument.
+ * @param {Map<string, object>} allNodes - Node options by ID.
+ * @param {Map<string, object>} allClusters - Cluster options by ID.
+ * @param {object[]} allEdges - Edge options.
+ * @returns {{nodes: Map<string, object>, clusters: Map<string, object>, edges: object[]}}
+ * The options of the visible elements. Summary nodes have a `hidden` count of member nodes.
+ */
+export function visibleModel(allNodes, allClusters, allEdges) {
+    // The outermost collapsed cluster strictly containing an element, or null
+    const collapsedAncestor = (opts) => {
+        let result = null;
+        const visited = new Set();
+        for (let parent = opts.parent; allClusters.has(parent) && !visited.has(parent); parent = allClusters.get(parent).parent) {
+            visited.add(parent);
+            if (allClusters.get(parent).collapsed) {
+                result = parent;
+            }
+        }
+        return result;
+    };
+    const representatives = new Map();
+    const summaries = new Map();
+    const clusters = new Map();
+    const nodes = new Map();
+    allClusters.forEach((clusterOpts, id) => {
+        const ancestor = collapsedAncestor(clusterOpts);
+        representatives.set(id, ancestor || id);
+        if (!ancestor && clusterOpts.collapsed) {
+            summaries.set(id, 0);
+        } else if (!ancestor) {
+            clusters.set(id, clusterOpts);
+        }
+    });
+    allNodes.forEach((nodeOpts, id) => {
+        const ancestor = collapsedAncestor(nodeOpts);
+        representatives.set(id, ancestor || id);
+        if (ancestor) {
+            summaries.set(ancestor, summaries.get(ancestor) + 1);
+        }
+    });
+    summaries.forEach((hidden, id) => nodes.set(id, { ...allClusters.get(id), hidden }));
+    allNodes.forEach((nodeOpts, id) => {
+        if (representatives.get(id) === id) {
+            nodes.set(id, nodeOpts);
+        }
+    });
+
+    // Ports name an argument of the node at their end
+    const withPorts = (edgeOpts) => {
+        let result = edgeOpts;
+        for (const [key, end] of [['fromPort', 'from'], ['toPort', 'to']]) {
+            const port = edgeOpts[key];
+            const nodeOpts = nodes.get(edgeOpts[end]);
+            const regular = nodeOpts ? nodeOpts.hidden === undefined : false;
+            if (port === undefined || (regular && nodeOpts.arguments && Object.prototype.hasOwnProperty.call(nodeOpts.arguments, port))) {
+                continue;
+            }
+            if (regular) {
+                console.warn(`Ignoring port '${port}' of edge from '${edgeOpts.from}' to '${edgeOpts.to}': '${edgeOpts[end]}' has no argument '${port}'.`);
+            }
+            result = { ...result };
+            delete result[key];
+        }
+        return result;
+    };
+
+    // Edges touching a summary node are grouped by their new ends and merged
+    const edges = [];
+    const groups = new Map();
+    allEdges.forEach(edgeOpts => {
+        const from = representatives.get(edgeOpts.from) || edgeOpts.from;
+        const to = representatives.get(edgeOpts.to) || edgeOpts.to;
+        const expanded = [from, to].find(id => clusters.has(id));
+        if (expanded !== undefined) {
+            console.warn(`Skipping edge from '${edgeOpts.from}' to '${edgeOpts.to}': '${expanded}' is an expanded cluster. Edges can only end at a cluster while it is collapsed.`);
+            return;
+        }
+        if (!summaries.has(from) && !summaries.has(to)) {
+            edges.push(withPorts(edgeOpts));
+            return;
+        }
+        if (from === to && (from !== edgeOpts.from || to !== edgeOpts.to)) {
+            return;
+        }
+        const key = JSON.stringify([from, to]);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+            edges.push(groups.get(key));
+        }
+        groups.get(key).push(withPorts({ ...edgeOpts, from, to }));
+    });
+    return {
+        nodes,
+        clusters,
+        edges: edges.map(edge => {
+            if (!Array.isArray(edge)) {
+                return edge;
+            }
+            if (edge.length === 1) {
+                return edge[0];
+            }
+            return {
+                from: edge[0].from,
+                to: edge[0].to,
+                label: `\u00D7${edge.length}`,
+                styleClass: 'edge-merged',
+                minlen: Math.max(...edge.map(edgeOpts => edgeOpts.minlen || 1)),
+                weight: edge.reduce((weight, edgeOpts) => weight + (edgeOpts.weight || 1), 0),
+            };
+        }),
+    };
+}
+
+/**
+ * Returns the key of an edge in the map returned by `nameEdges`.
+ * @param {string} v - Source node ID.
+ * @param {string} w - Target node ID.
+ * @param {string} [name] - Name of a parallel edge.
+ * @returns {string} The key.
+ */
+export function edgeKey(v, w, name) {
+    return JSON.stringify([v, w, name === undefined ? null : name]);
+}
+
+/**
+ * Names the edges of a graph for `grapher.Graph`. Parallel edges between the same pair of
+ * nodes are named by their `id`, or else by their position among the unnamed edges of that
+ * pair. Edges with a missing end or a duplicate ID are skipped with a warning.
+ * @param {object[]} edges - Edge options.
+ * @param {function(string): boolean} hasNode - Returns whether a node or cluster exists.
+ * @returns {Map<string, {edgeOpts: object, name: (string|undefined)}>} The edges by `edgeKey`.
+ */
+export function nameEdges(edges, hasNode) {
+    const result = new Map();
+    const parallel = new Map();
+    edges.forEach(edgeOpts => {
+        if (!hasNode(edgeOpts.from) || !hasNode(edgeOpts.to)) {
+            console.warn(`Skipping edge from '${edgeOpts.from}' to '${edgeOpts.to}': one or both nodes not found.`);
+            return;
+        }
+        let name = edgeOpts.id || undefined;
+        if (name === undefined) {
+            const pair = edgeKey(edgeOpts.from, edgeOpts.to);
+            const index = parallel.get(pair) || 0;
+            parallel.set(pair, index + 1);
+            name = index === 0 ? undefined : String(index);
+        }
+        const key = edgeKey(edgeOpts.from, edgeOpts.to, name);
+        if (result.has(key)) {
+            console.warn(`Skipping edge from '${edgeOpts.from}' to '${edgeOpts.to}': duplicate edge ID '${name}'.`);
+            return;
+        }
+        result.set(key, { edgeOpts, name });
+    });
+    return result;
+}
+
+/**
+ * Returns the ID by which an edge is selected and its layout is saved.
+ * @param {object} edgeOpts - The stored edge options.
+ * @param {string} [name] - Name distinguishing parallel edges between the same pair of nodes.
+ * @returns {string} The edge `id`, or `'<from>-><to>'` with a `#<name>` suffix for named parallel edges.
+ */
+export function edgeSelectionId(edgeOpts, name) {
+    if (edgeOpts.id) {
+        return edgeOpts.id;
+    }
+    return name === undefined ? `${edgeOpts.from}->${edgeOpts.to}` : `${edgeOpts.from}->${edgeOpts.to}#${name}`;
+}
+
+/**
+ * Creates the grapher.Node representing a cluster.
+ * @param {object} clusterOpts - The stored cluster options.
+ * @param {object} [events={}] - Event handlers.
+ * @param {function(MouseEvent): void} [events.click] - Called when the cluster is clicked.
+ * @returns {grapher.Node} The cluster node.
+ */
+export function createCluster(clusterOpts, events = {}) {
+    const gClusterNode = new grapher.Node();
+    gClusterNode.name = clusterOpts.id; // Used by grapher.Graph for internal referencing
+    gClusterNode.id = clusterOpts.id;   // Used for the SVG element's ID attribute
+    gClusterNode.class = `cluster ${clusterOpts.styleClass || ''}`.trim();
+    if (clusterOpts.style?.rx) gClusterNode.rx = clusterOpts.style.rx;
+    if (clusterOpts.style?.ry) gClusterNode.ry = clusterOpts.style.ry;
+
+    // Store style and label info for application after build
+    gClusterNode._isCluster = true;
+    gClusterNode._clusterLabelText = clusterOpts.label;
+    gClusterNode._clusterBackgroundColor = clusterOpts.style?.backgroundColor;
+
+    // Called by grapher.Graph when the cluster is clicked
+    if (events.click) {
+        gClusterNode.activate = events.click;
+    }
+    return gClusterNode;
+}
+
+/**
+ * Creates the grapher.Node representing a collapsed cluster: a header with the
+ * cluster's label and the number of hidden nodes.
+ * @param {object} summaryOpts - The cluster options, with the `hidden` node count.
+ * @param {object} [events={}] - Event handlers.
+ * @param {function(MouseEvent): void} [events.click] - Called when the summary is clicked.
+ * @returns {grapher.Node} The summary node.
+ */
+export function createClusterSummary(summaryOpts, events = {}) {
+    const gNode = new grapher.Node();
+    gNode.name = summaryOpts.id;
+    gNode.id = summaryOpts.id;
+    gNode.class = `cluster-collapsed ${summaryOpts.styleClass || ''}`.trim();
+
+    const header = gNode.header();
+    const labelEntry = header.add(null, ['node-label'], summaryOpts.label, summaryOpts.label);
+    if (summaryOpts.style?.backgroundColor) labelEntry.backgroundColor = summaryOpts.style.backgroundColor;
+    const countEntry = header.add(null, ['cluster-count'], `+${summaryOpts.hidden}`, `${summaryOpts.hidden} hidden node${summaryOpts.hidden === 1 ? '' : 's'}`);
+    if (events.click) {
+        labelEntry.on('click', (item, e) => events.click(e));
+        countEntry.on('click', (item, e) => events.click(e));
+    }
+    gNode.width = 0;
+    gNode.height = 0;
+    return gNode;
+}
+
+/**
+ * Creates the grapher.Node representing a regular node, including its header and arguments.
+ * @param {object} nodeOpts - The stored node options.
+ * @param {object} [events={}] - Event handlers.
+ * @param {function(MouseEvent): void} [events.click] - Called when the header or the
+ * background of the argument list is clicked.
+ * @param {function(string, any, MouseEvent): void} [events.argumentClick] - Called with the
+ * argument name and value when an argument is clicked.
+ * @returns {grapher.Node} The node.
+ */
+export function createNode(nodeOpts, events = {}) {
+    const gNode = new grapher.Node();
+    gNode.name = nodeOpts.id;
+    gNode.id = nodeOpts.id;
+    gNode.class = nodeOpts.styleClass || '';
+
+    const header = gNode.header();
+    const headerEntry = header.add(null, ['node-label'], nodeOpts.label || nodeOpts.id, nodeOpts.label || nodeOpts.id);
+    if (nodeOpts.style?.backgroundColor) headerEntry.backgroundColor = nodeOpts.style.backgroundColor;
+    if (nodeOpts.style?.borderColor) headerEntry.borderColor = nodeOpts.style.borderColor;
+    if (events.click) {
+        headerEntry.on('click', (item, e) => events.click(e));
+    }
+
+    if (nodeOpts.arguments && Object.keys(nodeOpts.arguments).length > 0) {
+        const argList = gNode.list();
+        if (events.click) {
+            argList.on('click', (item, e) => events.click(e));
+        }
+        for (const [argName, argValue] of Object.entries(nodeOpts.arguments)) {
+            const argument = new grapher.Argument(argName, argValue);
+            if (argument.type === undefined) { // Simple value
+                argument.separator = (nodeOpts.style && nodeOpts.style.argSeparator !== undefined) ? nodeOpts.style.argSeparator : ': ';
+            }
+            if (events.argumentClick) {
+                argument.activate = (e) => events.argumentClick(argName, argValue, e);
+            }
+            argList.add(argument);
+        }
+    }
+    // Pass initial dimensions if provided; grapher.Node.measure() will refine these
+    gNode.width = nodeOpts.style?.width || 0;
+    gNode.height = nodeOpts.style?.height || 0;
+    return gNode;
+}
+
+/**
+ * Creates the grapher.Edge for an edge. Its `from` and `to` nodes are assigned
+ * once the nodes exist.
+ * @param {object} edgeOpts - The stored edge options.
+ * @param {string} [name] - Name distinguishing parallel edges between the same pair of nodes.
+ * @param {object} [events={}] - Event handlers.
+ * @param {function(MouseEvent): void} [events.click] - Called when the edge is clicked.
+ * @returns {grapher.Edge} The edge.
+ */
+export function createEdge(edgeOpts, name, events = {}) {
+    const gEdge = new grapher.Edge(null, null);
+    gEdge.v = edgeOpts.from; // Source node name for grapher.Graph
+    gEdge.w = edgeOpts.to;   // Target node name for grapher.Graph
+    gEdge.name = name;       // Distinguishes parallel edges in grapher.Graph and Dagre
+
+    if (edgeOpts.id) gEdge.id = edgeOpts.id; // For SVG element ID
+    gEdge.class = edgeOpts.styleClass || '';
+    gEdge.label = edgeOpts.label || '';
+    // Names of the arguments the edge starts and ends at (see grapher.Graph.ports)
+    gEdge.fromPort = edgeOpts.fromPort;
+    gEdge.toPort = edgeOpts.toPort;
+
+    // How the edge is drawn (see routing.js), after grapher.Graph.layout
+    gEdge.routing = edgeOpts.routing || 'spline';
+    if (!edgeRoutings.includes(gEdge.routing)) {
+        console.warn(`Ignoring routing '${gEdge.routing}' of edge from '${edgeOpts.from}' to '${edgeOpts.to}'. Expected 'spline', 'polyline', 'orthogonal' or 'straight'.`);
+        gEdge.routing = 'spline';
+    }
+
+    // Properties for Dagre layout (used by grapher.Graph.layout)
+    gEdge.minlen = edgeOpts.minlen || 1;
+    gEdge.weight = edgeOpts.weight || 1;
+    // grapher.Edge.width & height are for its label, calculated by grapher.Graph.build or patch
+    // grapher.Edge.labeloffset and labelpos are used by grapher.Graph.layout
+
+    gEdge._selectionId = edgeSelectionId(edgeOpts, name);
+
+    // Called by grapher.Graph when the edge's hit-test path is clicked
+    if (events.click) {
+        gEdge.activate = events.click;
+    }
+    return gEdge;
+}
+
+/**
+ * Positions the label of a cluster at the top left corner of its box. Called again when
+ * dragging a node resizes the cluster.
+ * @param {grapher.Node} gCluster - The cluster node, after `applyCustomStyles` added its label.
+ */
+export function placeClusterLabel(gCluster) {
+    if (gCluster._clusterLabelElement) {
+        // Relative to the cluster center
+        gCluster._clusterLabelElement.setAttribute('x', String(-gCluster.width / 2 + clusterPadding / 2));
+        gCluster._clusterLabelElement.setAttribute('y', String(-gCluster.height / 2 + clusterLabelHeight));
+    }
+}
+
+/**
+ * Applies custom styles to the built SVG elements: cluster backgrounds and labels, and
+ * header colors. This is called after every layout, so it must be safe to apply repeatedly.
+ * @param {grapher.Graph} gInstance - The grapher.Graph instance.
+ * @param {Document} document - The document the graph was built with.
+ */
+export function applyCustomStyles(gInstance, document) {
+    gInstance.nodes.forEach((nodeEntry) => {
+        const gNode = nodeEntry.label; // This is the grapher.Node instance
+        if (gNode._isCluster && gNode.rectangle) {
+            // Style cluster rectangle
+            if (gNode._clusterBackgroundColor) {
+                gNode.rectangle.style.fill = gNode._clusterBackgroundColor;
+            }
+            // Add cluster label, once per cluster element as it survives incremental renders
+            if (gNode._clusterLabelText && gNode.element) {
+                if (!gNode._clusterLabelElement) {
+                    gNode._clusterLabelElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                    gNode._clusterLabelElement.textContent = gNode._clusterLabelText;
+                    gNode._clusterLabelElement.setAttribute('class', 'cluster-label'); // For CSS styling
+                    gNode.element.appendChild(gNode._clusterLabelElement);
+                }
+                placeClusterLabel(gNode);
+            }
+        } else if (gNode._blocks) {
+            // Style regular node parts (e.g., header entries)
+            gNode._blocks.forEach(block => {
+                if (block instanceof grapher.Node.Header) {
+                    block._entries.forEach(entry => {
+                        if (entry.path) { // path is created in grapher.Node.Header.Entry.build
+                            if (entry.backgroundColor) {
+                                entry.path.style.fill = entry.backgroundColor;
+                            }
+                            if (entry.borderColor) {
+                                entry.path.style.stroke = entry.borderColor;
+                            }
+                        }
+                    });
+                }
+                // Potentially style ArgumentList or other block types here
+            });
+        }
+    });
+
+    // Edge styling can also be done here if `gEdge.class` is not sufficient
+    // For example, by finding `gEdge.element` and applying styles.
+}
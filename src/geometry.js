@@ -0,0 +1,49 @@
+/**
+ * @file geometry.js
+ * @description Geometry shared by the layout engines, edge routing and drawing of graph.js.
+ */
+
+/**
+ * Space kept between the border of a cluster and its members, by the layout engines of
+ * layout.js and when dragging nodes.
+ * @type {number}
+ */
+export const clusterPadding = 20;
+
+/**
+ * Room for the label drawn at the top of a cluster, above the padding. The baseline of the
+ * label is this far below the top of the cluster.
+ * @type {number}
+ */
+export const clusterLabelHeight = 20;
+
+/**
+ * Returns the point where the line from the center of a box to a point crosses the border
+ * of the box.
+ * @param {{x: number, y: number, width: number, height: number}} node - The box, centered on `x` and `y`.
+ * @param {{x: number, y: number}} point - The point.
+ * @returns {{x: number, y: number}} The point on the border, or the center of the box if the
+ * point is at its center.
+ */
+export function intersectRect(node, point) {
+    // Rectangle intersection algorithm from: http://math.stackexchange.com/questions/108113/find-edge-between-two-boxes
+    const dx = point.x - node.x;
+    const dy = point.y - node.y;
+    let w = node.width / 2;
+    let h = node.height / 2;
+    if (dx === 0 && dy === 0) {
+        return { x: node.x, y: node.y };
+    }
+    if (Math.abs(dy) * w > Math.abs(dx) * h) {
+        // Intersection is top or bottom of the box
+        if (dy < 0) {
+            h = -h;
+        }
+        return { x: node.x + h * dx / dy, y: node.y + h };
+    }
+    // Intersection is left or right of the box
+    if (dx < 0) {
+        w = -w;
+    }
+    return { x: node.x + w, y: node.y + w * dy / dx };
+}
@@ -6,6 +6,16 @@
  */
 
 import * as grapher from './grapher.js';
+import { Viewport } from './viewport.js';
+import { BoxSelection } from './selection.js';
+import { NodeDrag, moveNode, pinNodes } from './drag.js';
+import { routeEdges } from './routing.js';
+import { collectCss } from './styles.js';
+import { LayoutWorker } from './layoutworker.js';
+import * as elements from './elements.js';
+import * as dot from './dot.js';
+import * as mermaid from './mermaid.js';
+import * as graphml from './graphml.js';
 // Assuming dagre.js is implicitly used by grapher.Graph.layout as per grapher.js
 // If grapher.Graph.layout needs an explicit dagre worker, that would be an advanced setup.
 
@@ -19,31 +29,65 @@ export class GraphLibrary {
      * Creates an instance of the Graph.
      * @param {HTMLElement} container - The HTML element where the graph will be rendered.
      * @param {object} [options={}] - Configuration options for the graph.
+     * @param {string|object} [options.layout='dagre'] - Layout engine: 'dagre' (layered), 'force',
+     * 'tree', 'radial', 'grid', or a custom engine with the interface of dagre.js,
+     * `layout(nodes, edges, layoutOptions, state)`.
      * @param {string} [options.direction='TB'] - Layout direction ('TB', 'BT', 'LR', 'RL').
      * @param {number} [options.nodeSep=50] - Separation between nodes.
      * @param {number} [options.rankSep=50] - Separation between ranks (layers).
+     * @param {number} [options.edgeSep=20] - Separation between edges that run side by side.
+     * @param {string} [options.edgeRouting='spline'] - How edges are drawn: 'spline' (smooth curves),
+     * 'polyline' (straight segments through the points of the layout), 'orthogonal' (horizontal and
+     * vertical segments avoiding nodes) or 'straight' (a line between the nodes).
+     * @param {string} [options.align] - Alignment of nodes within a rank ('UL', 'UR', 'DL', 'DR').
+     * When omitted, the four alignments are balanced.
+     * @param {string} [options.ranker='network-simplex'] - Algorithm assigning nodes to ranks
+     * ('network-simplex', 'tight-tree', 'longest-path').
      * @param {boolean} [options.compound=true] - Whether the graph supports compound nodes (clusters).
+     * @param {boolean} [options.panZoom=true] - Whether the graph can be zoomed and panned within the container.
+     * When `false`, the SVG is sized to its content instead.
+     * @param {number} [options.minZoom=0.1] - Smallest zoom level.
+     * @param {number} [options.maxZoom=4] - Largest zoom level.
+     * @param {boolean} [options.collapsibleClusters=true] - Whether clicking a cluster collapses it,
+     * and clicking a collapsed cluster expands it.
+     * @param {boolean} [options.draggableNodes=true] - Whether nodes can be dragged to new positions,
+     * which pins them there.
+     * @param {number} [options.slowLayoutTimeout=2500] - Milliseconds after which a layout running
+     * in a worker emits `layout:slow`.
      */
     constructor(container, options = {}) {
         if (!container || !(container instanceof HTMLElement)) {
             throw new Error('A valid HTML container element must be provided.');
         }
         this.container = container;
-        this.options = {
-            direction: 'TB',
-            nodeSep: 50,
-            rankSep: 50,
-            compound: true,
-            ...options,
-        };
+        this.options = elements.graphOptions(options);
 
         this._nodes = new Map(); // Stores user-defined node options
         this._edges = [];   // Stores user-defined edge options
         this._clusters = new Map(); // Stores user-defined cluster options
+        this._rankConstraints = []; // Stores validated rank constraints
         this._eventListeners = new Map();
 
         /** @private @type {grapher.Graph | null} */
         this.grapherInstance = null;
+        /** @private @type {SVGSVGElement | null} */
+        this._svgElement = null;
+        this._layoutSignature = null; // Layout options used by the last successful layout
+        this._layoutPending = false;  // Set while a required layout has not completed
+        this._presetLayout = null;    // Saved positions used instead of the first layout (see fromJSON)
+        /** @private @type {Viewport | null} */
+        this._viewport = null;
+        /** @private @type {SVGGElement | null} */
+        this._viewportElement = null;
+        this._viewInitialized = false; // Set once the view was reset after the first successful render
+        /** @private @type {BoxSelection | null} */
+        this._boxSelection = null;
+        /** @private @type {NodeDrag | null} */
+        this._nodeDrag = null;
+        this._selection = { nodes: new Set(), edges: new Set() }; // Selected node and edge IDs
+        /** @private @type {LayoutWorker | null} */
+        this._layoutWorker = null;
+        this._renderToken = null; // Identifies the latest render() call
 
         // Ensure container has a non-static position for SVG fitting.
         if (typeof window !== 'undefined' && window.getComputedStyle) {
@@ -68,18 +112,60 @@ export class GraphLibrary {
      * @param {number} [nodeOpts.style.height] - Initial height for layout. `grapher.Node.measure()` will override.
      * @param {object} [nodeOpts.arguments] - Key-value pairs for arguments. Values can be strings,
      * `grapher.Node` instances, or arrays of `grapher.Node`.
+     * @param {boolean} [nodeOpts.pinned=false] - Whether the node stays at `x` and `y` instead of
+     * where the layout places it. Dragging a node pins it.
+     * @param {number} [nodeOpts.x] - Horizontal center of a pinned node, in graph coordinates.
+     * @param {number} [nodeOpts.y] - Vertical center of a pinned node, in graph coordinates.
      */
     addNode(nodeOpts) {
         if (!nodeOpts || !nodeOpts.id) {
             throw new Error('Node options with an `id` must be provided.');
         }
         if (this._nodes.has(nodeOpts.id) || this._clusters.has(nodeOpts.id)) {
-            console.warn(`Node or cluster with ID '${nodeOpts.id}' already exists. Overwriting is not supported.`);
+            console.warn(`Node or cluster with ID '${nodeOpts.id}' already exists. Use updateNode() or updateCluster() to modify it.`);
             return;
         }
         this._nodes.set(nodeOpts.id, { label: nodeOpts.id, ...nodeOpts });
     }
 
+    /**
+     * Updates the options of an existing node. The changes are shallowly merged
+     * into the current options and take effect on the next `render()`.
+     * @param {string} id - ID of the node to update.
+     * @param {object} changes - Node options to change (see `addNode`). The `id` cannot be changed.
+     * @returns {boolean} `true` if the node was found and updated.
+     */
+    updateNode(id, changes) {
+        const nodeOpts = this._nodes.get(id);
+        if (!nodeOpts) {
+            console.warn(`Cannot update node: no node with ID '${id}' exists.`);
+            return false;
+        }
+        if (changes && changes.id !== undefined && changes.id !== id) {
+            throw new Error(`The ID of node '${id}' cannot be changed.`);
+        }
+        this._nodes.set(id, { ...nodeOpts, ...changes });
+        return true;
+    }
+
+    /**
+     * Removes a node together with every edge attached to it.
+     * @param {string} id - ID of the node to remove.
+     * @returns {boolean} `true` if the node was found and removed.
+     */
+    removeNode(id) {
+        if (!this._nodes.has(id)) {
+            console.warn(`Cannot remove node: no node with ID '${id}' exists.`);
+            return false;
+        }
+        this._nodes.delete(id);
+        this._removeAttachedEdges(id);
+        this._rankConstraints = this._rankConstraints
+            .map(constraint => ({ ...constraint, nodes: constraint.nodes.filter(node => node !== id) }))
+            .filter(constraint => constraint.nodes.length > 0);
+        return true;
+    }
+
     /**
      * Adds an edge connecting two nodes.
      * @param {object} edgeOpts - Options for the edge.
@@ -90,6 +176,9 @@ export class GraphLibrary {
      * @param {string} [edgeOpts.styleClass] - CSS class for the edge's SVG path.
      * @param {number} [edgeOpts.minlen] - Minimum length for layout (Dagre).
      * @param {number} [edgeOpts.weight] - Weight for layout (Dagre).
+     * @param {string} [edgeOpts.routing] - How the edge is drawn, overriding `options.edgeRouting`.
+     * @param {string} [edgeOpts.fromPort] - Name of an argument of the source node to start at.
+     * @param {string} [edgeOpts.toPort] - Name of an argument of the target node to end at.
      */
     addEdge(edgeOpts) {
         if (!edgeOpts || !edgeOpts.from || !edgeOpts.to) {
@@ -98,6 +187,42 @@ export class GraphLibrary {
         this._edges.push({ ...edgeOpts });
     }
 
+    /**
+     * Updates the options of every edge matching `edge`. The changes are shallowly
+     * merged into the current options and take effect on the next `render()`.
+     * @param {string|object} edge - The edge `id`, or an object with `from`, `to` and optionally `id` to match.
+     * @param {object} changes - Edge options to change (see `addEdge`).
+     * @returns {number} The number of updated edges.
+     */
+    updateEdge(edge, changes) {
+        let count = 0;
+        this._edges = this._edges.map(edgeOpts => {
+            if (!this._matchEdge(edgeOpts, edge)) {
+                return edgeOpts;
+            }
+            count++;
+            return { ...edgeOpts, ...changes };
+        });
+        if (count === 0) {
+            console.warn(`Cannot update edge: no edge matches ${JSON.stringify(edge)}.`);
+        }
+        return count;
+    }
+
+    /**
+     * Removes every edge matching `edge`.
+     * @param {string|object} edge - The edge `id`, or an object with `from`, `to` and optionally `id` to match.
+     * @returns {number} The number of removed edges.
+     */
+    removeEdge(edge) {
+        const count = this._edges.length;
+        this._edges = this._edges.filter(edgeOpts => !this._matchEdge(edgeOpts, edge));
+        if (this._edges.length === count) {
+            console.warn(`Cannot remove edge: no edge matches ${JSON.stringify(edge)}.`);
+        }
+        return count - this._edges.length;
+    }
+
     /**
      * Adds a cluster (compound node) to the graph.
      * @param {object} clusterOpts - Options for the cluster.
@@ -109,6 +234,7 @@ export class GraphLibrary {
      * @param {string} [clusterOpts.style.backgroundColor] - Background color of the cluster.
      * @param {number} [clusterOpts.style.rx] - X-axis radius for rounded corners.
      * @param {number} [clusterOpts.style.ry] - Y-axis radius for rounded corners.
+     * @param {boolean} [clusterOpts.collapsed=false] - Whether the cluster is shown as a single summary node.
      */
     addCluster(clusterOpts) {
         if (!this.options.compound) {
@@ -119,177 +245,410 @@ export class GraphLibrary {
             throw new Error('Cluster options with an `id` must be provided.');
         }
         if (this._nodes.has(clusterOpts.id) || this._clusters.has(clusterOpts.id)) {
-            console.warn(`Node or cluster with ID '${clusterOpts.id}' already exists. Overwriting is not supported.`);
+            console.warn(`Node or cluster with ID '${clusterOpts.id}' already exists. Use updateNode() or updateCluster() to modify it.`);
             return;
         }
         this._clusters.set(clusterOpts.id, { label: clusterOpts.id, ...clusterOpts });
     }
 
     /**
-     * Renders the graph in the specified container.
-     * This method orchestrates the creation of grapher.js objects, layout,
-     * SVG building, and final rendering.
-     * @returns {Promise<void>} A promise that resolves when rendering is complete or rejects on error.
-     */
-    async render() {
-        this.container.innerHTML = ''; // Clear previous content
-
-        this.grapherInstance = new grapher.Graph(this.options.compound);
-
-        // 1. Create and set grapher.Node instances for clusters
-        this._clusters.forEach(clusterOpts => {
-            const gClusterNode = new grapher.Node();
-            gClusterNode.name = clusterOpts.id; // Used by grapher.Graph for internal referencing
-            gClusterNode.id = clusterOpts.id;   // Used for the SVG element's ID attribute
-            gClusterNode.class = `cluster ${clusterOpts.styleClass || ''}`.trim();
-            if (clusterOpts.style?.rx) gClusterNode.rx = clusterOpts.style.rx;
-            if (clusterOpts.style?.ry) gClusterNode.ry = clusterOpts.style.ry;
-
-            // Store style and label info for application after build
-            gClusterNode._isCluster = true;
-            gClusterNode._clusterLabelText = clusterOpts.label;
-            gClusterNode._clusterBackgroundColor = clusterOpts.style?.backgroundColor;
-
-            this.grapherInstance.setNode(gClusterNode);
-        });
+     * Updates the options of an existing cluster. The changes are shallowly merged
+     * into the current options and take effect on the next `render()`.
+     * @param {string} id - ID of the cluster to update.
+     * @param {object} changes - Cluster options to change (see `addCluster`). The `id` cannot be changed.
+     * @returns {boolean} `true` if the cluster was found and updated.
+     */
+    updateCluster(id, changes) {
+        const clusterOpts = this._clusters.get(id);
+        if (!clusterOpts) {
+            console.warn(`Cannot update cluster: no cluster with ID '${id}' exists.`);
+            return false;
+        }
+        if (changes && changes.id !== undefined && changes.id !== id) {
+            throw new Error(`The ID of cluster '${id}' cannot be changed.`);
+        }
+        this._clusters.set(id, { ...clusterOpts, ...changes });
+        return true;
+    }
 
-        // 2. Create and set grapher.Node instances for regular nodes
-        this._nodes.forEach(nodeOpts => {
-            const gNode = new grapher.Node();
-            gNode.name = nodeOpts.id;
-            gNode.id = nodeOpts.id;
-            gNode.class = nodeOpts.styleClass || '';
+    /**
+     * Removes a cluster. Its child nodes and clusters are moved to the cluster's own
+     * parent (or to the top level), and every edge attached to the cluster is removed.
+     * @param {string} id - ID of the cluster to remove.
+     * @returns {boolean} `true` if the cluster was found and removed.
+     */
+    removeCluster(id) {
+        const clusterOpts = this._clusters.get(id);
+        if (!clusterOpts) {
+            console.warn(`Cannot remove cluster: no cluster with ID '${id}' exists.`);
+            return false;
+        }
+        this._clusters.delete(id);
+        const reparent = (items) => {
+            items.forEach((opts, key) => {
+                if (opts.parent === id) {
+                    items.set(key, { ...opts, parent: clusterOpts.parent });
+                }
+            });
+        };
+        reparent(this._clusters);
+        reparent(this._nodes);
+        this._removeAttachedEdges(id);
+        return true;
+    }
 
-            const header = gNode.header();
-            const headerEntry = header.add(null, ['node-label'], nodeOpts.label || nodeOpts.id, nodeOpts.label || nodeOpts.id);
-            if (nodeOpts.style?.backgroundColor) headerEntry.backgroundColor = nodeOpts.style.backgroundColor;
-            if (nodeOpts.style?.borderColor) headerEntry.borderColor = nodeOpts.style.borderColor;
+    /**
+     * Constrains the ranks (layers) the dagre layout places nodes on, like Graphviz `rank=same`,
+     * `rank=min` and `rank=max` subgraphs. 'min' and 'max' apply within the innermost cluster
+     * containing all the nodes, or the whole graph. Edges going against a constraint are drawn
+     * reversed, and edges between nodes of the same constraint are drawn as arcs. Nodes hidden
+     * in collapsed clusters are ignored, as are the constraints when `options.layout` is not 'dagre'.
+     * Takes effect on the next `render()`.
+     * @param {object} constraint - The rank constraint.
+     * @param {string} constraint.type - 'same' to place the nodes on one rank, 'min' to place them on
+     * the first rank, or 'max' to place them on the last rank.
+     * @param {string[]} constraint.nodes - IDs of the nodes. A node can only be in one constraint.
+     * @throws {Error} If the constraint is invalid or one of its nodes already has a constraint.
+     */
+    addRankConstraint(constraint) {
+        this._rankConstraints.push(elements.rankConstraint(constraint, this._rankConstraints));
+    }
 
-            // Attach a click handler to the header to emit a general node click
-            headerEntry.on('click', () => {
-                this._emit('node:click', nodeOpts.id);
-            });
+    /**
+     * Collapses a cluster into a single summary node showing its label and the number of
+     * hidden nodes. Edges to and from its members are attached to the summary node, and
+     * edges between the same pair of nodes are merged. Re-renders the graph if it has been
+     * rendered, then emits `cluster:toggle`.
+     * @param {string} id - ID of the cluster to collapse.
+     * @returns {Promise<boolean>} Resolves with `true` if the cluster was expanded before.
+     */
+    async collapseCluster(id) {
+        return this._toggleCluster(id, true);
+    }
 
-            if (nodeOpts.arguments && Object.keys(nodeOpts.arguments).length > 0) {
-                const argList = gNode.list();
-                
-                // Attach a click handler to the argument list background
-                argList.on('click', () => {
-                    this._emit('node:click', nodeOpts.id);
-                });
-                
-                for (const [argName, argValue] of Object.entries(nodeOpts.arguments)) {
-                    const argument = new grapher.Argument(argName, argValue);
-                    if (argument.type === undefined) { // Simple value
-                        argument.separator = (nodeOpts.style && nodeOpts.style.argSeparator !== undefined) ? nodeOpts.style.argSeparator : ': ';
-                    }
-
-                    // Set the activate handler for the specific argument
-                    argument.activate = () => {
-                        this._emit('node:argument:click', {
-                            nodeId: nodeOpts.id,
-                            name: argName,
-                            value: argValue
-                        });
-                    };
-                    argList.add(argument);
-                }
-            }
-            // Pass initial dimensions if provided; grapher.Node.measure() will refine these
-            gNode.width = nodeOpts.style?.width || 0;
-            gNode.height = nodeOpts.style?.height || 0;
+    /**
+     * Expands a collapsed cluster. Re-renders the graph if it has been rendered, then
+     * emits `cluster:toggle`.
+     * @param {string} id - ID of the cluster to expand.
+     * @returns {Promise<boolean>} Resolves with `true` if the cluster was collapsed before.
+     */
+    async expandCluster(id) {
+        return this._toggleCluster(id, false);
+    }
 
-            this.grapherInstance.setNode(gNode);
-        });
+    /**
+     * Renders the graph in the specified container.
+     * The first call builds the SVG from scratch. Subsequent calls patch the existing
+     * SVG: only nodes, clusters and edges whose options changed are rebuilt and measured,
+     * and the layout is only recomputed when the topology, element sizes or layout
+     * options changed.
+     * @param {object} [renderOpts={}] - Rendering options.
+     * @param {boolean} [renderOpts.useWorker=false] - Whether to compute the layout in a Web Worker,
+     * keeping the page responsive. If it takes longer than `options.slowLayoutTimeout`, `layout:slow`
+     * is emitted with a function to cancel it. Custom layout engines always run on the main thread.
+     * @param {AbortSignal} [renderOpts.signal] - Aborts the render. A pending layout is stopped if it
+     * runs in a worker, and the SVG is not updated.
+     * @returns {Promise<void>} A promise that resolves when rendering is complete, or when a newer
+     * `render()` call supersedes this one. Rejects with the signal's reason, an `AbortError` by
+     * default, if the render is aborted.
+     */
+    async render(renderOpts = {}) {
+        const signal = renderOpts.signal;
+        this._throwIfAborted(signal);
+        // Identifies the latest render, which is the only one allowed to update the SVG
+        const token = {};
+        this._renderToken = token;
+        if (!this.grapherInstance || !this._svgElement || this._svgElement.parentNode !== this.container) {
+            this.container.innerHTML = ''; // Clear previous content
 
-        // 3. Set parent-child relationships for compound graph
-        if (this.options.compound) {
-            this._clusters.forEach(clusterOpts => {
-                if (clusterOpts.parent) {
-                    this.grapherInstance.setParent(clusterOpts.id, clusterOpts.parent);
-                }
+            this._svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            this.container.appendChild(this._svgElement);
+            let origin = this._svgElement;
+            if (this._viewport) {
+                this._viewport.destroy();
+                this._viewport = null;
+                this._viewportElement = null;
+            }
+            if (this._boxSelection) {
+                this._boxSelection.destroy();
+                this._boxSelection = null;
+            }
+            if (this._nodeDrag) {
+                this._nodeDrag.destroy();
+                this._nodeDrag = null;
+            }
+            if (this.options.panZoom) {
+                // The SVG fills the container and the content is transformed within it
+                this._svgElement.setAttribute('width', '100%');
+                this._svgElement.setAttribute('height', '100%');
+                this._svgElement.style.display = 'block';
+                this._viewportElement = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+                this._viewportElement.setAttribute('class', 'viewport');
+                this._svgElement.appendChild(this._viewportElement);
+                this._viewport = new Viewport(this._svgElement, this._viewportElement, {
+                    minZoom: this.options.minZoom,
+                    maxZoom: this.options.maxZoom,
+                    onChange: (transform) => this._emit('viewport:change', transform),
+                    filter: (e) => !e.shiftKey, // Shift+drag selects instead
+                });
+                origin = this._viewportElement;
+            }
+            this._boxSelection = new BoxSelection(this._svgElement, origin, {
+                // Without pan and zoom, dragging a node moves it rather than starting a box
+                filter: (e) => e.shiftKey || (!this.options.panZoom && !this._draggableNodeAt(e)),
+                toGraph: (clientX, clientY) => this._clientToGraph(clientX, clientY),
+                onSelect: (box, e) => this._selectBox(box, e),
             });
-            this._nodes.forEach(nodeOpts => {
-                if (nodeOpts.parent) {
-                    this.grapherInstance.setParent(nodeOpts.id, nodeOpts.parent);
+            if (this.options.draggableNodes) {
+                this._nodeDrag = new NodeDrag(this._svgElement, {
+                    nodeAt: (e) => e.shiftKey ? null : this._draggableNodeAt(e), // Shift+drag selects instead
+                    toGraph: (clientX, clientY) => this._clientToGraph(clientX, clientY),
+                    onMove: (id, x, y) => this._moveNode(id, x, y),
+                    onEnd: (id, x, y) => this._dropNode(id, x, y),
+                });
+            }
+            // Node and edge clicks stop propagating, so clicks reaching the SVG hit the background
+            this._svgElement.addEventListener('click', (e) => {
+                if (!this._isAdditive(e)) {
+                    this.clearSelection();
                 }
             });
+            this.grapherInstance = new grapher.Graph(this.options.compound);
+            this.grapherInstance.identifier = "graphjs-render"; // For potential logging in grapher.js
+            // Creates the empty groups that nodes and edges are built into
+            this.grapherInstance.build(document, origin);
+            this._layoutSignature = null;
+            this._viewInitialized = false;
         }
+        const gInstance = this.grapherInstance;
 
-        // 4. Create and set grapher.Edge instances
-        this._edges.forEach(edgeOpts => {
-            const sourceNodeEntry = this.grapherInstance.node(edgeOpts.from);
-            const targetNodeEntry = this.grapherInstance.node(edgeOpts.to);
+        // 1. Synchronize grapher.js objects with the model, building and measuring only what changed
+        const changes = this._syncGraph(gInstance);
 
-            if (!sourceNodeEntry || !targetNodeEntry) {
-                console.warn(`Skipping edge from '${edgeOpts.from}' to '${edgeOpts.to}': one or both nodes not found.`);
+        // 2. Configure grapher.Graph options for its internal layout process
+        gInstance.options = elements.layoutOptions(this.options, this._rankConstraints);
+
+        // 3. Perform layout if anything affecting it changed since the last successful layout
+        const layoutSignature = JSON.stringify(gInstance.options);
+        this._layoutPending = this._layoutPending || changes.layout || layoutSignature !== this._layoutSignature;
+        const presetLayout = this._presetLayout;
+        this._presetLayout = null;
+        if (this._layoutPending && presetLayout && this._applyPresetLayout(gInstance, presetLayout)) {
+            changes.nodes.forEach(gNode => gNode.layout());
+            this._layoutPending = false;
+            this._layoutSignature = layoutSignature;
+        } else if (this._layoutPending) {
+            const worker = renderOpts.useWorker ? this._getLayoutWorker() : undefined;
+            // The worker may be running the layout of a newer render by the time this one is aborted
+            const abort = () => {
+                if (worker && this._renderToken === token) {
+                    worker.cancel();
+                }
+            };
+            if (signal) {
+                signal.addEventListener('abort', abort);
+            }
+            let layoutResult;
+            let layoutError = null;
+            try {
+                layoutResult = await gInstance.layout(worker);
+            } catch (error) {
+                layoutError = error;
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+            }
+            // Leave the SVG alone if the caller gave up on this render or a newer one started.
+            // The layout stays pending, so the next render computes it again.
+            this._throwIfAborted(signal);
+            if (this._renderToken !== token) {
                 return;
             }
+            if (layoutError) {
+                console.error('Error during graph layout:', layoutError);
+                return;
+            }
+            if (layoutResult === 'graph-layout-cancelled') {
+                console.warn('Graph layout was cancelled.');
+                return;
+            }
+            this._layoutPending = false;
+            this._layoutSignature = layoutSignature;
+        } else {
+            // Positions are unchanged, only the blocks of rebuilt nodes need laying out
+            changes.nodes.forEach(gNode => gNode.layout());
+        }
 
-            const gEdge = new grapher.Edge(sourceNodeEntry.label, targetNodeEntry.label);
-            gEdge.v = edgeOpts.from; // Source node name for grapher.Graph
-            gEdge.w = edgeOpts.to;   // Target node name for grapher.Graph
+        // Pinned nodes keep their positions, whether or not the layout changed
+        pinNodes(gInstance, this._nodes.values());
 
-            if (edgeOpts.id) gEdge.id = edgeOpts.id; // For SVG element ID
-            gEdge.class = edgeOpts.styleClass || '';
-            gEdge.label = edgeOpts.label || '';
+        // 4. Apply custom styles to the SVG elements
+        elements.applyCustomStyles(gInstance, document);
 
-            // Properties for Dagre layout (used by grapher.Graph.layout)
-            gEdge.minlen = edgeOpts.minlen || 1;
-            gEdge.weight = edgeOpts.weight || 1;
-            // grapher.Edge.width & height are for its label, calculated by grapher.Graph.build or layout
-            // grapher.Edge.labeloffset and labelpos are used by grapher.Graph.layout
+        // 5. Update SVG with layout coordinates and final appearances
+        gInstance.update();
+        this._applySelection(gInstance);
 
-            this.grapherInstance.setEdge(gEdge);
-        });
+        // 6. Show the content: reset the view once, later renders keep the user's pan and zoom
+        if (this._viewport) {
+            if (!this._viewInitialized) {
+                this._viewInitialized = true;
+                this.resetView();
+            }
+        } else {
+            this._fitSvgToContent(this._svgElement);
+        }
+    }
 
-        // 5. Configure grapher.Graph options for its internal layout process
-        // Workaround for the layout logic bug in grapher.js
-        let grapherLayoutDirection = this.options.direction;
-        if (this.options.direction === 'TB' || this.options.direction === 'BT') {
-            grapherLayoutDirection = 'vertical';
+    /**
+     * Releases the resources of the graph: stops renders in progress and a layout running in
+     * a worker, stops the worker and removes the pan, zoom and selection listeners. The rendered
+     * SVG is left in place.
+     */
+    destroy() {
+        this._renderToken = null; // Renders in progress resolve without updating the SVG
+        if (this._layoutWorker) {
+            this._layoutWorker.terminate();
+            this._layoutWorker = null;
+        }
+        if (this._viewport) {
+            this._viewport.destroy();
+            this._viewport = null;
         }
+        if (this._boxSelection) {
+            this._boxSelection.destroy();
+            this._boxSelection = null;
+        }
+        if (this._nodeDrag) {
+            this._nodeDrag.destroy();
+            this._nodeDrag = null;
+        }
+    }
 
-        this.grapherInstance.options = {
-            direction: grapherLayoutDirection,
-            // dagre specific options that grapher.Graph.layout might use:
-            nodesep: this.options.nodeSep,
-            ranksep: this.options.rankSep,
-            // Add other dagre options here if grapher.Graph.layout supports them
-        };
-        this.grapherInstance.identifier = "graphjs-render"; // For potential logging in grapher.js
+    /**
+     * Zooms the rendered graph. Requires `options.panZoom`.
+     * @param {number} scale - The zoom level, clamped to `options.minZoom` and `options.maxZoom`.
+     * @param {{x: number, y: number}} [point] - Graph coordinates to keep in place on screen.
+     * Defaults to the point at the center of the container.
+     */
+    zoomTo(scale, point) {
+        const viewport = this._requireViewport('zoomTo');
+        if (viewport) {
+            viewport.zoomTo(scale, point);
+        }
+    }
 
-        // 6. Build SVG structure (creates the actual SVG elements)
-        const svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        this.container.appendChild(svgElement);
-        this.grapherInstance.build(document, svgElement);
+    /**
+     * Pans the rendered graph so that a point is at the center of the container.
+     * Requires `options.panZoom`.
+     * @param {number} x - Horizontal graph coordinate.
+     * @param {number} y - Vertical graph coordinate.
+     */
+    panTo(x, y) {
+        const viewport = this._requireViewport('panTo');
+        if (viewport) {
+            viewport.panTo(x, y);
+        }
+    }
 
-        // 7. Perform measurements (important for layout, now that elements are built)
-        this.grapherInstance.measure();
+    /**
+     * Scales and centers the rendered graph to fit the container. Graphs that already
+     * fit are centered without being enlarged. Requires `options.panZoom`.
+     */
+    fitToContainer() {
+        const viewport = this._requireViewport('fitToContainer');
+        if (viewport) {
+            viewport.fit(this._viewportElement.getBBox(), 20, 1);
+        }
+    }
 
-        // 8. Perform layout
-        try {
-            const layoutResult = await this.grapherInstance.layout(); // Assumes grapher.Graph.layout uses Dagre
-            if (layoutResult === 'graph-layout-cancelled') {
-                console.warn('Graph layout was cancelled.');
-                return;
-            }
-        } catch (error) {
-            console.error('Error during graph layout:', error);
-            return;
+    /**
+     * Resets the view of the rendered graph to 100% zoom with the top-left corner of the
+     * graph in view. This is the initial view after the first render. Requires `options.panZoom`.
+     */
+    resetView() {
+        const viewport = this._requireViewport('resetView');
+        if (viewport) {
+            const bbox = this._viewportElement.getBBox();
+            const margin = 20;
+            viewport.setTransform(margin - bbox.x, margin - bbox.y, 1);
         }
+    }
 
-        // 9. Apply custom styles after SVG elements are created
-        this._applyCustomStyles(this.grapherInstance);
+    /**
+     * Returns the current pan and zoom of the rendered graph.
+     * @returns {{x: number, y: number, scale: number} | null} The translation and zoom level,
+     * or `null` if the graph has not been rendered with `options.panZoom`.
+     */
+    getViewport() {
+        return this._viewport ? this._viewport.transform : null;
+    }
 
-        // 10. Update SVG with layout coordinates and final appearances
-        this.grapherInstance.update();
+    /**
+     * Centers a rendered node or cluster in the view, makes it the only selected element
+     * and emits `node:focus`. Without `options.panZoom` the container
+     * is scrolled instead, and `zoom` is ignored.
+     * @param {string} id - ID of the node or cluster to focus.
+     * @param {object} [focusOpts={}] - Focus options.
+     * @param {number} [focusOpts.zoom] - Zoom level to show the node at. Defaults to the current zoom level.
+     * @param {boolean} [focusOpts.animate=true] - Whether to move to the node smoothly.
+     * @returns {Promise<boolean>} Resolves when the node is centered, with `false` if no such node has been rendered.
+     */
+    async focusNode(id, focusOpts = {}) {
+        const entry = this.grapherInstance ? this.grapherInstance.node(id) : null;
+        if (!entry || !entry.label.element) {
+            console.warn(`Cannot focus node: no rendered node with ID '${id}' exists.`);
+            return false;
+        }
+        const gNode = entry.label;
+        const animate = focusOpts.animate !== false;
+        this._changeSelection([id], []);
+        this._emit('node:focus', id);
 
-        // 11. Fit SVG to its content
-        this._fitSvgToContent(svgElement);
+        if (this._viewport) {
+            const scale = focusOpts.zoom === undefined ? this._viewport.transform.scale : focusOpts.zoom;
+            await this._viewport.centerOn({ x: gNode.x, y: gNode.y }, scale, animate ? 300 : 0);
+        } else {
+            // The SVG shows its viewBox at 100%, starting at the viewBox origin
+            const viewBox = (this._svgElement.getAttribute('viewBox') || '0 0').split(' ').map(Number);
+            const svgRect = this._svgElement.getBoundingClientRect();
+            const containerRect = this.container.getBoundingClientRect();
+            const left = this.container.scrollLeft + svgRect.left - containerRect.left + gNode.x - viewBox[0] - this.container.clientWidth / 2;
+            const top = this.container.scrollTop + svgRect.top - containerRect.top + gNode.y - viewBox[1] - this.container.clientHeight / 2;
+            if (typeof this.container.scrollTo === 'function') {
+                this.container.scrollTo({ left, top, behavior: animate ? 'smooth' : 'auto' });
+            } else {
+                this.container.scrollLeft = left;
+                this.container.scrollTop = top;
+            }
+        }
+        return true;
+    }
 
-        // 12. Attach event listeners
-        this._attachEventListeners(this.grapherInstance);
+    /**
+     * Returns the selected nodes and edges. Edges are identified by their `id`, or else by
+     * `'<from>-><to>'`, with a `#<n>` suffix for the n-th further unnamed edge between the same nodes.
+     * @returns {{nodes: string[], edges: string[]}} The IDs of the selected nodes, clusters and edges.
+     */
+    getSelection() {
+        return { nodes: Array.from(this._selection.nodes), edges: Array.from(this._selection.edges) };
+    }
+
+    /**
+     * Replaces the selection. IDs of elements that are not rendered are dropped on the next `render()`.
+     * @param {{nodes?: string[], edges?: string[]}} selection - The IDs of the nodes, clusters and edges
+     * to select (see `getSelection` for edge IDs).
+     */
+    setSelection(selection) {
+        this._changeSelection((selection && selection.nodes) || [], (selection && selection.edges) || []);
+    }
+
+    /**
+     * Deselects all nodes and edges.
+     */
+    clearSelection() {
+        this._changeSelection([], []);
     }
 
     /**
@@ -308,53 +667,364 @@ export class GraphLibrary {
         this._eventListeners.get(eventType).push(callback);
     }
 
+    /**
+     * Serializes the graph model to a JSON-compatible object. Functions, custom layout engines
+     * and `grapher.Node` argument values cannot be serialized.
+     * @param {object} [serializeOpts={}] - Serialization options.
+     * @param {boolean} [serializeOpts.layout=false] - Whether to include the computed node positions
+     * and edge points, so that `fromJSON` can restore the graph without recomputing the layout.
+     * Requires the graph to have been rendered.
+     * @returns {object} The serialized graph: `{ version, options, clusters, nodes, edges, rankConstraints?, layout? }`.
+     */
+    toJSON(serializeOpts = {}) {
+        // JSON.stringify() calls toJSON() with the property name
+        if (!serializeOpts || typeof serializeOpts !== 'object') {
+            serializeOpts = {};
+        }
+        const json = {
+            version: 1,
+            options: { ...this.options },
+            clusters: Array.from(this._clusters.values()),
+            nodes: Array.from(this._nodes.values()),
+            edges: this._edges.slice(),
+        };
+        if (this._rankConstraints.length > 0) {
+            json.rankConstraints = this._rankConstraints.map(constraint => ({ ...constraint, nodes: constraint.nodes.slice() }));
+        }
+        if (typeof json.options.layout !== 'string') {
+            delete json.options.layout;
+        }
+        if (serializeOpts.layout) {
+            const gInstance = this.grapherInstance;
+            if (!gInstance || this._layoutPending || this._layoutSignature === null) {
+                console.warn('Cannot serialize the layout: render the graph first.');
+            } else {
+                const layout = { nodes: {}, edges: {} };
+                gInstance.nodes.forEach((entry, id) => {
+                    const gNode = entry.label;
+                    layout.nodes[id] = { x: gNode.x, y: gNode.y, width: gNode.width, height: gNode.height };
+                });
+                gInstance.edges.forEach((edge) => {
+                    const gEdge = edge.label;
+                    layout.edges[gEdge._selectionId] = gEdge.x === undefined ?
+                        { points: gEdge.points } :
+                        { points: gEdge.points, x: gEdge.x, y: gEdge.y };
+                });
+                json.layout = layout;
+            }
+        }
+        return json;
+    }
+
+    /**
+     * Creates a graph from the output of `toJSON`. If the JSON includes a layout, the
+     * first `render()` uses it instead of computing a new one, as long as it covers every
+     * rendered node and edge.
+     * @param {HTMLElement} container - The HTML element where the graph will be rendered.
+     * @param {string|object} json - The serialized graph, as a JSON string or object.
+     * @returns {GraphLibrary} The graph.
+     */
+    static fromJSON(container, json) {
+        const spec = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Graph JSON must be an object or a JSON string.');
+        }
+        if (spec.version !== 1) {
+            throw new Error(`Unsupported graph JSON version '${spec.version}'.`);
+        }
+        const graph = GraphLibrary._fromSpec(container, spec, {});
+        graph._presetLayout = spec.layout || null;
+        return graph;
+    }
+
+    /**
+     * Creates a graph from Graphviz DOT source. Nodes, edges and `subgraph cluster*` blocks
+     * become nodes, edges and clusters, with a `cluster_` prefix removed from their IDs. The `label`, `class` (as `styleClass`), `minlen`,
+     * `weight` and edge `id` attributes, `shape=record` labels (as the label and arguments),
+     * the graph's `rankdir` (as `direction`) and the `rank` of subgraphs (as rank constraints)
+     * are used; other attributes are ignored.
+     * @param {HTMLElement} container - The HTML element where the graph will be rendered.
+     * @param {string} dotText - The DOT source of a `digraph`.
+     * @param {object} [options={}] - Graph options (see the constructor), overriding those from the DOT source.
+     * @returns {GraphLibrary} The graph.
+     * @throws {DotError} If the source is invalid or uses unsupported features such as undirected
+     * graphs, ports or HTML-like labels. The error has `line` and `column` properties.
+     */
+    static fromDot(container, dotText, options = {}) {
+        return GraphLibrary._fromSpec(container, dot.parse(dotText), options);
+    }
+
+    /**
+     * Creates a graph from a Mermaid flowchart. Nodes of any shape, links and `subgraph` blocks
+     * become nodes, edges and clusters, and links with two arrows (`<-->`) become an edge in each
+     * direction. Link labels, link lengths (as `minlen`), `:::` and `class` assignments (as
+     * `styleClass`) and the flowchart direction are used; styles, click handlers and invisible
+     * `~~~` links are ignored.
+     * @param {HTMLElement} container - The HTML element where the graph will be rendered.
+     * @param {string} mermaidText - The source of a `flowchart` or `graph`.
+     * @param {object} [options={}] - Graph options (see the constructor), overriding those from the Mermaid source.
+     * @returns {GraphLibrary} The graph.
+     * @throws {MermaidError} If the source is invalid or uses unsupported features such as links
+     * to subgraphs or circle and cross link ends. The error has `line` and `column` properties.
+     */
+    static fromMermaid(container, mermaidText, options = {}) {
+        return GraphLibrary._fromSpec(container, mermaid.parse(mermaidText), options);
+    }
+
+    /**
+     * @private
+     * Creates a graph from plain node, edge and cluster options and rank constraints.
+     * @param {HTMLElement} container - The HTML element where the graph will be rendered.
+     * @param {{options?: object, clusters?: object[], nodes?: object[], edges?: object[], rankConstraints?: object[]}} spec - The graph.
+     * @param {object} options - Graph options overriding `spec.options`.
+     * @returns {GraphLibrary} The graph.
+     */
+    static _fromSpec(container, spec, options) {
+        const graph = new GraphLibrary(container, { ...spec.options, ...options });
+        (spec.clusters || []).forEach(clusterOpts => graph.addCluster(clusterOpts));
+        (spec.nodes || []).forEach(nodeOpts => graph.addNode(nodeOpts));
+        (spec.edges || []).forEach(edgeOpts => graph.addEdge(edgeOpts));
+        (spec.rankConstraints || []).forEach(constraint => graph.addRankConstraint(constraint));
+        return graph;
+    }
+
+    /**
+     * Exports the graph model as Graphviz DOT source. Clusters become nested `subgraph cluster_*`
+     * blocks, their IDs prefixed with `cluster_`, which `fromDot` removes. Nodes with arguments become
+     * `record` shapes. Edges ending at a cluster are left out with a warning, as DOT edges can
+     * only connect nodes. The output follows the order in which items were added.
+     * @returns {string} The DOT source of a `digraph`.
+     */
+    toDot() {
+        return dot.write(this._exportModel());
+    }
+
+    /**
+     * Exports the graph model as a Mermaid flowchart. Clusters become nested subgraphs and
+     * arguments are listed below the node label. IDs that are not valid Mermaid identifiers
+     * are replaced with generated ones. The output follows the order in which items were added.
+     * @returns {string} The Mermaid source.
+     */
+    toMermaid() {
+        return mermaid.write(this._exportModel());
+    }
+
+    /**
+     * Exports the graph model as GraphML. Clusters become nodes with nested graphs and each
+     * argument name becomes a node attribute key. The output follows the order in which items
+     * were added.
+     * @returns {string} The GraphML document.
+     */
+    toGraphML() {
+        return graphml.write(this._exportModel());
+    }
+
+    /**
+     * @private
+     * Builds the cluster tree shared by the exporters. Arguments whose values are
+     * `grapher.Node` instances cannot be exported and are left out.
+     * @returns {{direction: string, graph: {clusters: object[], nodes: object[]}, edges: object[]}}
+     */
+    _exportModel() {
+        const root = { clusters: [], nodes: [] };
+        const graphs = new Map();
+        for (const [id, clusterOpts] of this._clusters) {
+            graphs.set(id, { id, label: clusterOpts.label || '', styleClass: clusterOpts.styleClass, clusters: [], nodes: [] });
+        }
+        for (const [id, clusterOpts] of this._clusters) {
+            (graphs.get(clusterOpts.parent) || root).clusters.push(graphs.get(id));
+        }
+        for (const [id, nodeOpts] of this._nodes) {
+            const args = Object.entries(nodeOpts.arguments || {})
+                .filter(([, value]) => new grapher.Argument('', value).type === undefined)
+                .map(([name, value]) => [name, String(value)]);
+            const node = { id, label: nodeOpts.label === undefined ? id : String(nodeOpts.label), styleClass: nodeOpts.styleClass, arguments: args };
+            (graphs.get(nodeOpts.parent) || root).nodes.push(node);
+        }
+        return { direction: this.options.direction, graph: root, edges: this._edges.slice() };
+    }
+
     /**
      * Saves the rendered graph as an SVG file, embedding all CSS styles.
      * @param {string} [filename='graph.svg'] - The desired filename for the SVG file.
+     * @throws {Error} If the graph has not been rendered.
      */
     saveSvg(filename = 'graph.svg') {
+        this._download(new Blob([this.toSvgString()], { type: 'image/svg+xml;charset=utf-8' }), filename);
+    }
+
+    /**
+     * Saves the rendered graph as a PNG file. See `toPngBlob` for the options.
+     * @param {string} [filename='graph.png'] - The desired filename for the PNG file.
+     * @param {object} [pngOpts={}] - Rasterization options.
+     * @param {number} [pngOpts.scale=window.devicePixelRatio] - Pixels per SVG unit.
+     * @param {string} [pngOpts.background] - CSS color to fill the background with. Transparent by default.
+     * @returns {Promise<void>} Resolves once the download has started. Rejects if the graph has not been rendered.
+     */
+    async savePng(filename = 'graph.png', pngOpts = {}) {
+        this._download(await this.toPngBlob(pngOpts), filename);
+    }
+
+    /**
+     * Returns the rendered graph as standalone SVG markup, showing the whole graph
+     * rather than the part currently in view.
+     * @param {object} [svgOpts={}] - Export options.
+     * @param {boolean|string} [svgOpts.embedStyles=true] - Whether to embed the CSS rules of the document's
+     * stylesheets in a `<style>` element. `true` embeds only the rules that match elements of the graph,
+     * `'all'` embeds every rule.
+     * @param {boolean} [svgOpts.inlineComputedStyles=false] - Whether to copy the computed presentation
+     * styles of every element into its `style` attribute, for tools that ignore `<style>` elements.
+     * @param {number} [svgOpts.padding=20] - Space around the graph, in SVG units.
+     * @returns {string} The SVG markup.
+     * @throws {Error} If the graph has not been rendered or an option is invalid.
+     */
+    toSvgString(svgOpts = {}) {
+        return this._serializeSvg(svgOpts).svgData;
+    }
+
+    /**
+     * Rasterizes the rendered graph to a PNG image. The image shows the same SVG, with
+     * embedded styles, that `saveSvg` saves. Web fonts are not embedded and fall back
+     * to system fonts.
+     * @param {object} [pngOpts={}] - Rasterization options.
+     * @param {number} [pngOpts.scale=window.devicePixelRatio] - Pixels per SVG unit, e.g. `2` for
+     * high-density screens.
+     * @param {string} [pngOpts.background] - CSS color to fill the background with, e.g. `'#fff'`.
+     * Transparent by default.
+     * @returns {Promise<Blob>} The PNG image.
+     * @throws {Error} If the graph has not been rendered or the scale is invalid.
+     */
+    async toPngBlob(pngOpts = {}) {
+        const scale = pngOpts.scale === undefined ? (window.devicePixelRatio || 1) : pngOpts.scale;
+        if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+            throw new Error(`Invalid scale '${scale}'. Expected a positive number.`);
+        }
+        const image = this._serializeSvg({});
+        const img = new Image();
+        await new Promise((resolve, reject) => {
+            img.onload = resolve;
+            img.onerror = () => reject(new Error('Failed to load the SVG image for rasterization.'));
+            // A data URL, unlike a blob URL, does not taint the canvas in Safari
+            img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(image.svgData)}`;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const context = canvas.getContext('2d');
+        if (pngOpts.background) {
+            context.fillStyle = pngOpts.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Failed to encode the PNG image.')), 'image/png');
+        });
+    }
+
+    /**
+     * @private
+     * Serializes a standalone copy of the rendered SVG. See `toSvgString` for the options.
+     * @param {object} svgOpts - Export options.
+     * @returns {{svgData: string, width: number, height: number}} The SVG markup and size.
+     */
+    _serializeSvg(svgOpts) {
+        const embedStyles = svgOpts.embedStyles === undefined ? true : svgOpts.embedStyles;
+        if (![true, false, 'all'].includes(embedStyles)) {
+            throw new Error(`Invalid embedStyles '${embedStyles}'. Expected true, false or 'all'.`);
+        }
+        const padding = svgOpts.padding === undefined ? 20 : svgOpts.padding;
+        if (typeof padding !== 'number' || !Number.isFinite(padding) || padding < 0) {
+            throw new Error(`Invalid padding '${padding}'. Expected a non-negative number.`);
+        }
         const svgElement = this.container.querySelector('svg');
-        if (!svgElement) {
-            console.error('SVG element not found. Please render the graph first.');
-            alert('Please render a graph before trying to save it.');
-            return;
+        if (!svgElement || !this.grapherInstance) {
+            throw new Error('SVG element not found. Please render the graph first.');
         }
 
         // Clone the SVG element to avoid modifying the one in the DOM
+        // XMLSerializer declares the SVG namespace
         const svgClone = svgElement.cloneNode(true);
-        svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-
-        // Create a <style> element
-        const styleElement = document.createElement('style');
-        
-        // Aggregate all CSS rules from document stylesheets
-        let cssText = '';
-        for (const styleSheet of Array.from(document.styleSheets)) {
-            try {
-                if (styleSheet.cssRules) {
-                    for (const rule of Array.from(styleSheet.cssRules)) {
-                        cssText += rule.cssText + '\n';
-                    }
-                }
-            } catch (e) {
-                console.warn("Cannot read cross-origin stylesheet. Styles from it won't be embedded.", e);
+        if (svgOpts.inlineComputedStyles) {
+            this._inlineComputedStyles(svgElement, svgClone);
+        }
+        // Save the whole graph rather than the part currently in view
+        const bbox = (this._viewportElement || svgElement).getBBox();
+        const width = bbox.width + padding * 2;
+        const height = bbox.height + padding * 2;
+        if (this._viewportElement) {
+            svgClone.querySelector('g.viewport').removeAttribute('transform');
+            // Drop the styles that make the SVG fill the container
+            svgClone.style.removeProperty('display');
+            svgClone.style.removeProperty('touch-action');
+            svgClone.style.removeProperty('cursor');
+            if (!svgClone.getAttribute('style')) {
+                svgClone.removeAttribute('style');
             }
         }
-        
-        styleElement.textContent = cssText;
+        svgClone.setAttribute('viewBox', `${bbox.x - padding} ${bbox.y - padding} ${width} ${height}`);
+        svgClone.setAttribute('width', String(width));
+        svgClone.setAttribute('height', String(height));
+
+        if (embedStyles) {
+            // Match against the clone, as rules depending on the page around the SVG don't apply to the file
+            const styleElement = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+            styleElement.textContent = collectCss(document.styleSheets, embedStyles === 'all' ? null : svgClone);
 
-        // Add the <style> element to the <defs> section of the SVG
-        let defs = svgClone.querySelector('defs');
-        if (!defs) {
-            defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-            svgClone.prepend(defs);
+            // Add the <style> element to the <defs> section of the SVG
+            let defs = svgClone.querySelector('defs');
+            if (!defs) {
+                defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+                svgClone.prepend(defs);
+            }
+            defs.appendChild(styleElement);
         }
-        defs.appendChild(styleElement);
-        
-        const svgData = svgClone.outerHTML;
-        const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
 
+        return { svgData: new XMLSerializer().serializeToString(svgClone), width, height };
+    }
+
+    /**
+     * @private
+     * Copies the computed presentation styles of an SVG element and its descendants
+     * into the `style` attributes of a clone. Inherited values equal to the parent's
+     * are left out to keep the markup small.
+     * @param {Element} element - The rendered element.
+     * @param {Element} clone - Its clone.
+     */
+    _inlineComputedStyles(element, clone) {
+        const properties = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+            'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'display', 'font-family',
+            'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+            'marker-start', 'marker-end'
+        ];
+        const inherited = new Set([
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+            'stroke-linecap', 'stroke-linejoin', 'visibility', 'font-family', 'font-size', 'font-weight',
+            'font-style', 'text-anchor', 'marker-start', 'marker-end'
+        ]);
+        const visit = (source, target, parentStyle) => {
+            const computed = window.getComputedStyle(source);
+            for (const property of properties) {
+                const value = computed.getPropertyValue(property);
+                if (value && !(inherited.has(property) && parentStyle && parentStyle.getPropertyValue(property) === value)) {
+                    target.style.setProperty(property, value);
+                }
+            }
+            for (let i = 0; i < source.children.length; i++) {
+                visit(source.children[i], target.children[i], computed);
+            }
+        };
+        visit(element, clone, null);
+    }
+
+    /**
+     * @private
+     * Lets the browser download a blob as a file.
+     * @param {Blob} blob - The file content.
+     * @param {string} filename - The file name.
+     */
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
         a.download = filename;
@@ -364,7 +1034,6 @@ export class GraphLibrary {
         URL.revokeObjectURL(url);
     }
 
-
     /**
      * @private
      * Emits an event to all registered listeners.
@@ -385,52 +1054,584 @@ export class GraphLibrary {
 
     /**
      * @private
-     * Applies custom styles to the generated SVG elements.
-     * This is called after `grapherInstance.build()`.
+     * Throws the reason of an aborted signal.
+     * @param {AbortSignal} [signal] - The signal.
+     * @throws {DOMException} The signal's reason, an `AbortError` by default, if it was aborted.
+     */
+    _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason !== undefined ? signal.reason : new DOMException('The render was aborted.', 'AbortError');
+        }
+    }
+
+    /**
+     * @private
+     * Returns the worker running layouts for `render({ useWorker: true })`, creating it on first use.
+     * @returns {LayoutWorker|undefined} The worker, or `undefined` if Web Workers are not available.
+     */
+    _getLayoutWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers are not available. Computing the layout on the main thread.');
+            return undefined;
+        }
+        if (!this._layoutWorker) {
+            this._layoutWorker = new LayoutWorker({
+                timeout: this.options.slowLayoutTimeout,
+                onSlow: (notification) => this._emit('layout:slow', notification),
+                onEnd: (result) => this._emit('layout:end', result),
+            });
+        }
+        return this._layoutWorker;
+    }
+
+    /**
+     * @private
+     * Collapses or expands a cluster, re-renders and emits `cluster:toggle`.
+     * @param {string} id - ID of the cluster.
+     * @param {boolean} collapsed - Whether the cluster should be collapsed.
+     * @returns {Promise<boolean>} Resolves with `true` if the cluster state changed.
+     */
+    async _toggleCluster(id, collapsed) {
+        const clusterOpts = this._clusters.get(id);
+        if (!clusterOpts) {
+            console.warn(`Cannot ${collapsed ? 'collapse' : 'expand'} cluster: no cluster with ID '${id}' exists.`);
+            return false;
+        }
+        if (!!clusterOpts.collapsed === collapsed) {
+            return false;
+        }
+        this._clusters.set(id, { ...clusterOpts, collapsed });
+        if (this.grapherInstance) {
+            await this.render();
+        }
+        this._emit('cluster:toggle', { id, collapsed });
+        return true;
+    }
+
+    /**
+     * @private
+     * Computes the nodes, clusters and edges to render, taking collapsed clusters into account.
+     * See `visibleModel` in elements.js.
+     * @returns {{nodes: Map<string, object>, clusters: Map<string, object>, edges: object[]}}
+     * The options of the visible elements.
+     */
+    _visibleModel() {
+        return elements.visibleModel(this._nodes, this._clusters, this._edges);
+    }
+
+    /**
+     * @private
+     * Replaces the selection, updates the rendered elements and emits `selection:change`
+     * if anything changed.
+     * @param {Iterable<string>} nodes - IDs of the nodes and clusters to select.
+     * @param {Iterable<string>} edges - IDs of the edges to select.
+     */
+    _changeSelection(nodes, edges) {
+        nodes = new Set(nodes);
+        edges = new Set(edges);
+        const equals = (a, b) => a.size === b.size && Array.from(a).every(id => b.has(id));
+        if (equals(nodes, this._selection.nodes) && equals(edges, this._selection.edges)) {
+            return;
+        }
+        this._selection = { nodes, edges };
+        if (this.grapherInstance) {
+            this._applySelection(this.grapherInstance);
+        }
+        this._emit('selection:change', this.getSelection());
+    }
+
+    /**
+     * @private
+     * Selects a clicked node or edge. With Ctrl, Shift or Meta held, it is toggled
+     * within the selection instead.
+     * @param {'nodes'|'edges'} kind - Which kind of element was clicked.
+     * @param {string} id - The node ID or edge selection ID.
+     * @param {Event} [e] - The click event.
+     */
+    _clickSelect(kind, id, e) {
+        const selection = { nodes: new Set(), edges: new Set() };
+        if (this._isAdditive(e)) {
+            selection.nodes = new Set(this._selection.nodes);
+            selection.edges = new Set(this._selection.edges);
+            if (!selection[kind].delete(id)) {
+                selection[kind].add(id);
+            }
+        } else {
+            selection[kind].add(id);
+        }
+        this._changeSelection(selection.nodes, selection.edges);
+    }
+
+    /**
+     * @private
+     * Selects the nodes touched by a selection box, clusters lying completely inside it,
+     * and the edges between them. The box adds to the selection if a modifier key is held.
+     * @param {{x: number, y: number, width: number, height: number}} box - The box, in graph coordinates.
+     * @param {Event} e - The event that ended the box gesture.
+     */
+    _selectBox(box, e) {
+        const gInstance = this.grapherInstance;
+        const additive = e.ctrlKey || e.metaKey || (!this.options.panZoom && e.shiftKey);
+        const nodes = new Set(additive ? this._selection.nodes : []);
+        const edges = new Set(additive ? this._selection.edges : []);
+        const boxed = new Set();
+        gInstance.nodes.forEach((entry, id) => {
+            const gNode = entry.label;
+            const left = gNode.x - gNode.width / 2;
+            const top = gNode.y - gNode.height / 2;
+            const right = left + gNode.width;
+            const bottom = top + gNode.height;
+            const inside = gInstance.children(id).length > 0 ?
+                left >= box.x && right <= box.x + box.width && top >= box.y && bottom <= box.y + box.height :
+                left <= box.x + box.width && right >= box.x && top <= box.y + box.height && bottom >= box.y;
+            if (inside) {
+                boxed.add(id);
+                nodes.add(id);
+            }
+        });
+        gInstance.edges.forEach((edge) => {
+            if (boxed.has(edge.v) && boxed.has(edge.w)) {
+                edges.add(edge.label._selectionId);
+            }
+        });
+        this._changeSelection(nodes, edges);
+    }
+
+    /**
+     * @private
+     * Marks the selected grapher.js nodes and edges and unmarks all others. Selection IDs
+     * of elements that are no longer rendered are dropped.
+     * @param {grapher.Graph} gInstance - The grapher.Graph instance.
+     */
+    _applySelection(gInstance) {
+        const rendered = { nodes: new Set(), edges: new Set() };
+        gInstance.nodes.forEach((entry, id) => {
+            rendered.nodes.add(id);
+            if (this._selection.nodes.has(id)) {
+                entry.label.select();
+            } else {
+                entry.label.deselect();
+            }
+        });
+        gInstance.edges.forEach((edge) => {
+            rendered.edges.add(edge.label._selectionId);
+            if (this._selection.edges.has(edge.label._selectionId)) {
+                edge.label.select();
+            } else {
+                edge.label.deselect();
+            }
+        });
+        const nodes = Array.from(this._selection.nodes).filter(id => rendered.nodes.has(id));
+        const edges = Array.from(this._selection.edges).filter(id => rendered.edges.has(id));
+        if (nodes.length !== this._selection.nodes.size || edges.length !== this._selection.edges.size) {
+            this._changeSelection(nodes, edges);
+        }
+    }
+
+    /**
+     * @private
+     * Checks whether an event adds to the selection rather than replacing it.
+     * @param {Event} [e] - A click event.
+     * @returns {boolean} `true` if Ctrl, Shift or Meta is held.
+     */
+    _isAdditive(e) {
+        return !!e && (e.ctrlKey || e.shiftKey || e.metaKey);
+    }
+
+    /**
+     * @private
+     * Returns the node a pointer event may start dragging. Clusters and collapsed clusters
+     * cannot be dragged.
+     * @param {PointerEvent} e - The event.
+     * @returns {{id: string, x: number, y: number} | null} The node ID and center, or `null`.
+     */
+    _draggableNodeAt(e) {
+        const gInstance = this.grapherInstance;
+        if (!this.options.draggableNodes || !gInstance) {
+            return null;
+        }
+        for (const [id, entry] of gInstance.nodes) {
+            const gNode = entry.label;
+            if (this._nodes.has(id) && gInstance.children(id).length === 0 && gNode.element && gNode.element.contains(e.target)) {
+                return { id, x: gNode.x, y: gNode.y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     * Moves a rendered node and redraws it, its edges and the clusters containing it.
+     * @param {string} id - The node ID.
+     * @param {number} x - New horizontal center.
+     * @param {number} y - New vertical center.
+     */
+    _moveNode(id, x, y) {
+        const gInstance = this.grapherInstance;
+        if (!gInstance || !gInstance.hasNode(id)) {
+            return; // Removed by a render during the drag
+        }
+        const changed = moveNode(gInstance, id, x, y);
+        changed.nodes.forEach(nodeId => {
+            gInstance.updateNode(nodeId);
+            elements.placeClusterLabel(gInstance.node(nodeId).label); // Resized clusters
+        });
+        changed.edges.forEach(gEdge => gEdge.update());
+    }
+
+    /**
+     * @private
+     * Ends a node drag: pins the node at its new position, routes orthogonal edges again
+     * and emits `node:dragend`.
+     * @param {string} id - The node ID.
+     * @param {number} x - New horizontal center.
+     * @param {number} y - New vertical center.
+     */
+    _dropNode(id, x, y) {
+        this._moveNode(id, x, y);
+        // Orthogonal edges not attached to the node may now pass through it. They take the fewest
+        // bends rather than following their current points, which would add bends with every drop.
+        const gInstance = this.grapherInstance;
+        if (gInstance && gInstance.hasNode(id)) {
+            const routed = Array.from(gInstance.edges.values(), edge => edge.label)
+                .filter(gEdge => gEdge.routing === 'orthogonal');
+            routeEdges(gInstance, routed, false);
+            routed.forEach(gEdge => gEdge.update());
+        }
+        const nodeOpts = this._nodes.get(id);
+        if (nodeOpts) {
+            this._nodes.set(id, { ...nodeOpts, pinned: true, x, y });
+        }
+        if (!this._viewport && this._svgElement) {
+            this._fitSvgToContent(this._svgElement);
+        }
+        this._emit('node:dragend', { id, x, y });
+    }
+
+    /**
+     * @private
+     * Converts client coordinates to graph coordinates.
+     * @param {number} clientX - Horizontal client coordinate.
+     * @param {number} clientY - Vertical client coordinate.
+     * @returns {{x: number, y: number}} The graph point.
+     */
+    _clientToGraph(clientX, clientY) {
+        const rect = this._svgElement.getBoundingClientRect();
+        const point = { x: clientX - rect.left, y: clientY - rect.top };
+        if (this._viewport) {
+            return this._viewport.toGraph(point);
+        }
+        // Without a viewport, the SVG shows its viewBox at 100%
+        const viewBox = (this._svgElement.getAttribute('viewBox') || '0 0').split(' ').map(Number);
+        return { x: point.x + viewBox[0], y: point.y + viewBox[1] };
+    }
+
+    /**
+     * @private
+     * Returns the viewport, or warns if the graph cannot be panned and zoomed.
+     * @param {string} method - Name of the calling method, for the warning.
+     * @returns {Viewport | null} The viewport.
+     */
+    _requireViewport(method) {
+        if (!this._viewport) {
+            console.warn(`Cannot call ${method}(): ${this.options.panZoom ? 'render the graph first' : 'options.panZoom is disabled'}.`);
+        }
+        return this._viewport;
+    }
+
+    /**
+     * @private
+     * Checks whether stored edge options match an edge reference.
+     * @param {object} edgeOpts - The stored edge options.
+     * @param {string|object} edge - An edge `id`, or an object with `from`, `to` and/or `id`.
+     * @returns {boolean} `true` if the edge matches.
+     */
+    _matchEdge(edgeOpts, edge) {
+        if (typeof edge === 'string') {
+            return edgeOpts.id === edge;
+        }
+        if (!edge || (edge.from === undefined && edge.to === undefined && edge.id === undefined)) {
+            return false;
+        }
+        return (edge.from === undefined || edgeOpts.from === edge.from) &&
+            (edge.to === undefined || edgeOpts.to === edge.to) &&
+            (edge.id === undefined || edgeOpts.id === edge.id);
+    }
+
+    /**
+     * @private
+     * Removes every edge starting or ending at the given node or cluster.
+     * @param {string} id - The node or cluster ID.
+     */
+    _removeAttachedEdges(id) {
+        this._edges = this._edges.filter(edgeOpts => edgeOpts.from !== id && edgeOpts.to !== id);
+    }
+
+    /**
+     * @private
+     * Brings the grapher.js graph in line with the visible part of the model. Elements whose
+     * options are unchanged are kept as they are; new or changed ones are (re)built and measured.
      * @param {grapher.Graph} gInstance - The grapher.Graph instance.
+     * @returns {{layout: boolean, nodes: grapher.Node[]}} Whether the layout must be recomputed,
+     * and the leaf nodes that were (re)built.
      */
-    _applyCustomStyles(gInstance) {
-        gInstance.nodes.forEach((nodeEntry) => {
-            const gNode = nodeEntry.label; // This is the grapher.Node instance
-            if (gNode._isCluster && gNode.rectangle) {
-                // Style cluster rectangle
-                if (gNode._clusterBackgroundColor) {
-                    gNode.rectangle.style.fill = gNode._clusterBackgroundColor;
+    _syncGraph(gInstance) {
+        let layout = false;
+        const model = this._visibleModel();
+
+        // 1. Remove nodes and clusters that are no longer part of the model or are hidden
+        for (const key of Array.from(gInstance.nodes.keys())) {
+            if (!model.nodes.has(key) && !model.clusters.has(key)) {
+                gInstance.removeNode(key);
+                layout = true;
+            }
+        }
+
+        // 2. Create or replace clusters and nodes whose options changed.
+        // A cluster without members is built as a plain node, so membership is part of its signature.
+        const parents = new Set();
+        model.clusters.forEach(clusterOpts => parents.add(clusterOpts.parent));
+        model.nodes.forEach(nodeOpts => parents.add(nodeOpts.parent));
+        const rebuilt = [];
+        const setNode = (opts, signature, create) => {
+            const entry = gInstance.node(opts.id);
+            if (entry && signature !== null && entry.label._signature === signature) {
+                return;
+            }
+            const gNode = create.call(this, opts);
+            gNode._signature = signature;
+            if (entry) {
+                gNode.x = entry.label.x;
+                gNode.y = entry.label.y;
+                rebuilt.push({ gNode, previous: entry.label });
+            } else {
+                rebuilt.push({ gNode, previous: null });
+                layout = true;
+            }
+            gInstance.setNode(gNode);
+        };
+        model.clusters.forEach(clusterOpts => {
+            const signature = this._signature({ ...clusterOpts, members: parents.has(clusterOpts.id) });
+            setNode(clusterOpts, signature, this._createCluster);
+        });
+        model.nodes.forEach(nodeOpts => {
+            // Pinned positions are applied after the layout, without rebuilding the node
+            const { pinned, x, y, ...opts } = nodeOpts;
+            setNode(nodeOpts, this._signature(opts), nodeOpts.hidden === undefined ? this._createNode : this._createClusterSummary);
+        });
+
+        // 3. Set parent-child relationships for compound graph
+        if (this.options.compound) {
+            const setParent = (opts) => {
+                let parent = opts.parent || null;
+                if (parent !== null && !model.clusters.has(parent)) {
+                    console.warn(`Ignoring parent '${parent}' of '${opts.id}': cluster not found.`);
+                    parent = null;
                 }
-                // Add cluster label
-                if (gNode._clusterLabelText && gNode.element) {
-                    const labelElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                    labelElement.textContent = gNode._clusterLabelText;
-                    // Position label within the cluster (adjust as needed)
-                    labelElement.setAttribute('x', String(-gNode.width / 2 + 10)); // Relative to cluster center
-                    labelElement.setAttribute('y', String(-gNode.height / 2 + 20));
-                    labelElement.setAttribute('class', 'cluster-label'); // For CSS styling
-                    gNode.element.appendChild(labelElement);
+                if (gInstance.parent(opts.id) !== parent) {
+                    gInstance.setParent(opts.id, parent);
+                    layout = true;
+                }
+            };
+            model.clusters.forEach(setParent);
+            model.nodes.forEach(setParent);
+        }
+
+        // 4. Create, replace or remove edges
+        const edges = elements.nameEdges(model.edges, (id) => gInstance.hasNode(id));
+        for (const edge of Array.from(gInstance.edges.values())) {
+            if (!edges.has(elements.edgeKey(edge.v, edge.w, edge.name))) {
+                gInstance.removeEdge(edge.v, edge.w, edge.name);
+                layout = true;
+            }
+        }
+        const rebuiltEdges = [];
+        edges.forEach(({ edgeOpts, name }) => {
+            // Edges without a routing of their own use the graph's
+            edgeOpts = { ...edgeOpts, routing: edgeOpts.routing || this.options.edgeRouting };
+            const signature = this._signature(edgeOpts);
+            const entry = gInstance.edge(edgeOpts.from, edgeOpts.to, name);
+            if (entry && signature !== null && entry.label._signature === signature) {
+                return;
+            }
+            const gEdge = this._createEdge(edgeOpts, name);
+            gEdge._signature = signature;
+            if (entry) {
+                const previous = entry.label;
+                gEdge.points = previous.points;
+                gEdge.x = previous.x;
+                gEdge.y = previous.y;
+                // Ports take part in ordering nodes, and routes replace the points of the layout needed to draw the edge another way
+                if (gEdge.minlen !== previous.minlen || gEdge.weight !== previous.weight || gEdge.routing !== previous.routing ||
+                    gEdge.fromPort !== previous.fromPort || gEdge.toPort !== previous.toPort) {
+                    layout = true;
+                }
+                rebuiltEdges.push({ gEdge, previous });
+                gInstance.removeEdge(edgeOpts.from, edgeOpts.to, name);
+            } else {
+                layout = true;
+            }
+            gInstance.setEdge(gEdge);
+        });
+        // Edges reference their end nodes, which may have been replaced above
+        for (const edge of gInstance.edges.values()) {
+            edge.label.from = gInstance.node(edge.v).label;
+            edge.label.to = gInstance.node(edge.w).label;
+        }
+
+        // 5. Build the new SVG elements and measure them
+        gInstance.patch();
+        const nodes = [];
+        for (const { gNode, previous } of rebuilt) {
+            if (gInstance.children(gNode.name).length === 0) {
+                gNode.measure();
+                nodes.push(gNode);
+            }
+            if (previous && (gNode.width !== previous.width || gNode.height !== previous.height)) {
+                if (gInstance.children(gNode.name).length === 0) {
+                    layout = true;
+                } else {
+                    // Cluster sizes are computed by the layout
+                    gNode.width = previous.width;
+                    gNode.height = previous.height;
                 }
-            } else if (gNode._blocks) {
-                // Style regular node parts (e.g., header entries)
-                gNode._blocks.forEach(block => {
-                    if (block instanceof grapher.Node.Header) {
-                        block._entries.forEach(entry => {
-                            if (entry.path) { // path is created in grapher.Node.Header.Entry.build
-                                if (entry.backgroundColor) {
-                                    entry.path.style.fill = entry.backgroundColor;
-                                }
-                                if (entry.borderColor) {
-                                    entry.path.style.stroke = entry.borderColor;
-                                }
-                            }
-                        });
-                    }
-                    // Potentially style ArgumentList or other block types here
-                });
             }
+        }
+        for (const { gEdge, previous } of rebuiltEdges) {
+            if ((gEdge.width || 0) !== (previous.width || 0) || (gEdge.height || 0) !== (previous.height || 0)) {
+                layout = true;
+            }
+        }
+        // Ports are placed by the layout, so edges attached to arguments that moved within their node need one
+        const previousNodes = new Map(rebuilt.filter(({ previous }) => previous && previous.argumentOffset).map(({ gNode, previous }) => [gNode.name, previous]));
+        const portMoved = (id, port) => port !== undefined && previousNodes.has(id) &&
+            gInstance.node(id).label.argumentOffset(port) !== previousNodes.get(id).argumentOffset(port);
+        for (const edge of gInstance.edges.values()) {
+            if (portMoved(edge.v, edge.label.fromPort) || portMoved(edge.w, edge.label.toPort)) {
+                layout = true;
+            }
+        }
+        return { layout, nodes };
+    }
+
+    /**
+     * @private
+     * Creates the grapher.Node representing a cluster. Clicking it collapses the cluster.
+     * @param {object} clusterOpts - The stored cluster options.
+     * @returns {grapher.Node} The cluster node.
+     */
+    _createCluster(clusterOpts) {
+        return elements.createCluster(clusterOpts, this.options.collapsibleClusters ? {
+            click: () => this.collapseCluster(clusterOpts.id),
+        } : {});
+    }
+
+    /**
+     * @private
+     * Creates the grapher.Node representing a collapsed cluster. Clicking it expands the cluster.
+     * @param {object} summaryOpts - The cluster options, with the `hidden` node count.
+     * @returns {grapher.Node} The summary node.
+     */
+    _createClusterSummary(summaryOpts) {
+        return elements.createClusterSummary(summaryOpts, this.options.collapsibleClusters ? {
+            click: () => this.expandCluster(summaryOpts.id),
+        } : {});
+    }
+
+    /**
+     * @private
+     * Creates the grapher.Node representing a regular node, with handlers selecting
+     * the node and emitting `node:click` and `node:argument:click`.
+     * @param {object} nodeOpts - The stored node options.
+     * @returns {grapher.Node} The node.
+     */
+    _createNode(nodeOpts) {
+        return elements.createNode(nodeOpts, {
+            click: (e) => {
+                this._clickSelect('nodes', nodeOpts.id, e);
+                this._emit('node:click', nodeOpts.id);
+            },
+            argumentClick: (name, value, e) => {
+                this._clickSelect('nodes', nodeOpts.id, e);
+                this._emit('node:argument:click', { nodeId: nodeOpts.id, name, value });
+            },
         });
+    }
 
-        // Edge styling can also be done here if `gEdge.class` is not sufficient
-        // For example, by finding `gEdge.element` and applying styles.
+    /**
+     * @private
+     * Creates the grapher.Edge for an edge, with a handler selecting the edge and
+     * emitting `edge:click`. Its `from` and `to` nodes are assigned when the graph is synchronized.
+     * @param {object} edgeOpts - The stored edge options.
+     * @param {string} [name] - Name distinguishing parallel edges between the same pair of nodes.
+     * @returns {grapher.Edge} The edge.
+     */
+    _createEdge(edgeOpts, name) {
+        const gEdge = elements.createEdge(edgeOpts, name, {
+            click: (e) => {
+                this._clickSelect('edges', gEdge._selectionId, e);
+                this._emit('edge:click', { from: gEdge.v, to: gEdge.w, id: gEdge.id, label: gEdge.label });
+            },
+        });
+        return gEdge;
     }
 
+    /**
+     * @private
+     * Positions nodes and edges from a saved layout, if it covers all of them.
+     * @param {grapher.Graph} gInstance - The grapher.Graph instance.
+     * @param {{nodes: object, clusters?: object, edges: object}} layout - The layout saved by `toJSON`,
+     * or computed by `computeLayout` with clusters listed separately.
+     * @returns {boolean} `true` if the layout was applied, `false` if something is missing.
+     */
+    _applyPresetLayout(gInstance, layout) {
+        const nodes = { ...layout.clusters, ...layout.nodes };
+        const edges = layout.edges || {};
+        const has = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+        const complete = Array.from(gInstance.nodes.keys()).every(id => has(nodes, id)) &&
+            Array.from(gInstance.edges.values()).every(edge => has(edges, edge.label._selectionId));
+        if (!complete) {
+            console.warn('Saved layout does not match the graph and is ignored.');
+            return false;
+        }
+        gInstance.nodes.forEach((entry, id) => {
+            const gNode = entry.label;
+            gNode.x = nodes[id].x;
+            gNode.y = nodes[id].y;
+            if (gInstance.children(id).length > 0) {
+                // Cluster sizes come from the layout, leaf node sizes from measuring
+                gNode.width = nodes[id].width;
+                gNode.height = nodes[id].height;
+            }
+        });
+        gInstance.edges.forEach((edge) => {
+            const saved = edges[edge.label._selectionId];
+            edge.label.points = saved.points;
+            if (saved.x !== undefined) {
+                edge.label.x = saved.x;
+                edge.label.y = saved.y;
+            }
+        });
+        // The routing and ports of edges may have changed since the layout was saved
+        gInstance.ports();
+        routeEdges(gInstance);
+        return true;
+    }
+
+    /**
+     * @private
+     * Computes a signature of element options, used to detect which elements changed
+     * since the last render.
+     * @param {object} opts - Node, cluster or edge options.
+     * @returns {string|null} The signature, or `null` if the options cannot be serialized.
+     */
+    _signature(opts) {
+        try {
+            return JSON.stringify(opts);
+        } catch (error) {
+            return null;
+        }
+    }
 
     /**
      * @private
@@ -459,28 +1660,4 @@ export class GraphLibrary {
         svgElement.setAttribute('width', String(viewBoxWidth));
         svgElement.setAttribute('height', String(viewBoxHeight));
     }
-
-    /**
-     * @private
-     * Attaches event listeners to SVG elements for interactivity.
-     * Note: Most handlers are now set during node creation. This method handles edges.
-     * @param {grapher.Graph} gInstance - The grapher.Graph instance.
-     */
-    _attachEventListeners(gInstance) {
-        // Node listeners are now attached during the `addNode` process to allow
-        // for more granular control (e.g., clicking arguments vs. headers).
-
-        gInstance.edges.forEach((edgeEntry) => {
-            const gEdge = edgeEntry.label; // grapher.Edge instance
-            // grapher.js already adds some listeners to gEdge.hitTest for focus
-            // We can add our click listener to the same element or gEdge.element
-            const clickableElement = gEdge.hitTest || gEdge.element;
-            if (clickableElement) {
-                clickableElement.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this._emit('edge:click', { from: gEdge.v, to: gEdge.w, id: gEdge.id, label: gEdge.label });
-                });
-            }
-        });
-    }
 }
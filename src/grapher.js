@@ -1,3 +1,6 @@
+import { intersectRect } from './geometry.js';
+import { routeEdges } from './routing.js';
+
 const grapher = {};
 
 grapher.Graph = class {
@@ -17,6 +20,9 @@ grapher.Graph = class {
         const key = node.name;
         const value = this._nodes.get(key);
         if (value) {
+            if (value.label !== node) {
+                this._detach(value.label);
+            }
             value.label = node;
         } else {
             this._nodes.set(key, { v: key, label: node });
@@ -35,9 +41,39 @@ grapher.Graph = class {
         if (!this._nodes.has(edge.w)) {
             throw new Error(`Invalid edge '${JSON.stringify(edge.w)}'.`);
         }
-        const key = `${edge.v}:${edge.w}`;
+        const key = this._edgeKey(edge.v, edge.w, edge.name);
         if (!this._edges.has(key)) {
-            this._edges.set(key, { v: edge.v, w: edge.w, label: edge });
+            this._edges.set(key, { v: edge.v, w: edge.w, name: edge.name, label: edge });
+        }
+    }
+
+    removeNode(key) {
+        const value = this._nodes.get(key);
+        if (value) {
+            for (const edge of Array.from(this._edges.values())) {
+                if (edge.v === key || edge.w === key) {
+                    this.removeEdge(edge.v, edge.w, edge.name);
+                }
+            }
+            if (this._compound) {
+                for (const child of this.children(key)) {
+                    this.setParent(child, null);
+                }
+                this._children.get(this._parent.get(key)).delete(key);
+                this._parent.delete(key);
+                this._children.delete(key);
+            }
+            this._detach(value.label);
+            this._nodes.delete(key);
+        }
+    }
+
+    removeEdge(v, w, name) {
+        const key = this._edgeKey(v, w, name);
+        const value = this._edges.get(key);
+        if (value) {
+            this._detach(value.label);
+            this._edges.delete(key);
         }
     }
 
@@ -45,7 +81,7 @@ grapher.Graph = class {
         if (!this._compound) {
             throw new Error("Cannot set parent in a non-compound graph");
         }
-        parent = String(parent);
+        parent = parent === null || parent === undefined ? '\x00' : String(parent);
         for (let ancestor = parent; ancestor; ancestor = this.parent(ancestor)) {
             if (ancestor === node) {
                 throw new Error(`Setting ${parent} as parent of ${node} would create a cycle`);
@@ -69,8 +105,8 @@ grapher.Graph = class {
         return this._nodes.get(key);
     }
 
-    edge(v, w) {
-        return this._edges.get(`${v}:${w}`);
+    edge(v, w, name) {
+        return this._edges.get(this._edgeKey(v, w, name));
     }
 
     get edges() {
@@ -115,6 +151,8 @@ grapher.Graph = class {
         const edgePathHitTestGroup = createGroup('edge-paths-hit-test');
         const edgeLabelGroup = createGroup('edge-labels');
         const nodeGroup = createGroup('nodes');
+        this._document = document;
+        this._groups = { clusterGroup, edgePathGroup, edgePathHitTestGroup, edgeLabelGroup, nodeGroup };
 
         const edgePathGroupDefs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
         edgePathGroup.appendChild(edgePathGroupDefs);
@@ -156,7 +194,7 @@ grapher.Graph = class {
         edgePathHitTestGroup.addEventListener('click', (e) => {
             const edge = this._focusable.get(e.target);
             if (edge && edge.activate) {
-                edge.activate();
+                edge.activate(e);
                 e.stopPropagation();
             }
         });
@@ -164,38 +202,79 @@ grapher.Graph = class {
         edgePathGroupDefs.appendChild(marker("arrowhead-select"));
         edgePathGroupDefs.appendChild(marker("arrowhead-hover"));
         for (const nodeId of this.nodes.keys()) {
-            const entry = this.node(nodeId);
-            const node = entry.label;
-            if (this.children(nodeId).length === 0) {
-                node.build(document, nodeGroup);
-            } else {
-                // cluster
-                node.rectangle = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                if (node.rx) {
-                    node.rectangle.setAttribute('rx', node.rx);
-                }
-                if (node.ry) {
-                    node.rectangle.setAttribute('ry', node.ry);
-                }
-                node.element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-                node.element.setAttribute('class', 'cluster');
-                node.element.appendChild(node.rectangle);
-                clusterGroup.appendChild(node.element);
-            }
+            this._buildNode(document, nodeId);
         }
 
         this._focusable.clear();
         this._focused = null;
         for (const edge of this.edges.values()) {
-            edge.label.build(document, edgePathGroup, edgePathHitTestGroup, edgeLabelGroup);
-            this._focusable.set(edge.label.hitTest, edge.label);
+            this._buildEdge(document, edge);
         }
         origin.appendChild(clusterGroup);
         origin.appendChild(edgePathGroup);
         origin.appendChild(edgePathHitTestGroup);
         origin.appendChild(edgeLabelGroup);
         origin.appendChild(nodeGroup);
+        this._measureEdges(this.edges.values());
+    }
+
+    // Builds the elements of nodes and edges added or replaced since the last build(),
+    // reusing the groups created by build() and leaving existing elements untouched.
+    patch() {
+        if (!this._groups) {
+            throw new Error('Graph has not been built.');
+        }
+        const document = this._document;
+        for (const nodeId of this.nodes.keys()) {
+            if (!this.node(nodeId).label.element) {
+                this._buildNode(document, nodeId);
+            }
+        }
+        const edges = [];
         for (const edge of this.edges.values()) {
+            if (!edge.label.element) {
+                this._buildEdge(document, edge);
+                edges.push(edge);
+            }
+        }
+        this._measureEdges(edges);
+    }
+
+    _buildNode(document, nodeId) {
+        const entry = this.node(nodeId);
+        const node = entry.label;
+        if (this.children(nodeId).length === 0) {
+            node.build(document, this._groups.nodeGroup);
+        } else {
+            // cluster
+            node.rectangle = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            if (node.rx) {
+                node.rectangle.setAttribute('rx', node.rx);
+            }
+            if (node.ry) {
+                node.rectangle.setAttribute('ry', node.ry);
+            }
+            node.element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            node.element.setAttribute('class', 'cluster');
+            node.element.appendChild(node.rectangle);
+            if (node.activate) {
+                node.element.addEventListener('click', (e) => {
+                    node.activate(e);
+                    e.stopPropagation();
+                });
+            }
+            this._groups.clusterGroup.appendChild(node.element);
+        }
+    }
+
+    _buildEdge(document, edge) {
+        const groups = this._groups;
+        edge.label.build(document, groups.edgePathGroup, groups.edgePathHitTestGroup, groups.edgeLabelGroup);
+        this._focusable.set(edge.label.hitTest, edge.label);
+    }
+
+    _measureEdges(edges) {
+        for (const edge of edges) {
             if (edge.label.labelElement) {
                 const label = edge.label;
                 const box = label.labelElement.getBBox();
@@ -205,6 +284,24 @@ grapher.Graph = class {
         }
     }
 
+    _edgeKey(v, w, name) {
+        return name === undefined || name === null || name === '' ? `${v}:${w}` : `${v}:${w}:${name}`;
+    }
+
+    _detach(label) {
+        for (const element of [label.element, label.hitTest, label.labelElement]) {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        }
+        if (label.hitTest) {
+            this._focusable.delete(label.hitTest);
+        }
+        if (this._focused === label) {
+            this._focused = null;
+        }
+    }
+
     measure() {
         for (const key of this.nodes.keys()) {
             const entry = this.node(key);
@@ -215,7 +312,23 @@ grapher.Graph = class {
         }
     }
 
+    // Places the ends of edges attached to an argument on the side of its row: the tail on the right
+    // and the head on the left, mirrored in right to left layouts. Ports are offsets from the node center.
+    ports() {
+        const side = this.options && this.options.direction === 'RL' ? -1 : 1;
+        const port = (node, name, side) => {
+            const offset = name === undefined || !node.argumentOffset ? undefined : node.argumentOffset(name);
+            return offset === undefined ? undefined : { x: side * node.width / 2, y: offset - node.height / 2 };
+        };
+        for (const edge of this.edges.values()) {
+            const label = edge.label;
+            label.tailport = port(this.node(edge.v).label, label.fromPort, side);
+            label.headport = port(this.node(edge.w).label, label.toPort, -side);
+        }
+    }
+
     async layout(worker) {
+        this.ports();
         let nodes = [];
         for (const node of this.nodes.values()) {
             nodes.push({
@@ -229,37 +342,67 @@ grapher.Graph = class {
             edges.push({
                 v: edge.v,
                 w: edge.w,
+                name: edge.name,
                 minlen: edge.label.minlen || 1,
                 weight: edge.label.weight || 1,
                 width: edge.label.width || 0,
                 height: edge.label.height || 0,
                 labeloffset: edge.label.labeloffset || 10,
-                labelpos: edge.label.labelpos || 'r'
+                labelpos: edge.label.labelpos || 'r',
+                tailport: edge.label.tailport,
+                headport: edge.label.headport
             });
         }
+        const options = this.options || {};
         const layout = {};
-        layout.nodesep = 20;
-        layout.ranksep = 20;
-        const direction = this.options.direction;
-        const rotate = edges.length === 0 ? direction === 'vertical' : direction !== 'vertical';
-        if (rotate) {
-            layout.rankdir = 'LR';
-        }
-        if (edges.length === 0) {
-            nodes = nodes.reverse(); // rankdir workaround
+        layout.nodesep = options.nodesep === undefined ? 20 : options.nodesep;
+        layout.ranksep = options.ranksep === undefined ? 20 : options.ranksep;
+        if (options.edgesep !== undefined) {
+            layout.edgesep = options.edgesep;
+        }
+        if (options.align) {
+            layout.align = options.align;
+        }
+        if (options.ranker) {
+            layout.ranker = options.ranker;
+        }
+        if (options.rankConstraints) {
+            layout.rankConstraints = options.rankConstraints;
+        }
+        const direction = options.direction;
+        let rankdir = 'LR';
+        if (direction === 'TB' || direction === 'BT' || direction === 'LR' || direction === 'RL') {
+            rankdir = direction;
+        } else if (direction === 'vertical') {
+            rankdir = 'TB';
+        }
+        // An engine name, or an object with the layout() function of dagre.js
+        const engine = options.engine || 'dagre';
+        if (edges.length === 0 && engine === 'dagre' && !options.rankConstraints) {
+            // Without edges all nodes share one rank, so rotate to line them up along the direction
+            rankdir = { TB: 'LR', BT: 'RL', LR: 'TB', RL: 'BT' }[rankdir];
+            if (rankdir === 'LR' || rankdir === 'TB') {
+                nodes = nodes.reverse(); // rankdir workaround
+            }
         }
-        if (nodes.length > 3000) {
+        layout.rankdir = rankdir;
+        if (nodes.length > 3000 && !options.ranker) {
             layout.ranker = 'longest-path';
         }
         const state = { /* log: true */ };
-        if (worker) {
-            const message = await worker.request({ type: 'dagre.layout', nodes, edges, layout, state }, 2500, 'This large graph layout might take a very long time to complete.');
+        if (worker && typeof engine === 'string') {
+            const message = await worker.request({ type: 'dagre.layout', engine, nodes, edges, layout, state }, 2500, 'This large graph layout might take a very long time to complete.');
             if (message.type === 'cancel') {
                 return 'graph-layout-cancelled';
             }
             nodes = message.nodes;
             edges = message.edges;
             state.log = message.state.log;
+        } else if (typeof engine !== 'string') {
+            await engine.layout(nodes, edges, layout, state);
+        } else if (engine !== 'dagre') {
+            const { engines } = await import('./layout.js');
+            engines[engine].layout(nodes, edges, layout, state);
         } else {
             const dagre = await import('./dagre.js');
             dagre.layout(nodes, edges, layout, state);
@@ -278,13 +421,14 @@ grapher.Graph = class {
             }
         }
         for (const edge of edges) {
-            const label = this.edge(edge.v, edge.w).label;
+            const label = this.edge(edge.v, edge.w, edge.name).label;
             label.points = edge.points;
             if ('x' in edge) {
                 label.x = edge.x;
                 label.y = edge.y;
             }
         }
+        routeEdges(this);
         for (const key of this.nodes.keys()) {
             const entry = this.node(key);
             if (this.children(key).length === 0) {
@@ -297,26 +441,28 @@ grapher.Graph = class {
 
     update() {
         for (const nodeId of this.nodes.keys()) {
-            if (this.children(nodeId).length === 0) {
-                // node
-                const entry = this.node(nodeId);
-                const node = entry.label;
-                node.update();
-            } else {
-                // cluster
-                const entry = this.node(nodeId);
-                const node = entry.label;
-                node.element.setAttribute('transform', `translate(${node.x},${node.y})`);
-                node.rectangle.setAttribute('x', - node.width / 2);
-                node.rectangle.setAttribute('y', - node.height / 2);
-                node.rectangle.setAttribute('width', node.width);
-                node.rectangle.setAttribute('height', node.height);
-            }
+            this.updateNode(nodeId);
         }
         for (const edge of this.edges.values()) {
             edge.label.update();
         }
     }
+
+    updateNode(nodeId) {
+        const entry = this.node(nodeId);
+        const node = entry.label;
+        if (this.children(nodeId).length === 0) {
+            // node
+            node.update();
+        } else {
+            // cluster
+            node.element.setAttribute('transform', `translate(${node.x},${node.y})`);
+            node.rectangle.setAttribute('x', - node.width / 2);
+            node.rectangle.setAttribute('y', - node.height / 2);
+            node.rectangle.setAttribute('width', node.width);
+            node.rectangle.setAttribute('height', node.height);
+        }
+    }
 };
 
 grapher.Node = class {
@@ -374,6 +520,18 @@ grapher.Node = class {
         }
     }
 
+    argumentOffset(name) {
+        let y = 0;
+        for (const block of this._blocks) {
+            const offset = block instanceof grapher.ArgumentList ? block.argumentOffset(name) : undefined;
+            if (offset !== undefined) {
+                return y + offset;
+            }
+            y += block.height;
+        }
+        return undefined;
+    }
+
     layout() {
         let y = 0;
         for (const block of this._blocks) {
@@ -545,7 +703,7 @@ grapher.Node.Header.Entry = class {
         if (this._events.click) {
             this.element.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.emit('click');
+                this.emit('click', e);
             });
         }
         if (this.tooltip) {
@@ -605,7 +763,7 @@ grapher.ArgumentList = class {
         if (this._events.click) {
             this.element.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.emit('click');
+                this.emit('click', e);
             });
         }
         this.background = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -641,6 +799,17 @@ grapher.ArgumentList = class {
         this.height += 3;
     }
 
+    argumentOffset(name) {
+        let y = 3;
+        for (const item of this._items) {
+            if (item.name === name) {
+                return y + (item.bottom / 2);
+            }
+            y += item.height;
+        }
+        return undefined;
+    }
+
     layout() {
         let y = 3;
         for (const item of this._items) {
@@ -715,7 +884,7 @@ grapher.Argument = class {
         }
         if (this.activate) {
             this.element.addEventListener('click', (e) => {
-                this.activate();
+                this.activate(e);
                 e.stopPropagation();
             });
         }
@@ -872,31 +1041,38 @@ grapher.Edge = class {
     }
 
     update() {
-        const intersectRect = (node, point) => {
-            const x = node.x;
-            const y = node.y;
-            const dx = point.x - x;
-            const dy = point.y - y;
-            let h = node.height / 2;
-            let w = node.width / 2;
-            if (Math.abs(dy) * w > Math.abs(dx) * h) {
-                if (dy < 0) {
-                    h = -h;
-                }
-                return { x: x + (dy === 0 ? 0 : h * dx / dy), y: y + h };
-            }
-            if (dx < 0) {
-                w = -w;
+        // Edges attached to an argument leave and enter the side of its row straight
+        const attach = (node, port, point) => {
+            if (!port) {
+                return [intersectRect(node, point)];
             }
-            return { x: x + w, y: y + (dx === 0 ? 0 : w * dy / dx) };
+            const side = { x: node.x + port.x, y: node.y + port.y };
+            return [side, { x: side.x + Math.sign(port.x) * 10, y: side.y }];
         };
-        const curvePath = (edge, tail, head) => {
-            const points = edge.points.slice(1, edge.points.length - 1);
-            points.unshift(intersectRect(tail, points[0]));
-            points.push(intersectRect(head, points[points.length - 1]));
-            return new grapher.Edge.Curve(points).path.data;
+        const ends = (points) => [
+            ...attach(this.from, this.tailport, points[0] || this.to),
+            ...points,
+            ...attach(this.to, this.headport, points[points.length - 1] || this.from).reverse()
+        ];
+        const linePath = (points) => {
+            const path = new grapher.Edge.Path();
+            points.forEach((point, i) => i === 0 ? path.moveTo(point.x, point.y) : path.lineTo(point.x, point.y));
+            return path.data;
         };
-        const edgePath = curvePath(this, this.from, this.to);
+        let edgePath = '';
+        switch (this.routing) {
+            case 'polyline':
+                edgePath = linePath(ends(this.points.slice(1, this.points.length - 1)));
+                break;
+            case 'straight':
+            case 'orthogonal':
+                // Routed by routing.js, ending at the node borders
+                edgePath = linePath(this.points);
+                break;
+            default:
+                edgePath = new grapher.Edge.Curve(ends(this.points.slice(1, this.points.length - 1))).path.data;
+                break;
+        }
         this.element.setAttribute('d', edgePath);
         this.hitTest.setAttribute('d', edgePath);
         if (this.labelElement) {
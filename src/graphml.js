@@ -0,0 +1,90 @@
+const graphml = {};
+
+// GraphML file format
+// http://graphml.graphdrawing.org/specification.html
+
+graphml.write = (model) => {
+    return new graphml.Writer().write(model);
+};
+
+graphml.Writer = class {
+
+    write(model) {
+        this._keys = new Map([
+            ['direction', { for: 'graph', name: 'direction', type: 'string' }],
+            ['label', { for: 'all', name: 'label', type: 'string' }],
+            ['styleClass', { for: 'all', name: 'styleClass', type: 'string' }],
+            ['minlen', { for: 'edge', name: 'minlen', type: 'int' }],
+            ['weight', { for: 'edge', name: 'weight', type: 'double' }],
+        ]);
+        this._arguments = new Map();
+        this._lines = [];
+        this._line(1, '<graph id="G" edgedefault="directed">');
+        this._data(2, 'direction', model.direction);
+        this._graph(model.graph, 2);
+        for (const edgeOpts of model.edges) {
+            const id = edgeOpts.id ? ` id="${this._escape(edgeOpts.id)}"` : '';
+            this._line(2, `<edge${id} source="${this._escape(edgeOpts.from)}" target="${this._escape(edgeOpts.to)}">`);
+            this._data(3, 'label', edgeOpts.label);
+            this._data(3, 'styleClass', edgeOpts.styleClass);
+            this._data(3, 'minlen', edgeOpts.minlen);
+            this._data(3, 'weight', edgeOpts.weight);
+            this._line(2, '</edge>');
+        }
+        this._line(1, '</graph>');
+        // The graph is written first so the keys of all argument names are known
+        const keys = Array.from(this._keys).map(([id, key]) =>
+            `  <key id="${this._escape(id)}" for="${key.for}" attr.name="${this._escape(key.name)}" attr.type="${key.type}"/>`);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys,
+            ...this._lines,
+            '</graphml>',
+            ''
+        ].join('\n');
+    }
+
+    _graph(graph, depth) {
+        for (const cluster of graph.clusters) {
+            this._line(depth, `<node id="${this._escape(cluster.id)}">`);
+            this._data(depth + 1, 'label', cluster.label);
+            this._data(depth + 1, 'styleClass', cluster.styleClass);
+            this._line(depth + 1, `<graph id="${this._escape(cluster.id)}:" edgedefault="directed">`);
+            this._graph(cluster, depth + 2);
+            this._line(depth + 1, '</graph>');
+            this._line(depth, '</node>');
+        }
+        for (const node of graph.nodes) {
+            this._line(depth, `<node id="${this._escape(node.id)}">`);
+            this._data(depth + 1, 'label', node.label);
+            this._data(depth + 1, 'styleClass', node.styleClass);
+            for (const [name, value] of node.arguments) {
+                if (!this._arguments.has(name)) {
+                    const id = `argument${this._arguments.size}`;
+                    this._arguments.set(name, id);
+                    this._keys.set(id, { for: 'node', name: `argument.${name}`, type: 'string' });
+                }
+                this._data(depth + 1, this._arguments.get(name), value);
+            }
+            this._line(depth, '</node>');
+        }
+    }
+
+    _data(depth, key, value) {
+        if (value !== undefined && value !== '') {
+            this._line(depth, `<data key="${key}">${this._escape(value)}</data>`);
+        }
+    }
+
+    _escape(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+        return String(text).replace(/[&<>"']/g, (c) => entities[c]);
+    }
+
+    _line(depth, text) {
+        this._lines.push(`${'  '.repeat(depth)}${text}`);
+    }
+};
+
+export const { write } = graphml;
@@ -0,0 +1,529 @@
+/**
+ * @file headless.js
+ * @description Computes graph layouts and renders SVG markup without a browser. grapher.js
+ * builds its SVG elements into a minimal in-memory document whose text elements are measured
+ * with a pluggable function instead of `getBBox()`, so the layout runs in plain Node.js.
+ */
+
+import * as grapher from './grapher.js';
+import * as elements from './elements.js';
+import { pinNodes } from './drag.js';
+
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+// Advance widths of the printable ASCII characters (32-126) in 1/1000 em, from the
+// Adobe Helvetica and Helvetica-Bold font metrics. Close to Arial and most sans-serif UI fonts.
+const helvetica = {
+    normal: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+const fontFamily = 'Helvetica, Arial, sans-serif';
+
+/**
+ * The styles embedded by `renderToSvgString` by default: the rules of grapher.css that apply
+ * to a static image, with the fonts `measureText` is based on.
+ * @type {string}
+ */
+export const defaultCss = [
+    '.node path { stroke: #333; fill: none; stroke-width: 1px; }',
+    '.node line { stroke: #333; fill: none; stroke-width: 1px; }',
+    '.node-item path { stroke-width: 0; stroke: #000; fill: #fff; }',
+    `.node-item text { font-family: ${fontFamily}; font-size: 11px; }`,
+    '.node-argument-list > path { fill: #fff; stroke-width: 0; stroke: #000; }',
+    `.node-argument > text { font-family: ${fontFamily}; font-size: 9px; font-weight: normal; }`,
+    '.node-argument > rect { fill: transparent; }',
+    '#arrowhead { fill: #000; }',
+    '.edge-path { stroke: #000; stroke-width: 1px; fill: none; marker-end: url("#arrowhead"); }',
+    '.edge-paths-hit-test { fill: none; stroke: none; }',
+    `.edge-label { font-family: ${fontFamily}; font-size: 10px; }`,
+    '.cluster rect { stroke: #000; fill: #000; fill-opacity: 0.02; stroke-opacity: 0.06; stroke-width: 1px; }',
+    `.cluster-label { font-family: ${fontFamily}; font-size: 11px; }`,
+    '.cluster-collapsed .node-item path { fill: #eee; }',
+    '.cluster-count text { fill: #666; }',
+].join('\n');
+
+/**
+ * Measures text with Helvetica metrics. Characters outside printable ASCII are given the
+ * width of a digit, or a full em for CJK characters.
+ * @param {string} text - The text.
+ * @param {{size: number, weight: string}} font - Font size in pixels and weight ('normal' or 'bold').
+ * @returns {number} The width of the text in pixels.
+ */
+export function measureText(text, font) {
+    const widths = font.weight === 'bold' ? helvetica.bold : helvetica.normal;
+    let width = 0;
+    for (const c of text) {
+        const code = c.codePointAt(0);
+        if (code >= 32 && code <= 126) {
+            width += widths[code - 32];
+        } else if (code === 0xA0) {
+            width += widths[0];
+        } else {
+            width += code >= 0x2E80 ? 1000 : 556;
+        }
+    }
+    return width * font.size / 1000;
+}
+
+/**
+ * Computes the layout of a graph without a DOM. The result has the format of the
+ * `layout` saved by `GraphLibrary.prototype.toJSON`, with clusters listed separately,
+ * so it can be passed to `GraphLibrary.fromJSON` to render the graph without a new layout.
+ * @param {{options?: object, clusters?: object[], nodes?: object[], edges?: object[], rankConstraints?: object[]}} graphSpec -
+ * The graph, as in the output of `toJSON`: graph options (see the `GraphLibrary` constructor),
+ * cluster, node and edge options (see `addCluster`, `addNode` and `addEdge`) and rank
+ * constraints (see `addRankConstraint`).
+ * @param {object} [layoutOpts={}] - Layout options.
+ * @param {function(string, {size: number, weight: string}): number} [layoutOpts.measureText] -
+ * Returns the width in pixels of a run of text, given its font size in pixels and weight
+ * ('normal' or 'bold'). The sizes are those of grapher.css: 11 for node labels, 9 for
+ * arguments and 10 for edge labels. Defaults to `measureText`, using Helvetica metrics.
+ * @returns {Promise<{nodes: object, clusters: object, edges: object, bounds: object}>} Resolves with
+ * the positions by ID: `nodes` and `clusters` map to `{x, y, width, height}` boxes centered on `x`
+ * and `y`, and `edges` map their selection ID (the edge `id`, or `'<from>-><to>'`) to
+ * `{from, to, points, x?, y?}`, where `x` and `y` is the center of the edge label.
+ * `bounds` is the `{x, y, width, height}` box containing everything.
+ * @throws {Error} If the graph options or an element are invalid.
+ */
+export async function computeLayout(graphSpec, layoutOpts = {}) {
+    const { gInstance } = await layoutGraph(graphSpec, layoutOpts.measureText || measureText);
+    return layoutResult(gInstance);
+}
+
+/**
+ * Renders a graph to standalone SVG markup without a DOM. The markup has the structure
+ * of the SVG rendered by `GraphLibrary` with `panZoom` disabled: the `clusters`, `edge-paths`,
+ * `edge-paths-hit-test`, `edge-labels` and `nodes` groups, the arrowhead markers and the
+ * header and argument blocks of every node, with the same classes and IDs.
+ * @param {object} graphSpec - The graph (see `computeLayout`).
+ * @param {object} [svgOpts={}] - Rendering options.
+ * @param {function(string, {size: number, weight: string}): number} [svgOpts.measureText] -
+ * Measures text (see `computeLayout`).
+ * @param {string} [svgOpts.css] - CSS rules to embed in a `<style>` element, e.g. the contents
+ * of grapher.css and a theme. Defaults to `defaultCss`; an empty string embeds nothing.
+ * @param {number} [svgOpts.padding=20] - Space around the graph, in SVG units.
+ * @returns {Promise<string>} Resolves with the SVG markup.
+ * @throws {Error} If the graph options, an element or an option is invalid.
+ */
+export async function renderToSvgString(graphSpec, svgOpts = {}) {
+    const padding = svgOpts.padding === undefined ? 20 : svgOpts.padding;
+    if (typeof padding !== 'number' || !Number.isFinite(padding) || padding < 0) {
+        throw new Error(`Invalid padding '${padding}'. Expected a non-negative number.`);
+    }
+    const css = svgOpts.css === undefined ? defaultCss : svgOpts.css;
+    if (typeof css !== 'string') {
+        throw new Error('Invalid css. Expected a string.');
+    }
+    const { gInstance, document, origin } = await layoutGraph(graphSpec, svgOpts.measureText || measureText);
+    const { bounds } = layoutResult(gInstance);
+    elements.applyCustomStyles(gInstance, document);
+    gInstance.update();
+
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
+    origin.setAttribute('xmlns', svgNamespace);
+    origin.setAttribute('viewBox', `${bounds.x - padding} ${bounds.y - padding} ${width} ${height}`);
+    origin.setAttribute('width', String(width));
+    origin.setAttribute('height', String(height));
+    if (css) {
+        // As in GraphLibrary.toSvgString, the styles go into the first <defs>, holding the markers
+        const styleElement = document.createElementNS(svgNamespace, 'style');
+        styleElement.textContent = css;
+        origin.querySelector('defs').appendChild(styleElement);
+    }
+    return origin.outerHTML;
+}
+
+/**
+ * Creates the grapher.Graph for a graph spec, builds it into a document and lays it out.
+ * Elements are validated as `GraphLibrary` does when they are added and rendered.
+ * @param {object} graphSpec - The graph (see `computeLayout`).
+ * @param {function(string, object): number} measure - Measures text (see `computeLayout`).
+ * @returns {Promise<{gInstance: grapher.Graph, document: Document, origin: Element}>} The graph,
+ * the document it was built with, and the `<svg>` element it was built into.
+ */
+async function layoutGraph(graphSpec, measure) {
+    if (!graphSpec || typeof graphSpec !== 'object') {
+        throw new Error('Graph spec must be an object.');
+    }
+    const options = elements.graphOptions(graphSpec.options || {});
+    const document = new Document(measure);
+    const clusters = new Map();
+    const nodes = new Map();
+    const add = (map, opts, kind) => {
+        if (!opts || !opts.id) {
+            throw new Error(`${kind} options with an \`id\` must be provided.`);
+        }
+        if (nodes.has(opts.id) || clusters.has(opts.id)) {
+            console.warn(`Node or cluster with ID '${opts.id}' already exists.`);
+            return;
+        }
+        map.set(opts.id, { label: opts.id, ...opts });
+    };
+    for (const clusterOpts of graphSpec.clusters || []) {
+        if (!options.compound) {
+            console.warn('Ignoring clusters: graph is not configured as compound. Set `options.compound` to true.');
+            break;
+        }
+        add(clusters, clusterOpts, 'Cluster');
+    }
+    (graphSpec.nodes || []).forEach(nodeOpts => add(nodes, nodeOpts, 'Node'));
+    const edges = (graphSpec.edges || []).map(edgeOpts => {
+        if (!edgeOpts || !edgeOpts.from || !edgeOpts.to) {
+            throw new Error('Edge options with `from` and `to` IDs must be provided.');
+        }
+        return { ...edgeOpts };
+    });
+    const rankConstraints = [];
+    (graphSpec.rankConstraints || []).forEach(constraint => rankConstraints.push(elements.rankConstraint(constraint, rankConstraints)));
+
+    const model = elements.visibleModel(nodes, clusters, edges);
+    const gInstance = new grapher.Graph(options.compound);
+    model.clusters.forEach(clusterOpts => gInstance.setNode(elements.createCluster(clusterOpts)));
+    model.nodes.forEach(nodeOpts => {
+        gInstance.setNode(nodeOpts.hidden === undefined ? elements.createNode(nodeOpts) : elements.createClusterSummary(nodeOpts));
+    });
+    if (options.compound) {
+        const setParent = (opts) => {
+            if (opts.parent && !model.clusters.has(opts.parent)) {
+                console.warn(`Ignoring parent '${opts.parent}' of '${opts.id}': cluster not found.`);
+            } else if (opts.parent) {
+                gInstance.setParent(opts.id, opts.parent);
+            }
+        };
+        model.clusters.forEach(setParent);
+        model.nodes.forEach(setParent);
+    }
+    elements.nameEdges(model.edges, (id) => gInstance.hasNode(id)).forEach(({ edgeOpts, name }) => {
+        const gEdge = elements.createEdge({ ...edgeOpts, routing: edgeOpts.routing || options.edgeRouting }, name);
+        gEdge.from = gInstance.node(edgeOpts.from).label;
+        gEdge.to = gInstance.node(edgeOpts.to).label;
+        gInstance.setEdge(gEdge);
+    });
+    const origin = document.createElementNS(svgNamespace, 'svg');
+    gInstance.build(document, origin);
+    gInstance.measure();
+    gInstance.options = elements.layoutOptions(options, rankConstraints);
+    await gInstance.layout();
+    pinNodes(gInstance, model.nodes.values());
+    return { gInstance, document, origin };
+}
+
+/**
+ * Returns the positions of the nodes, clusters and edges of a laid out graph.
+ * @param {grapher.Graph} gInstance - The graph.
+ * @returns {{nodes: object, clusters: object, edges: object, bounds: object}} The layout (see `computeLayout`).
+ */
+function layoutResult(gInstance) {
+    const result = { nodes: {}, clusters: {}, edges: {} };
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const extend = (x, y, width, height) => {
+        box.left = Math.min(box.left, x - width / 2);
+        box.top = Math.min(box.top, y - height / 2);
+        box.right = Math.max(box.right, x + width / 2);
+        box.bottom = Math.max(box.bottom, y + height / 2);
+    };
+    gInstance.nodes.forEach((entry, id) => {
+        const gNode = entry.label;
+        const target = gInstance.children(id).length > 0 ? result.clusters : result.nodes;
+        target[id] = { x: gNode.x, y: gNode.y, width: gNode.width, height: gNode.height };
+        extend(gNode.x, gNode.y, gNode.width, gNode.height);
+    });
+    gInstance.edges.forEach((edge) => {
+        const gEdge = edge.label;
+        const layout = { from: edge.v, to: edge.w, points: gEdge.points };
+        gEdge.points.forEach(point => extend(point.x, point.y, 0, 0));
+        if (gEdge.x !== undefined) {
+            layout.x = gEdge.x;
+            layout.y = gEdge.y;
+            extend(gEdge.x, gEdge.y, gEdge.width || 0, gEdge.height || 0);
+        }
+        result.edges[gEdge._selectionId] = layout;
+    });
+    result.bounds = box.left <= box.right ?
+        { x: box.left, y: box.top, width: box.right - box.left, height: box.bottom - box.top } :
+        { x: 0, y: 0, width: 0, height: 0 };
+    return result;
+}
+
+// The parts of the DOM used by grapher.js to build and measure a graph, and to serialize it
+
+class Document {
+
+    constructor(measureText) {
+        this._measureText = measureText;
+    }
+
+    createElementNS(namespace, name) {
+        return new Element(this, name);
+    }
+
+    createTextNode(data) {
+        return new Text(data);
+    }
+
+    // Sizes of grapher.css, and the ascent and descent of Arial relative to the font size
+    measure(text) {
+        let size = 11;
+        for (let element = text; element; element = element.parentNode) {
+            if (element.classList.contains('edge-label')) {
+                size = 10;
+                break;
+            }
+            if (element.classList.contains('node-argument')) {
+                size = 9;
+                break;
+            }
+        }
+        let width = 0;
+        const runs = (node, weight) => {
+            for (const child of node.childNodes) {
+                if (child instanceof Text) {
+                    width += child.data ? this._measureText(child.data, { size, weight }) : 0;
+                } else if (child.tagName !== 'title') {
+                    runs(child, child.style.fontWeight || weight);
+                }
+            }
+        };
+        runs(text, 'normal');
+        return { x: 0, y: -0.905 * size, width, height: (0.905 + 0.212) * size };
+    }
+}
+
+class Text {
+
+    constructor(data) {
+        this.data = String(data);
+        this.parentNode = null;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    cloneNode() {
+        return new Text(this.data);
+    }
+
+    get outerHTML() {
+        return escape(this.data, /[&<>]/g);
+    }
+}
+
+class Element {
+
+    constructor(ownerDocument, tagName) {
+        this.ownerDocument = ownerDocument;
+        this.tagName = tagName;
+        this.attributes = new Map();
+        this.childNodes = [];
+        this.parentNode = null;
+        this.style = createStyle();
+        this.classList = new ClassList(this);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    appendChild(child) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        this.childNodes.push(child);
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            child.parentNode = null;
+        }
+        return child;
+    }
+
+    replaceChild(child, previous) {
+        const index = this.childNodes.indexOf(previous);
+        if (index !== -1) {
+            if (child.parentNode) {
+                child.parentNode.removeChild(child);
+            }
+            this.childNodes[index] = child;
+            child.parentNode = this;
+            previous.parentNode = null;
+        }
+        return previous;
+    }
+
+    cloneNode(deep) {
+        const clone = new Element(this.ownerDocument, this.tagName);
+        this.attributes.forEach((value, name) => clone.setAttribute(name, value));
+        clone.style.cssText = this.style.cssText;
+        if (deep) {
+            this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+        }
+        return clone;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(child => child.parentNode = null);
+        this.childNodes = [];
+        if (value !== null && value !== undefined && value !== '') {
+            this.appendChild(new Text(value));
+        }
+    }
+
+    // Only type selectors, such as 'defs', are supported
+    querySelector(selector) {
+        for (const child of this.childNodes) {
+            if (child instanceof Element) {
+                const element = child.tagName === selector ? child : child.querySelector(selector);
+                if (element) {
+                    return element;
+                }
+            }
+        }
+        return null;
+    }
+
+    get outerHTML() {
+        const attributes = Array.from(this.attributes);
+        if (this.style.cssText) {
+            attributes.push(['style', this.style.cssText]);
+        }
+        const start = [this.tagName, ...attributes.map(([name, value]) => `${name}="${escape(value, /[&<>"]/g)}"`)].join(' ');
+        if (this.childNodes.length === 0) {
+            return `<${start}/>`;
+        }
+        return `<${start}>${this.childNodes.map(child => child.outerHTML).join('')}</${this.tagName}>`;
+    }
+
+    // There are no events without a browser
+    addEventListener() {
+    }
+
+    removeEventListener() {
+    }
+
+    getBBox() {
+        if (this.tagName === 'text') {
+            return this.ownerDocument.measure(this);
+        }
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+}
+
+class ClassList {
+
+    constructor(element) {
+        this._element = element;
+    }
+
+    _tokens() {
+        return (this._element.getAttribute('class') || '').split(/\s+/).filter(token => token);
+    }
+
+    contains(token) {
+        return this._tokens().includes(token);
+    }
+
+    add(...tokens) {
+        const current = this._tokens();
+        this._element.setAttribute('class', current.concat(tokens.filter(token => !current.includes(token))).join(' '));
+    }
+
+    remove(...tokens) {
+        this._element.setAttribute('class', this._tokens().filter(token => !tokens.includes(token)).join(' '));
+    }
+
+    toggle(token, force) {
+        const add = force === undefined ? !this.contains(token) : force;
+        if (add) {
+            this.add(token);
+        } else {
+            this.remove(token);
+        }
+        return add;
+    }
+}
+
+// An element's inline style. Properties can be set by their CSS name with setProperty()
+// or by their camel-cased name, as in `style.fontWeight = 'bold'`.
+function createStyle() {
+    const properties = new Map();
+    const cssName = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    const style = {
+        setProperty(name, value) {
+            if (value === null || value === undefined || value === '') {
+                properties.delete(name);
+            } else {
+                properties.set(name, String(value));
+            }
+        },
+        removeProperty(name) {
+            const value = properties.get(name) || '';
+            properties.delete(name);
+            return value;
+        },
+        getPropertyValue(name) {
+            return properties.get(name) || '';
+        },
+        get cssText() {
+            return Array.from(properties).map(([name, value]) => `${name}: ${value};`).join(' ');
+        },
+        set cssText(value) {
+            properties.clear();
+            for (const declaration of String(value).split(';')) {
+                const index = declaration.indexOf(':');
+                if (index !== -1) {
+                    style.setProperty(declaration.substring(0, index).trim(), declaration.substring(index + 1).trim());
+                }
+            }
+        }
+    };
+    return new Proxy(style, {
+        get: (target, name) => name in target ? target[name] : target.getPropertyValue(cssName(String(name))),
+        set: (target, name, value) => {
+            if (name === 'cssText') {
+                target.cssText = value;
+            } else {
+                target.setProperty(cssName(String(name)), value);
+            }
+            return true;
+        }
+    });
+}
+
+function escape(text, pattern) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+    return text.replace(pattern, (c) => entities[c]);
+}
@@ -0,0 +1,373 @@
+/**
+ * @file layout.js
+ * @description Layout engines for graph.js besides dagre: force-directed, tree, radial and grid.
+ * An engine has the interface of dagre.js, `layout(nodes, edges, layout, state)`, and sets the
+ * fields `grapher.Graph.layout()` reads back: the `x` and `y` centers of nodes, the `width` and
+ * `height` of clusters, the `points` of edges and the `x` and `y` of edge labels.
+ */
+
+import { clusterLabelHeight, clusterPadding, intersectRect } from './geometry.js';
+
+/**
+ * The built-in layout engines by name.
+ * @type {Object<string, {layout: function(object[], object[], object, object): void}>}
+ */
+export const engines = {
+    force: { layout: (nodes, edges, layout) => run(nodes, edges, layout, forceLayout) },
+    tree: { layout: (nodes, edges, layout) => run(nodes, edges, layout, treeLayout) },
+    radial: { layout: (nodes, edges, layout) => run(nodes, edges, layout, radialLayout) },
+    grid: { layout: (nodes, edges, layout) => run(nodes, edges, layout, gridLayout) },
+};
+
+function run(nodes, edges, options, position) {
+    const graph = createGraph(nodes, edges);
+    if (graph.roots.length > 0) {
+        arrange(graph, null, options, position);
+        normalize(graph);
+    }
+    route(graph, options);
+}
+
+function createGraph(nodes, edges) {
+    const byId = new Map(nodes.map(node => [node.v, node]));
+    const children = new Map(nodes.map(node => [node.v, []]));
+    const parent = new Map(nodes.map(node => [node.v, node.parent && children.has(node.parent) ? byId.get(node.parent) : null]));
+    const roots = [];
+    for (const node of nodes) {
+        (parent.get(node.v) ? children.get(node.parent) : roots).push(node);
+    }
+    return { nodes, edges, byId, children, parent, roots };
+}
+
+// Lays out the members of a cluster, or the top level for `null`. The content of each member
+// cluster is laid out first, so that the engine can place the cluster as a single item.
+function arrange(graph, cluster, options, position) {
+    const items = cluster ? graph.children.get(cluster.v) : graph.roots;
+    for (const item of items) {
+        const members = graph.children.get(item.v);
+        if (members.length > 0) {
+            arrange(graph, item, options, position);
+            const left = Math.min(...members.map(member => member.x - member.width / 2)) - clusterPadding;
+            const right = Math.max(...members.map(member => member.x + member.width / 2)) + clusterPadding;
+            const top = Math.min(...members.map(member => member.y - member.height / 2)) - clusterPadding - clusterLabelHeight;
+            const bottom = Math.max(...members.map(member => member.y + member.height / 2)) + clusterPadding;
+            item.x = (left + right) / 2;
+            item.y = (top + bottom) / 2;
+            item.width = right - left;
+            item.height = bottom - top;
+        }
+    }
+    // Edges between the items, or nodes inside them
+    const itemOf = (node) => {
+        while (node && graph.parent.get(node.v) !== cluster) {
+            node = graph.parent.get(node.v);
+        }
+        return node;
+    };
+    const links = [];
+    for (const edge of graph.edges) {
+        const source = itemOf(graph.byId.get(edge.v));
+        const target = itemOf(graph.byId.get(edge.w));
+        if (source && target && source !== target) {
+            links.push({ edge, source, target });
+        }
+    }
+    const previous = new Map(items.map(item => [item, { x: item.x, y: item.y }]));
+    position(items, links, options);
+    for (const item of items) {
+        const origin = previous.get(item);
+        if (graph.children.get(item.v).length > 0) {
+            translate(graph, graph.children.get(item.v), item.x - origin.x, item.y - origin.y);
+        }
+    }
+}
+
+function translate(graph, nodes, dx, dy) {
+    for (const node of nodes) {
+        node.x += dx;
+        node.y += dy;
+        translate(graph, graph.children.get(node.v), dx, dy);
+    }
+}
+
+// Directions map the rank axis of layered engines to the y (TB, BT) or x (LR, RL) axis
+function axes(options) {
+    const rankdir = options.rankdir || 'TB';
+    const horizontal = rankdir === 'LR' || rankdir === 'RL';
+    const reverse = rankdir === 'BT' || rankdir === 'RL' ? -1 : 1;
+    return {
+        rankSize: (node) => horizontal ? node.width : node.height,
+        breadthSize: (node) => horizontal ? node.height : node.width,
+        place: (node, rank, breadth) => {
+            node.x = horizontal ? rank * reverse : breadth;
+            node.y = horizontal ? breadth : rank * reverse;
+        }
+    };
+}
+
+// A spanning forest of the items, following links from items without incoming links
+function spanningForest(items, links) {
+    const successors = new Map(items.map(item => [item, []]));
+    const incoming = new Set();
+    for (const link of links) {
+        successors.get(link.source).push(link.target);
+        incoming.add(link.target);
+    }
+    const children = new Map(items.map(item => [item, []]));
+    const depth = new Map();
+    const roots = [];
+    const visit = (root) => {
+        roots.push(root);
+        depth.set(root, 0);
+        const queue = [root];
+        for (let i = 0; i < queue.length; i++) {
+            const item = queue[i];
+            for (const successor of successors.get(item)) {
+                if (!depth.has(successor)) {
+                    depth.set(successor, depth.get(item) + 1);
+                    children.get(item).push(successor);
+                    queue.push(successor);
+                }
+            }
+        }
+    };
+    items.filter(item => !incoming.has(item)).forEach(visit);
+    // Items only reachable through cycles
+    items.forEach(item => depth.has(item) || visit(item));
+    // Children before parents, so subtree sizes can be computed in one pass
+    const order = [];
+    const stack = roots.slice().reverse();
+    while (stack.length > 0) {
+        const item = stack.pop();
+        order.push(item);
+        stack.push(...children.get(item).slice().reverse());
+    }
+    return { roots, children, depth, postOrder: order.reverse() };
+}
+
+function treeLayout(items, links, options) {
+    const { rankSize, breadthSize, place } = axes(options);
+    const forest = spanningForest(items, links);
+    const span = (children) => children.reduce((sum, child) => sum + extent.get(child), 0) + options.nodesep * Math.max(0, children.length - 1);
+    const extent = new Map();
+    for (const item of forest.postOrder) {
+        extent.set(item, Math.max(breadthSize(item), span(forest.children.get(item))));
+    }
+    const levels = [];
+    forest.depth.forEach((depth, item) => levels[depth] = Math.max(levels[depth] || 0, rankSize(item)));
+    const rank = [];
+    levels.reduce((position, size, depth) => (rank[depth] = position + size / 2, position + size + options.ranksep), 0);
+    const arrange = (items, start) => {
+        for (const item of items) {
+            place(item, rank[forest.depth.get(item)], start + extent.get(item) / 2);
+            const children = forest.children.get(item);
+            arrange(children, start + (extent.get(item) - span(children)) / 2);
+            start += extent.get(item) + options.nodesep;
+        }
+    };
+    arrange(forest.roots, 0);
+}
+
+function radialLayout(items, links, options) {
+    const forest = spanningForest(items, links);
+    // Several trees hang from an empty center
+    const offset = forest.roots.length > 1 ? 1 : 0;
+    const size = (item) => Math.hypot(item.width, item.height);
+    const weight = new Map();
+    for (const item of forest.postOrder) {
+        weight.set(item, Math.max(1, forest.children.get(item).reduce((sum, child) => sum + weight.get(child), 0)));
+    }
+    const rings = [{ size: 0, circumference: 0 }];
+    forest.depth.forEach((depth, item) => {
+        const ring = rings[depth + offset] || (rings[depth + offset] = { size: 0, circumference: 0 });
+        ring.size = Math.max(ring.size, size(item));
+        ring.circumference += size(item) + options.nodesep;
+    });
+    const radius = [0];
+    for (let i = 1; i < rings.length; i++) {
+        const inner = radius[i - 1] + rings[i - 1].size / 2 + options.ranksep + rings[i].size / 2;
+        radius.push(Math.max(inner, rings[i].circumference / (2 * Math.PI)));
+    }
+    const arrange = (items, start, range) => {
+        const total = items.reduce((sum, item) => sum + weight.get(item), 0);
+        for (const item of items) {
+            const share = range * weight.get(item) / total;
+            const angle = start + share / 2;
+            const r = radius[forest.depth.get(item) + offset];
+            item.x = r * Math.cos(angle);
+            item.y = r * Math.sin(angle);
+            arrange(forest.children.get(item), start, share);
+            start += share;
+        }
+    };
+    arrange(forest.roots, -Math.PI / 2, 2 * Math.PI);
+}
+
+function gridLayout(items, links, options) {
+    const { rankSize, breadthSize, place } = axes(options);
+    const columns = Math.ceil(Math.sqrt(items.length));
+    const cellBreadth = Math.max(...items.map(breadthSize));
+    const cellRank = Math.max(...items.map(rankSize));
+    items.forEach((item, index) => {
+        const rank = Math.floor(index / columns) * (cellRank + options.ranksep) + cellRank / 2;
+        const breadth = (index % columns) * (cellBreadth + options.nodesep) + cellBreadth / 2;
+        place(item, rank, breadth);
+    });
+}
+
+// Fruchterman-Reingold, starting from a spiral so that the result is deterministic
+function forceLayout(items, links, options) {
+    const count = items.length;
+    const meanSize = items.reduce((sum, item) => sum + (item.width + item.height) / 2, 0) / count;
+    const k = meanSize + Math.max(options.nodesep, options.ranksep);
+    items.forEach((item, index) => {
+        const angle = index * Math.PI * (3 - Math.sqrt(5));
+        const r = k * Math.sqrt(index + 0.5);
+        item.x = r * Math.cos(angle);
+        item.y = r * Math.sin(angle);
+    });
+    const index = new Map(items.map((item, i) => [item, i]));
+    const iterations = Math.max(30, Math.min(300, Math.round(3e6 / (count * count))));
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+    let temperature = k * Math.sqrt(count) / 2;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        dx.fill(0);
+        dy.fill(0);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                let x = items[i].x - items[j].x;
+                let y = items[i].y - items[j].y;
+                if (x === 0 && y === 0) {
+                    x = 0.01 * (j - i);
+                    y = 0.01;
+                }
+                const force = k * k / (x * x + y * y);
+                dx[i] += x * force;
+                dy[i] += y * force;
+                dx[j] -= x * force;
+                dy[j] -= y * force;
+            }
+        }
+        for (const link of links) {
+            const i = index.get(link.source);
+            const j = index.get(link.target);
+            const x = items[i].x - items[j].x;
+            const y = items[i].y - items[j].y;
+            const force = Math.hypot(x, y) * (link.edge.weight || 1) / (k * (link.edge.minlen || 1));
+            dx[i] -= x * force;
+            dy[i] -= y * force;
+            dx[j] += x * force;
+            dy[j] += y * force;
+        }
+        for (let i = 0; i < count; i++) {
+            // Pulled to the center, so that unconnected parts stay close
+            dx[i] -= items[i].x * 0.2;
+            dy[i] -= items[i].y * 0.2;
+            const length = Math.hypot(dx[i], dy[i]);
+            if (length > 0) {
+                const step = Math.min(length, temperature);
+                items[i].x += dx[i] / length * step;
+                items[i].y += dy[i] / length * step;
+            }
+        }
+        temperature = Math.max(temperature * (1 - 4 / iterations), k * 0.01);
+    }
+    removeOverlaps(items, options.nodesep / 2);
+}
+
+function removeOverlaps(items, margin) {
+    for (let pass = 0; pass < 50; pass++) {
+        let moved = false;
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const a = items[i];
+                const b = items[j];
+                const overlapX = (a.width + b.width) / 2 + margin - Math.abs(a.x - b.x);
+                const overlapY = (a.height + b.height) / 2 + margin - Math.abs(a.y - b.y);
+                if (overlapX > 0 && overlapY > 0) {
+                    moved = true;
+                    if (overlapX < overlapY) {
+                        const shift = (a.x <= b.x ? -overlapX : overlapX) / 2;
+                        a.x += shift;
+                        b.x -= shift;
+                    } else {
+                        const shift = (a.y <= b.y ? -overlapY : overlapY) / 2;
+                        a.y += shift;
+                        b.y -= shift;
+                    }
+                }
+            }
+        }
+        if (!moved) {
+            break;
+        }
+    }
+}
+
+// Moves the graph so its top-left corner is at the origin, as dagre does
+function normalize(graph) {
+    const left = Math.min(...graph.roots.map(node => node.x - node.width / 2));
+    const top = Math.min(...graph.roots.map(node => node.y - node.height / 2));
+    for (const node of graph.nodes) {
+        node.x -= left;
+        node.y -= top;
+    }
+}
+
+// Connects nodes with straight edges. Edges between the same pair of nodes are spread
+// apart, and edges from a node to itself loop on its right side.
+function route(graph, options) {
+    const pairs = new Map();
+    for (const edge of graph.edges) {
+        const key = JSON.stringify(edge.v < edge.w ? [edge.v, edge.w] : [edge.w, edge.v]);
+        if (!pairs.has(key)) {
+            pairs.set(key, []);
+        }
+        pairs.get(key).push(edge);
+    }
+    const spacing = options.edgesep === undefined ? 20 : options.edgesep;
+    pairs.forEach((edges) => {
+        edges.forEach((edge, index) => {
+            const tail = graph.byId.get(edge.v);
+            const head = graph.byId.get(edge.w);
+            const labelOffset = edge.labeloffset === undefined ? 10 : edge.labeloffset;
+            let label;
+            if (tail === head) {
+                const right = tail.x + tail.width / 2;
+                const loop = spacing * (index + 1);
+                const middle = [
+                    { x: right + loop, y: tail.y - tail.height / 4 },
+                    { x: right + loop * 1.5, y: tail.y },
+                    { x: right + loop, y: tail.y + tail.height / 4 }
+                ];
+                edge.points = [intersectRect(tail, middle[0]), ...middle, intersectRect(tail, middle[2])];
+                label = { x: right + loop * 1.5 + labelOffset + (edge.width || 0) / 2, y: tail.y };
+            } else {
+                // The offset direction is that of the pair, so edges in both directions are spread too
+                const [a, b] = edge.v < edge.w ? [tail, head] : [head, tail];
+                const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+                let nx = (a.y - b.y) / length;
+                let ny = (b.x - a.x) / length;
+                const offset = (index - (edges.length - 1) / 2) * spacing;
+                // Between the borders, which for a large cluster is far from the middle of the centers
+                const start = intersectRect(tail, head);
+                const end = intersectRect(head, tail);
+                const middle = { x: (start.x + end.x) / 2 + nx * offset, y: (start.y + end.y) / 2 + ny * offset };
+                edge.points = [intersectRect(tail, middle), middle, intersectRect(head, middle)];
+                // Labels go beside the middle of the edge, to the right or below it
+                if (nx < 0 || (nx === 0 && ny < 0)) {
+                    nx = -nx;
+                    ny = -ny;
+                }
+                const distance = labelOffset + Math.abs(nx) * (edge.width || 0) / 2 + Math.abs(ny) * (edge.height || 0) / 2;
+                label = { x: middle.x + nx * distance, y: middle.y + ny * distance };
+            }
+            if (edge.width || edge.height) {
+                edge.x = label.x;
+                edge.y = label.y;
+            }
+        });
+    });
+}
+
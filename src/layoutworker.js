@@ -0,0 +1,125 @@
+/**
+ * @file layoutworker.js
+ * @description Client of the layout worker (worker.js), implementing the
+ * `request(message, delay, notification)` protocol `grapher.Graph.layout(worker)` expects.
+ * Requests that take long are reported so the user can cancel them.
+ */
+
+/**
+ * Runs layout requests in a Web Worker, one at a time. The worker is started by the first
+ * request and reused until it is terminated. Canceling a request terminates the worker,
+ * as dagre cannot be interrupted, and the next request starts a new one.
+ */
+export class LayoutWorker {
+    /**
+     * Creates a client. No worker is started until the first request.
+     * @param {object} [options={}] - Client options.
+     * @param {string|URL} [options.url] - URL of the worker script. Defaults to worker.js next to this module.
+     * @param {number} [options.timeout] - Milliseconds after which a request is reported as slow.
+     * Overrides the delay given to `request`.
+     * @param {function({message: string, cancel: function(): void}): void} [options.onSlow] - Called
+     * when a request takes longer than the timeout, with the notification message given to `request`
+     * and a function canceling the request.
+     * @param {function({cancelled: boolean}): void} [options.onEnd] - Called when a request reported
+     * as slow completes, fails or is cancelled.
+     */
+    constructor(options = {}) {
+        this.url = options.url || null;
+        this.timeout = options.timeout;
+        this.onSlow = options.onSlow || null;
+        this.onEnd = options.onEnd || null;
+        this._worker = null;
+        this._pending = null; // { resolve, reject, timer, slow } of the running request
+    }
+
+    /**
+     * Sends a request to the worker. A request that is still running is cancelled first.
+     * @param {object} message - The request, e.g. `{ type: 'dagre.layout', nodes, edges, layout, state }`.
+     * @param {number} delay - Milliseconds after which the request is reported as slow, unless
+     * `options.timeout` is set.
+     * @param {string} notification - Message reported when the request is slow.
+     * @returns {Promise<object>} Resolves with the worker's response, or with `{ type: 'cancel' }`
+     * if the request is cancelled. Rejects if the worker fails.
+     */
+    request(message, delay, notification) {
+        this.cancel();
+        if (!this._worker) {
+            // The default is spelled out in the Worker call, where bundlers such as webpack and Vite
+            // look for worker scripts. Built with rollup, it is dist/worker.js next to the bundle.
+            this._worker = this.url ?
+                new Worker(this.url, { type: 'module' }) :
+                new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+            this._worker.addEventListener('message', (e) => {
+                if (e.data.type === 'error') {
+                    this._settle((pending) => pending.reject(new Error(`Layout failed: ${e.data.message}`)));
+                } else {
+                    this._settle((pending) => pending.resolve(e.data));
+                }
+            });
+            this._worker.addEventListener('error', (e) => {
+                // Errors thrown while loading the script, which the worker cannot report itself
+                e.preventDefault();
+                this._stop();
+                this._settle((pending) => pending.reject(new Error(`Layout worker failed: ${e.message || `cannot load '${this.url || 'worker.js'}'`}.`)));
+            });
+        }
+        return new Promise((resolve, reject) => {
+            const pending = { resolve, reject, timer: null, slow: false };
+            const timeout = this.timeout === undefined ? delay : this.timeout;
+            if (this.onSlow && Number.isFinite(timeout)) {
+                pending.timer = setTimeout(() => {
+                    pending.timer = null;
+                    pending.slow = true;
+                    this.onSlow({
+                        message: notification,
+                        cancel: () => {
+                            if (this._pending === pending) {
+                                this.cancel();
+                            }
+                        }
+                    });
+                }, timeout);
+            }
+            this._pending = pending;
+            this._worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Cancels the running request, if any. Its promise resolves with `{ type: 'cancel' }`.
+     */
+    cancel() {
+        if (this._pending) {
+            this._stop();
+            this._settle((pending) => pending.resolve({ type: 'cancel' }), true);
+        }
+    }
+
+    /**
+     * Cancels the running request and stops the worker.
+     */
+    terminate() {
+        this.cancel();
+        this._stop();
+    }
+
+    _stop() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+    }
+
+    _settle(callback, cancelled = false) {
+        const pending = this._pending;
+        if (!pending) {
+            return;
+        }
+        this._pending = null;
+        clearTimeout(pending.timer);
+        callback(pending);
+        if (pending.slow && this.onEnd) {
+            this.onEnd({ cancelled });
+        }
+    }
+}
@@ -0,0 +1,484 @@
+const mermaid = {};
+
+// Mermaid flowchart syntax
+// https://mermaid.js.org/syntax/flowchart.html
+
+mermaid.parse = (text) => {
+    return new mermaid.Parser(text).parse();
+};
+
+mermaid.write = (model) => {
+    return new mermaid.Writer().write(model);
+};
+
+// Labels and links depend on the surrounding characters, so the parser scans the text directly
+mermaid.Parser = class {
+
+    constructor(text) {
+        if (typeof text !== 'string') {
+            throw new mermaid.Error('Mermaid input must be a string', 1, 1);
+        }
+        this._text = text;
+        this._position = 0;
+        this._line = 1;
+        this._column = 1;
+    }
+
+    parse() {
+        this._options = {};
+        this._clusters = new Map();
+        this._nodes = new Map();
+        this._edges = [];
+        this._subgraphs = [];
+        this._blank();
+        // YAML front matter, e.g. a title or config
+        if (this._match(/^---[ \t]*(\r?\n|$)/)) {
+            while (!this._match(/^---[ \t]*(?=\r?\n|$)/)) {
+                if (this._eof()) {
+                    this._error("Expected '---' closing the front matter");
+                }
+                this._match(/^[^\n]*\n?/);
+            }
+            this._blank();
+        }
+        const header = this._match(/^(flowchart|graph)\b/);
+        if (!header) {
+            this._error("Expected 'flowchart' or 'graph'");
+        }
+        this._spaces();
+        const direction = this._match(/^[A-Za-z]+/);
+        if (direction) {
+            const value = direction.toUpperCase() === 'TD' ? 'TB' : direction.toUpperCase();
+            if (!['TB', 'BT', 'LR', 'RL'].includes(value)) {
+                this._unsupported(`Invalid direction '${direction}', expected 'TB', 'TD', 'BT', 'LR' or 'RL'`, -direction.length);
+            }
+            this._options.direction = value;
+        }
+        this._end();
+        for (;;) {
+            this._blank();
+            if (this._eof()) {
+                break;
+            }
+            this._statement();
+            this._end();
+        }
+        if (this._subgraphs.length > 0) {
+            this._error(`Expected 'end' for subgraph '${this._subgraphs[this._subgraphs.length - 1]}'`);
+        }
+        return {
+            options: this._options,
+            clusters: Array.from(this._clusters.values()),
+            nodes: Array.from(this._nodes.values()),
+            edges: this._edges,
+        };
+    }
+
+    _statement() {
+        const keyword = this._match(/^(subgraph|end|direction|classDef|class|style|linkStyle|click|accTitle|accDescr)(?![A-Za-z0-9_])/);
+        switch (keyword) {
+            case 'subgraph': {
+                this._subgraph();
+                return;
+            }
+            case 'end': {
+                if (this._subgraphs.length === 0) {
+                    this._unsupported("Unexpected 'end' outside of a subgraph", -3);
+                }
+                this._subgraphs.pop();
+                return;
+            }
+            case 'class': {
+                this._spaces();
+                const ids = this._match(/^[^\s;]+/);
+                this._spaces();
+                const name = this._match(/^[^\s;]+/);
+                if (!ids || !name) {
+                    this._error("Expected node IDs and a class name after 'class'");
+                }
+                for (const id of ids.split(',').filter((id) => id)) {
+                    this._addClass(this._clusters.get(id) || this._nodes.get(this._node(id, false)), name);
+                }
+                return;
+            }
+            case 'accDescr': {
+                // Multi-line descriptions are enclosed in braces
+                if (this._match(/^[ \t]*\{/)) {
+                    if (!this._match(/^[^}]*\}/)) {
+                        this._error("Expected '}'");
+                    }
+                    return;
+                }
+                this._match(/^[^\n]*/);
+                return;
+            }
+            case null: {
+                this._links();
+                return;
+            }
+            default: {
+                // Styles, interactions and subgraph directions do not affect the graph model
+                this._match(/^[^\n;]*/);
+                return;
+            }
+        }
+    }
+
+    _subgraph() {
+        this._spaces();
+        let id = null;
+        let label = null;
+        if (this._peek() === '"') {
+            label = this._string();
+            id = label;
+        } else {
+            id = this._match(/^[^\s;[]+/);
+            if (!id) {
+                this._error('Expected a subgraph ID');
+            }
+            this._spaces();
+            if (this._match(/^\[/)) {
+                label = this._label(']');
+            } else {
+                // Unbracketed titles may contain spaces and are also the ID
+                const title = this._match(/^[^\n;]*/).trim();
+                if (title) {
+                    id = `${id} ${title}`;
+                }
+                label = id;
+            }
+        }
+        if (this._nodes.has(id)) {
+            this._unsupported(`ID '${id}' is used for both a node and a subgraph`);
+        }
+        if (!this._clusters.has(id)) {
+            const clusterOpts = { id, label };
+            if (this._subgraphs.length > 0) {
+                clusterOpts.parent = this._subgraphs[this._subgraphs.length - 1];
+            }
+            this._clusters.set(id, clusterOpts);
+        }
+        this._subgraphs.push(id);
+    }
+
+    _links() {
+        let from = this._vertices();
+        for (;;) {
+            this._spaces();
+            const link = this._link();
+            if (!link) {
+                return;
+            }
+            this._spaces();
+            const to = this._vertices();
+            // Invisible links only influence the layout in Mermaid
+            if (!link.invisible) {
+                for (const source of from) {
+                    for (const target of to) {
+                        for (const [v, w] of link.both ? [[source, target], [target, source]] : [[source, target]]) {
+                            const edgeOpts = { from: v, to: w };
+                            if (link.label) {
+                                edgeOpts.label = link.label;
+                            }
+                            if (link.length > 1) {
+                                edgeOpts.minlen = link.length;
+                            }
+                            this._edges.push(edgeOpts);
+                        }
+                    }
+                }
+            }
+            from = to;
+        }
+    }
+
+    _vertices() {
+        const ids = [this._vertex()];
+        while (this._match(/^[ \t]*&[ \t]*/)) {
+            ids.push(this._vertex());
+        }
+        return ids;
+    }
+
+    _vertex() {
+        const id = this._match(/^[A-Za-z0-9_\u0080-\uFFFF]+/);
+        if (!id) {
+            this._error('Expected a node ID');
+        }
+        if (this._peek() === '@' && this._peek(1) === '{') {
+            this._unsupported("Shape data '@{ ... }' is not supported");
+        }
+        this._node(id, true);
+        const nodeOpts = this._nodes.get(id);
+        for (const [open, close] of mermaid.Parser.shapes) {
+            if (this._text.startsWith(open, this._position)) {
+                this._advance(open.length);
+                nodeOpts.label = this._label(close);
+                break;
+            }
+        }
+        if (this._match(/^:::/)) {
+            const name = this._match(/^[A-Za-z0-9_-]+/);
+            if (!name) {
+                this._error("Expected a class name after ':::'");
+            }
+            this._addClass(nodeOpts, name);
+        }
+        return id;
+    }
+
+    _node(id, mention) {
+        if (this._clusters.has(id)) {
+            this._unsupported(`Subgraph '${id}' cannot be used as a node`, -id.length);
+        }
+        let nodeOpts = this._nodes.get(id);
+        if (!nodeOpts) {
+            nodeOpts = { id, label: id };
+            this._nodes.set(id, nodeOpts);
+        }
+        // Nodes belong to the first subgraph they are mentioned in
+        if (mention && nodeOpts.parent === undefined && this._subgraphs.length > 0) {
+            nodeOpts.parent = this._subgraphs[this._subgraphs.length - 1];
+        }
+        return id;
+    }
+
+    _link() {
+        const line = this._line;
+        const column = this._column;
+        // Circle and cross ends have no equivalent, '<' draws an arrow at the start as well
+        const link = (match, end, label, characters, invisible) => {
+            if (end === 'o' || end === 'x') {
+                throw new mermaid.Error(`Circle and cross link ends ('${end}') are not supported, use '-->'`, line, column);
+            }
+            return { label, length: characters ? this._linkLength(characters) : 1, invisible, both: match.startsWith('<') };
+        };
+        const start = /^<?(--|==|-\.)[ \t]/.exec(this._text.substring(this._position));
+        if (start) {
+            // Label inside the link, e.g. '-- text -->'
+            const close = { '--': /^[ \t]*(-{2,})([->ox])/, '==': /^[ \t]*(={2,})([=>ox])/, '-.': /^[ \t]*(\.+)(-)([>ox]?)/ }[start[1]];
+            this._advance(start[0].length);
+            let label = '';
+            for (;;) {
+                const match = close.exec(this._text.substring(this._position));
+                if (match) {
+                    this._advance(match[0].length);
+                    label = label.trim();
+                    if (label.length > 1 && label.startsWith('"') && label.endsWith('"')) {
+                        label = label.substring(1, label.length - 1);
+                    }
+                    return link(start[0], match[match.length - 1], this._decode(label), match[1], false);
+                }
+                if (this._eof() || this._peek() === '\n') {
+                    throw new mermaid.Error('Expected the end of the link', line, column + start[0].length);
+                }
+                label += this._peek();
+                this._advance(1);
+            }
+        }
+        const match = this._match(/^(<?)(?:(-{2,})([->ox])|(={2,})([=>ox])|(-?)(\.+)(-)([>ox]?)|(~{3,}))/, true);
+        if (!match) {
+            return null;
+        }
+        const result = link(match[0], match[3] || match[5] || match[9], '', match[2] || match[4] || match[7], match[10] !== undefined);
+        if (this._match(/^[ \t]*\|/)) {
+            result.label = this._label('|');
+        }
+        return result;
+    }
+
+    _linkLength(characters) {
+        // '-->', '---' and '-.->' have length 1, each extra character adds one
+        return characters.startsWith('.') ? characters.length : characters.length - 1;
+    }
+
+    _label(close) {
+        this._spaces();
+        let text = null;
+        if (this._peek() === '"') {
+            text = this._string();
+            this._spaces();
+            if (!this._text.startsWith(close, this._position)) {
+                this._error(`Expected '${close}'`);
+            }
+        } else {
+            const end = this._text.indexOf(close, this._position);
+            const newline = this._text.indexOf('\n', this._position);
+            if (end === -1 || (newline !== -1 && newline < end)) {
+                this._error(`Expected '${close}'`);
+            }
+            text = this._text.substring(this._position, end);
+            this._advance(end - this._position);
+        }
+        this._advance(close.length);
+        return this._decode(text);
+    }
+
+    _string() {
+        const line = this._line;
+        const column = this._column;
+        this._advance(1);
+        const end = this._text.indexOf('"', this._position);
+        if (end === -1) {
+            throw new mermaid.Error('Unterminated string', line, column);
+        }
+        let text = this._text.substring(this._position, end);
+        this._advance(end + 1 - this._position);
+        // Markdown strings
+        if (text.startsWith('`') && text.endsWith('`') && text.length > 1) {
+            text = text.substring(1, text.length - 1);
+        }
+        return text;
+    }
+
+    _decode(text) {
+        const entities = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: ' ' };
+        return text
+            .replace(/<br\s*\/?>/gi, ' ') // Labels are drawn on a single line
+            .replace(/#(\d+|[a-z]+);/gi, (match, name) => /^\d+$/.test(name) ? String.fromCodePoint(Number(name)) : (entities[name.toLowerCase()] || match))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    _addClass(opts, name) {
+        const names = opts.styleClass ? opts.styleClass.split(' ') : [];
+        if (!names.includes(name)) {
+            names.push(name);
+            opts.styleClass = names.join(' ');
+        }
+    }
+
+    _end() {
+        this._spaces();
+        if (this._match(/^%%[^\n]*/) || this._eof() || this._match(/^(;|\r?\n)/)) {
+            return;
+        }
+        this._error('Expected the end of the statement');
+    }
+
+    _blank() {
+        while (this._match(/^([ \t\r\n;]+|%%[^\n]*)/)) {
+            // Skip empty statements and comments
+        }
+    }
+
+    _spaces() {
+        this._match(/^[ \t]+/);
+    }
+
+    _match(regex, groups) {
+        const match = regex.exec(this._text.substring(this._position));
+        if (!match) {
+            return null;
+        }
+        this._advance(match[0].length);
+        return groups ? match : match[0];
+    }
+
+    _peek(offset = 0) {
+        return this._text[this._position + offset];
+    }
+
+    _eof() {
+        return this._position >= this._text.length;
+    }
+
+    _advance(count) {
+        for (let i = 0; i < count; i++) {
+            if (this._text[this._position] === '\n') {
+                this._line++;
+                this._column = 1;
+            } else {
+                this._column++;
+            }
+            this._position++;
+        }
+    }
+
+    _unsupported(message, offset = 0) {
+        throw new mermaid.Error(message, this._line, this._column + offset);
+    }
+
+    _error(message) {
+        const found = this._eof() ? 'end of input' : `'${this._text.substring(this._position).split(/[\s;]/)[0] || this._peek()}'`;
+        throw new mermaid.Error(`${message} but found ${found}`, this._line, this._column);
+    }
+};
+
+mermaid.Parser.shapes = [
+    ['(((', ')))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['((', '))'], ['{{', '}}'],
+    ['[/', '/]'], ['[\\', '\\]'], ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']']
+];
+
+mermaid.Writer = class {
+
+    write(model) {
+        this._ids = new Map();
+        this._lines = [`flowchart ${model.direction}`];
+        this._classes = [];
+        this._graph(model.graph, 1);
+        for (const edgeOpts of model.edges) {
+            // Longer links span more ranks
+            const link = `${'-'.repeat(Math.min(edgeOpts.minlen === undefined ? 1 : Math.max(edgeOpts.minlen, 1), 3) + 1)}>`;
+            const label = edgeOpts.label ? `|${this._quote(edgeOpts.label)}|` : '';
+            this._line(1, `${this._id(edgeOpts.from)} ${link}${label} ${this._id(edgeOpts.to)}`);
+        }
+        for (const [id, styleClass] of this._classes) {
+            for (const name of styleClass.split(/\s+/).filter((name) => name)) {
+                this._line(1, `class ${id} ${name}`);
+            }
+        }
+        return `${this._lines.join('\n')}\n`;
+    }
+
+    _graph(graph, depth) {
+        for (const cluster of graph.clusters) {
+            this._line(depth, `subgraph ${this._id(cluster.id)}[${this._quote(cluster.label || cluster.id)}]`);
+            this._graph(cluster, depth + 1);
+            this._line(depth, 'end');
+            if (cluster.styleClass) {
+                this._classes.push([this._id(cluster.id), cluster.styleClass]);
+            }
+        }
+        for (const node of graph.nodes) {
+            const rows = [node.label].concat(node.arguments.map(([name, value]) => `${name}: ${value}`));
+            this._line(depth, `${this._id(node.id)}[${this._quote(rows.join('\n'))}]`);
+            if (node.styleClass) {
+                this._classes.push([this._id(node.id), node.styleClass]);
+            }
+        }
+    }
+
+    _id(id) {
+        // Identifiers Mermaid cannot parse are replaced with generated ones, in order of appearance
+        if (!this._ids.has(id)) {
+            const valid = /^[A-Za-z_][A-Za-z0-9_]*$/.test(id) && !mermaid.Writer.keywords.has(id.toLowerCase());
+            this._ids.set(id, valid && !id.startsWith('n_') ? id : `n_${this._ids.size}`);
+        }
+        return this._ids.get(id);
+    }
+
+    _quote(text) {
+        const entities = { '"': '#quot;', '<': '#lt;', '>': '#gt;', '#': '#35;' };
+        return `"${String(text).replace(/["<>#]/g, (c) => entities[c]).replace(/\n/g, '<br/>')}"`;
+    }
+
+    _line(depth, text) {
+        this._lines.push(`${'    '.repeat(depth)}${text}`);
+    }
+};
+
+mermaid.Writer.keywords = new Set(['end', 'graph', 'flowchart', 'subgraph', 'direction', 'class', 'classdef', 'click', 'style', 'linkstyle', 'call', 'href', 'default']);
+
+mermaid.Error = class extends Error {
+
+    constructor(message, line, column) {
+        super(`${message} at line ${line}, column ${column}.`);
+        this.name = 'Error parsing Mermaid.';
+        this.line = line;
+        this.column = column;
+    }
+};
+
+export const { parse, write } = mermaid;
+export const MermaidError = mermaid.Error;
@@ -0,0 +1,428 @@
+/**
+ * @file routing.js
+ * @description Edge routing for graph.js. Replaces the points the layout computed for edges with
+ * `routing` 'straight' by a line between their nodes, and for edges with `routing` 'orthogonal' by
+ * horizontal and vertical segments that avoid the boxes of the other nodes. Edges attached to
+ * arguments start and end at the side of their rows.
+ */
+
+import { intersectRect } from './geometry.js';
+
+const clearance = 10; // Distance kept between orthogonal routes and the nodes they pass
+const bendPenalty = 40; // Length an orthogonal route may grow by to save a bend
+
+/**
+ * Routes the 'straight' and 'orthogonal' edges of a laid out graph, replacing their points.
+ * Straight edges also get their label moved beside their middle. Self-loops keep the points
+ * of the layout, squared for orthogonal edges. Edges with ports (see grapher.Graph.ports)
+ * start and end at them, orthogonal edges leaving and entering them sideways, and other
+ * edges get their first and last points moved there.
+ * @param {grapher.Graph} graph - The laid out graph.
+ * @param {Iterable<grapher.Edge>} [edges] - The edges to route. Defaults to all edges of the graph.
+ * @param {boolean} [guided=true] - Whether orthogonal routes follow the current points of the edges,
+ * rather than taking the fewest bends. Points bent by moving a node are not worth following.
+ */
+export function routeEdges(graph, edges, guided = true) {
+    let obstacles = null;
+    for (const edge of edges || Array.from(graph.edges.values(), entry => entry.label)) {
+        if (!edge.points || edge.points.length < 2) {
+            continue;
+        }
+        if (edge.routing === 'straight' && edge.from !== edge.to) {
+            routeStraight(edge);
+        } else if (edge.routing === 'orthogonal' && edge.from === edge.to && !edge.tailport && !edge.headport) {
+            routeLoop(edge);
+        } else if (edge.routing === 'orthogonal') {
+            // Clusters are not obstacles, edges enter and leave them
+            obstacles = obstacles || Array.from(graph.nodes.keys())
+                .filter(id => graph.children(id).length === 0)
+                .map(id => graph.node(id).label);
+            routeOrthogonal(edge, obstacles, guided);
+        } else if (edge.tailport || edge.headport) {
+            // Drawn through the points of the layout, from and to the ports
+            const points = edge.points.slice();
+            points[0] = edge.tailport ? port(edge.from, edge.tailport) : points[0];
+            points[points.length - 1] = edge.headport ? port(edge.to, edge.headport) : points[points.length - 1];
+            edge.points = points;
+        }
+    }
+}
+
+function routeStraight(edge) {
+    // Toward the center of the other node, or its port
+    const tail = edge.tailport ? port(edge.from, edge.tailport) : edge.from;
+    const head = edge.headport ? port(edge.to, edge.headport) : edge.to;
+    const start = edge.tailport ? tail : intersectRect(edge.from, head);
+    const end = edge.headport ? head : intersectRect(edge.to, tail);
+    const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    edge.points = [start, middle, end];
+    if (edge.x !== undefined) {
+        // Beside the middle, to the right or below it, as placed by the engines of layout.js
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        let nx = (start.y - end.y) / length;
+        let ny = (end.x - start.x) / length;
+        if (nx < 0 || (nx === 0 && ny < 0)) {
+            nx = -nx;
+            ny = -ny;
+        }
+        const labelOffset = edge.labeloffset === undefined ? 10 : edge.labeloffset;
+        const distance = labelOffset + Math.abs(nx) * (edge.width || 0) / 2 + Math.abs(ny) * (edge.height || 0) / 2;
+        edge.x = middle.x + nx * distance;
+        edge.y = middle.y + ny * distance;
+    }
+}
+
+function routeLoop(edge) {
+    const node = edge.from;
+    const right = node.x + node.width / 2;
+    const extent = Math.max(clearance * 2, ...edge.points.map(point => point.x - right));
+    const top = node.y - node.height / 4;
+    const bottom = node.y + node.height / 4;
+    edge.points = [{ x: right, y: top }, { x: right + extent, y: top }, { x: right + extent, y: bottom }, { x: right, y: bottom }];
+}
+
+function routeOrthogonal(edge, obstacles, guided) {
+    // A route from a port starts `clearance` beside it, and its node is in the way like any other
+    const tail = edge.tailport ? stub(edge.from, edge.tailport) : box(edge.from, 0);
+    const head = edge.headport ? stub(edge.to, edge.headport) : box(edge.to, 0);
+    if (overlaps(tail, head) || (tail.port && contains(head, tail)) || (head.port && contains(tail, head))) {
+        routeStraight(edge);
+        return;
+    }
+    const others = obstacles.filter(node => (node !== edge.from || edge.tailport) && (node !== edge.to || edge.headport)).map(node => box(node, clearance));
+    // The layout lined edges up with the centers of nodes, not with ports, and loops with one side
+    const guide = guided && edge.from !== edge.to ? edge.points.slice(1, -1) : [];
+    let points = (tail.port || head.port) && guide.length > 0 ? guidedRoute(tail, head, [], others) : null;
+    points = points || guidedRoute(tail, head, guide, others);
+    if (!points) {
+        points = searchRoute(tail, head, others) || guidedRoute(tail, head, guide, []);
+    }
+    if (!points) {
+        routeStraight(edge);
+        return;
+    }
+    points = clip(simplify(points), tail, head);
+    edge.points = simplify([tail.port, ...points, head.port].filter(point => point));
+}
+
+// Follows the points of the layout with horizontal and vertical segments. Returns null
+// if the segments would cross a node.
+function guidedRoute(tail, head, guide, boxes) {
+    const first = guide.length > 0 ? guide[0] : center(head);
+    const last = guide.length > 0 ? guide[guide.length - 1] : center(tail);
+    const sequence = [anchor(tail, first, guide.length === 0 ? head : null), ...guide, anchor(head, last, guide.length === 0 ? tail : null)];
+    const checked = boxes.concat([tail, head]);
+    const points = [sequence[0]];
+    for (let i = 1; i < sequence.length; i++) {
+        // Only the first and last segments of the route are inside the tail and the head
+        const from = i === 1 ? tail : null;
+        const to = i === sequence.length - 1 ? head : null;
+        const others = checked.filter(b => b !== from && b !== to);
+        const segments = candidates(sequence[i - 1], sequence[i], others, from, to).find(candidate => isClear(candidate, checked, from, to));
+        if (!segments) {
+            return null;
+        }
+        points.push(...segments.slice(1));
+    }
+    return points;
+}
+
+// The point in a node where a route to `target` starts, on the line through its center
+// along the main direction of the route and aligned with the target across it
+function anchor(node, target, other) {
+    const vertical = Math.abs(target.y - node.y) >= Math.abs(target.x - node.x);
+    const [axis, low, high] = vertical ? ['x', node.left, node.right] : ['y', node.top, node.bottom];
+    const inset = Math.min(clearance, (high - low) / 2);
+    let value = target[axis];
+    if (other) {
+        // Between two nodes, a straight line where they face each other
+        const [otherLow, otherHigh] = vertical ? [other.left, other.right] : [other.top, other.bottom];
+        const from = Math.max(low, otherLow) + inset;
+        const to = Math.min(high, otherHigh) - inset;
+        if (from <= to) {
+            value = Math.min(Math.max((node[axis] + other[axis]) / 2, from), to);
+        }
+    }
+    value = Math.min(Math.max(value, low + inset), high - inset);
+    return vertical ? { x: value, y: node.y } : { x: node.x, y: value };
+}
+
+// Ways to go from p to q, the main direction first: along it, across and along it again,
+// with one bend, or across, along and across again. `from` and `to` are the nodes p and q are
+// inside of, if any, which the turns of the first and last way stay out of. Routes from and to
+// ports go sideways first.
+function candidates(p, q, boxes, from, to) {
+    const sideways = (from && from.port) || (to && to.port);
+    const vertical = !sideways && Math.abs(q.y - p.y) >= Math.abs(q.x - p.x);
+    const list = [];
+    const zigzag = (vertical) => {
+        const [along, across, near, far] = vertical ? ['y', 'x', 'top', 'bottom'] : ['x', 'y', 'left', 'right'];
+        const forward = q[along] >= p[along];
+        let low = Math.min(p[along], q[along]);
+        let high = Math.max(p[along], q[along]);
+        if (from) {
+            low = forward ? Math.max(low, from[far] + clearance) : low;
+            high = forward ? high : Math.min(high, from[near] - clearance);
+        }
+        if (to) {
+            high = forward ? Math.min(high, to[near] - clearance) : high;
+            low = forward ? low : Math.max(low, to[far] + clearance);
+        }
+        const value = turn(low, high, Math.min(p[across], q[across]), Math.max(p[across], q[across]), boxes, vertical);
+        if (value !== null) {
+            list.push(vertical ?
+                [p, { x: p.x, y: value }, { x: q.x, y: value }, q] :
+                [p, { x: value, y: p.y }, { x: value, y: q.y }, q]);
+        }
+    };
+    zigzag(vertical);
+    list.push(vertical ? [p, { x: p.x, y: q.y }, q] : [p, { x: q.x, y: p.y }, q]);
+    list.push(vertical ? [p, { x: q.x, y: p.y }, q] : [p, { x: p.x, y: q.y }, q]);
+    zigzag(!vertical);
+    return list;
+}
+
+// The position between low and high, nearest to their middle, where a segment crossing from
+// `from` to `to` does not cross a node, or null
+function turn(low, high, from, to, boxes, vertical) {
+    if (low > high) {
+        return null;
+    }
+    const blocked = boxes
+        .filter(b => vertical ? b.left < to && b.right > from : b.top < to && b.bottom > from)
+        .map(b => vertical ? [b.top, b.bottom] : [b.left, b.right]);
+    const middle = (low + high) / 2;
+    const values = [middle, low, high, ...blocked.flat()].filter(value => value >= low && value <= high);
+    const free = values.filter(value => blocked.every(([start, end]) => value <= start || value >= end));
+    if (free.length === 0) {
+        return null;
+    }
+    return free.reduce((best, value) => Math.abs(value - middle) < Math.abs(best - middle) ? value : best);
+}
+
+function isClear(points, boxes, tail, head) {
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        for (const node of boxes) {
+            if ((i === 1 && node === tail) || (i === points.length - 1 && node === head)) {
+                continue;
+            }
+            if (crosses(a, b, node)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Shortest route with few bends from the center of the tail to the center of the head, on the
+// grid through the centers and the borders of the nodes around them, kept `clearance` away
+// from those nodes. The search area grows until a route is found.
+function searchRoute(tail, head, boxes) {
+    const area = {
+        left: Math.min(tail.left, head.left), top: Math.min(tail.top, head.top),
+        right: Math.max(tail.right, head.right), bottom: Math.max(tail.bottom, head.bottom)
+    };
+    let margin = clearance * 4;
+    for (;;) {
+        const region = { left: area.left - margin, top: area.top - margin, right: area.right + margin, bottom: area.bottom + margin };
+        const inside = boxes.filter(b => overlaps(b, region));
+        const route = search(center(tail), center(head), inside, region);
+        if (route || inside.length === boxes.length) {
+            return route;
+        }
+        margin *= 4;
+    }
+}
+
+function search(source, target, boxes, region) {
+    const unique = (values) => Array.from(new Set(values)).sort((a, b) => a - b);
+    const xs = unique([region.left, region.right, source.x, target.x, ...boxes.flatMap(b => [b.left, b.right])]);
+    const ys = unique([region.top, region.bottom, source.y, target.y, ...boxes.flatMap(b => [b.top, b.bottom])]);
+    const free = (x, y) => boxes.every(b => x <= b.left || x >= b.right || y <= b.top || y >= b.bottom);
+    const width = xs.length;
+    const index = (i, j) => j * width + i;
+    const start = index(xs.indexOf(source.x), ys.indexOf(source.y));
+    const goal = index(xs.indexOf(target.x), ys.indexOf(target.y));
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    // States are grid points with the direction they were reached from
+    const costs = new Map();
+    const previous = new Map();
+    const heap = new Heap();
+    const estimate = (i, j) => Math.abs(xs[i] - target.x) + Math.abs(ys[j] - target.y);
+    for (let d = 0; d < 4; d++) {
+        costs.set(start * 4 + d, 0);
+        heap.push(start * 4 + d, estimate(start % width, Math.floor(start / width)));
+    }
+    while (heap.size > 0) {
+        const state = heap.pop();
+        const point = Math.floor(state / 4);
+        const direction = state % 4;
+        if (point === goal) {
+            const points = [];
+            for (let s = state; s !== undefined; s = previous.get(s)) {
+                const p = Math.floor(s / 4);
+                points.unshift({ x: xs[p % width], y: ys[Math.floor(p / width)] });
+            }
+            return points;
+        }
+        const i = point % width;
+        const j = Math.floor(point / width);
+        const cost = costs.get(state);
+        for (let d = 0; d < 4; d++) {
+            const ni = i + directions[d][0];
+            const nj = j + directions[d][1];
+            if (ni < 0 || nj < 0 || ni >= width || nj >= ys.length) {
+                continue;
+            }
+            // Grid lines include every border, so a segment between neighbors crosses a node if its middle does
+            if (!free(xs[ni], ys[nj]) || !free((xs[i] + xs[ni]) / 2, (ys[j] + ys[nj]) / 2)) {
+                continue;
+            }
+            const next = index(ni, nj) * 4 + d;
+            const nextCost = cost + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]) + (d === direction || point === start ? 0 : bendPenalty);
+            if (!costs.has(next) || nextCost < costs.get(next)) {
+                costs.set(next, nextCost);
+                previous.set(next, state);
+                heap.push(next, nextCost + estimate(ni, nj));
+            }
+        }
+    }
+    return null;
+}
+
+// Removes repeated points and points in the middle of straight runs
+function simplify(points) {
+    const result = [];
+    for (const point of points) {
+        const last = result[result.length - 1];
+        if (last && last.x === point.x && last.y === point.y) {
+            continue;
+        }
+        const before = result[result.length - 2];
+        if (before && ((before.x === last.x && last.x === point.x) || (before.y === last.y && last.y === point.y))) {
+            result.pop();
+        }
+        result.push(point);
+    }
+    return result;
+}
+
+// Cuts a route starting inside the tail and ending inside the head at their borders
+function clip(points, tail, head) {
+    let start = 0;
+    while (start < points.length - 2 && contains(tail, points[start + 1])) {
+        start++;
+    }
+    let end = points.length - 1;
+    while (end > start + 1 && contains(head, points[end - 1])) {
+        end--;
+    }
+    const result = points.slice(start, end + 1);
+    result[0] = exit(tail, result[0], result[1]);
+    result[result.length - 1] = exit(head, result[result.length - 1], result[result.length - 2]);
+    return result;
+}
+
+// The point where the axis-aligned segment from a point inside a box to a point outside leaves it
+function exit(b, inside, outside) {
+    if (!contains(b, inside)) {
+        return inside;
+    }
+    if (inside.x === outside.x) {
+        return { x: inside.x, y: outside.y > inside.y ? Math.min(b.bottom, outside.y) : Math.max(b.top, outside.y) };
+    }
+    return { x: outside.x > inside.x ? Math.min(b.right, outside.x) : Math.max(b.left, outside.x), y: inside.y };
+}
+
+// The point of a node its port is at
+function port(node, offset) {
+    return { x: node.x + offset.x, y: node.y + offset.y };
+}
+
+// An empty box `clearance` beside a port, where routes from the port turn
+function stub(node, offset) {
+    const point = port(node, offset);
+    const x = point.x + Math.sign(offset.x) * clearance;
+    return { x, y: point.y, left: x, right: x, top: point.y, bottom: point.y, port: point };
+}
+
+function box(node, margin) {
+    return {
+        x: node.x, y: node.y,
+        left: node.x - node.width / 2 - margin, right: node.x + node.width / 2 + margin,
+        top: node.y - node.height / 2 - margin, bottom: node.y + node.height / 2 + margin
+    };
+}
+
+function center(b) {
+    return { x: b.x, y: b.y };
+}
+
+function contains(b, point) {
+    return point.x >= b.left && point.x <= b.right && point.y >= b.top && point.y <= b.bottom;
+}
+
+function overlaps(a, b) {
+    return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
+
+// Whether an axis-aligned segment passes through the inside of a box
+function crosses(a, b, node) {
+    return Math.min(a.x, b.x) < node.right && Math.max(a.x, b.x) > node.left &&
+        Math.min(a.y, b.y) < node.bottom && Math.max(a.y, b.y) > node.top;
+}
+
+// Binary min-heap of numbers by priority
+class Heap {
+
+    constructor() {
+        this._items = [];
+    }
+
+    get size() {
+        return this._items.length;
+    }
+
+    push(value, priority) {
+        const items = this._items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) {
+                break;
+            }
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right].priority < items[smallest].priority) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.value;
+    }
+}
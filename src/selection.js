@@ -0,0 +1,121 @@
+/**
+ * @file selection.js
+ * @description Rubber-band box selection for graphs rendered by graph.js.
+ */
+
+/**
+ * Lets the user drag a selection box on the canvas of an SVG element.
+ * The box is drawn in graph coordinates inside a given group, so it follows the
+ * viewport's pan and zoom.
+ */
+export class BoxSelection {
+    /**
+     * Creates a box selection and starts listening to pointer events.
+     * @param {SVGSVGElement} svgElement - The SVG element receiving the gestures.
+     * @param {SVGGElement|SVGSVGElement} parentElement - The element the box is drawn into.
+     * @param {object} options - Box selection options.
+     * @param {function(PointerEvent): boolean} options.filter - Returns whether a pointer event starts a box.
+     * @param {function(number, number): {x: number, y: number}} options.toGraph - Converts client coordinates to graph coordinates.
+     * @param {function({x: number, y: number, width: number, height: number}, PointerEvent): void} options.onSelect -
+     * Called with the box, in graph coordinates, and the event that ended the gesture.
+     */
+    constructor(svgElement, parentElement, options) {
+        this.svgElement = svgElement;
+        this.parentElement = parentElement;
+        this.filter = options.filter;
+        this.toGraph = options.toGraph;
+        this.onSelect = options.onSelect;
+        this._gesture = null;
+        this._suppressClick = false;
+
+        this._listeners = {
+            pointerdown: (e) => this._onPointerDown(e),
+            pointermove: (e) => this._onPointerMove(e),
+            pointerup: (e) => this._onPointerUp(e, true),
+            pointercancel: (e) => this._onPointerUp(e, false),
+            click: (e) => this._onClick(e),
+        };
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            // Captured, so the gesture is claimed before other pointer handlers see it
+            svgElement.addEventListener(type, listener, true);
+        }
+    }
+
+    /**
+     * Removes all event listeners and any box being dragged.
+     */
+    destroy() {
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            this.svgElement.removeEventListener(type, listener, true);
+        }
+        this._end();
+    }
+
+    _onPointerDown(e) {
+        this._suppressClick = false;
+        if (this._gesture || (e.pointerType === 'mouse' && e.button !== 0) || !this.filter(e)) {
+            return;
+        }
+        this._gesture = { pointerId: e.pointerId, start: this.toGraph(e.clientX, e.clientY), client: { x: e.clientX, y: e.clientY }, box: null, element: null };
+        e.stopPropagation();
+    }
+
+    _onPointerMove(e) {
+        const gesture = this._gesture;
+        if (!gesture || gesture.pointerId !== e.pointerId) {
+            return;
+        }
+        e.stopPropagation();
+        // Small movements are treated as clicks
+        if (!gesture.element && Math.hypot(e.clientX - gesture.client.x, e.clientY - gesture.client.y) < 3) {
+            return;
+        }
+        if (!gesture.element) {
+            gesture.element = this.svgElement.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            gesture.element.setAttribute('class', 'selection-box');
+            this.parentElement.appendChild(gesture.element);
+            this.svgElement.setPointerCapture(e.pointerId);
+        }
+        const point = this.toGraph(e.clientX, e.clientY);
+        gesture.box = {
+            x: Math.min(gesture.start.x, point.x),
+            y: Math.min(gesture.start.y, point.y),
+            width: Math.abs(point.x - gesture.start.x),
+            height: Math.abs(point.y - gesture.start.y),
+        };
+        gesture.element.setAttribute('x', gesture.box.x);
+        gesture.element.setAttribute('y', gesture.box.y);
+        gesture.element.setAttribute('width', gesture.box.width);
+        gesture.element.setAttribute('height', gesture.box.height);
+    }
+
+    _onPointerUp(e, select) {
+        const gesture = this._gesture;
+        if (!gesture || gesture.pointerId !== e.pointerId) {
+            return;
+        }
+        e.stopPropagation();
+        this._end();
+        if (gesture.box) {
+            this._suppressClick = true;
+            if (select) {
+                this.onSelect(gesture.box, e);
+            }
+        }
+    }
+
+    _onClick(e) {
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            e.stopPropagation();
+            e.preventDefault();
+        }
+    }
+
+    _end() {
+        if (this._gesture && this._gesture.element) {
+            this._gesture.element.remove();
+        }
+        this._gesture = null;
+    }
+}
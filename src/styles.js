@@ -0,0 +1,133 @@
+/**
+ * @file styles.js
+ * @description Collects the CSS rules to embed in SVG files exported by graph.js.
+ */
+
+// Values of the deprecated but universally supported CSSRule.type
+const RuleType = { style: 1, import: 3, media: 4, fontFace: 5, keyframes: 7, supports: 12 };
+
+// States an exported file cannot be in, and pseudo-elements querySelector() cannot match
+const statePattern = /::?(?:hover|active|focus-visible|focus-within|focus|visited|link|target|before|after|first-line|first-letter|selection|placeholder|marker|backdrop)(?![\w-])/gi;
+
+/**
+ * Returns the text of the CSS rules in a list of stylesheets. With a root element,
+ * only rules that can apply to the element or its descendants are kept:
+ * - Style rules with a selector matching an element, ignoring states like `:hover`
+ *   and pseudo-elements like `::before`. `:root` rules are always kept, as they
+ *   usually define the custom properties other rules use.
+ * - `@media`, `@supports` and other grouping rules containing such rules, with only those rules.
+ * - `@font-face` and `@keyframes` rules whose name is used by a kept rule.
+ * Rules of imported stylesheets are included in place of `@import` rules.
+ * @param {StyleSheetList|CSSStyleSheet[]} styleSheets - The stylesheets, e.g. `document.styleSheets`.
+ * @param {Element} [root] - The element the rules must apply to. All rules are kept if omitted.
+ * @returns {string} The rules, one per line.
+ */
+export function collectCss(styleSheets, root) {
+    const sheets = [];
+    for (const styleSheet of Array.from(styleSheets)) {
+        try {
+            if (styleSheet.cssRules) {
+                sheets.push(styleSheet.cssRules);
+            }
+        } catch (e) {
+            console.warn("Cannot read cross-origin stylesheet. Styles from it won't be embedded.", e);
+        }
+    }
+    if (!root) {
+        return sheets.map((rules) => Array.from(rules).map((rule) => `${rule.cssText}\n`).join('')).join('');
+    }
+    // Fonts and animations are kept if the style rules kept in a first pass refer to them
+    const styleRules = sheets.flatMap((rules) => collectRules(rules, root, null));
+    const references = styleRules.join('\n');
+    return sheets.flatMap((rules) => collectRules(rules, root, references)).map((text) => `${text}\n`).join('');
+}
+
+function collectRules(rules, root, references) {
+    const texts = [];
+    for (const rule of Array.from(rules)) {
+        switch (rule.type) {
+            case RuleType.style:
+                if (matchesAny(rule.selectorText, root)) {
+                    texts.push(rule.cssText);
+                }
+                break;
+            case RuleType.import:
+                try {
+                    if (rule.styleSheet && rule.styleSheet.cssRules) {
+                        texts.push(...collectRules(rule.styleSheet.cssRules, root, references));
+                    }
+                } catch (e) {
+                    console.warn("Cannot read cross-origin stylesheet. Styles from it won't be embedded.", e);
+                }
+                break;
+            case RuleType.fontFace: {
+                const family = rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim();
+                if (references !== null && family && references.includes(family)) {
+                    texts.push(rule.cssText);
+                }
+                break;
+            }
+            case RuleType.keyframes:
+                if (references !== null && references.includes(rule.name)) {
+                    texts.push(rule.cssText);
+                }
+                break;
+            default:
+                // @media, @supports, @layer, @container, ...
+                if (rule.cssRules && (rule.type === RuleType.media || rule.type === RuleType.supports || rule.type === 0)) {
+                    const inner = collectRules(rule.cssRules, root, references);
+                    if (inner.length > 0) {
+                        const prelude = rule.cssText.substring(0, rule.cssText.indexOf('{')).trim();
+                        texts.push(`${prelude} {\n${inner.map((text) => `  ${text}`).join('\n')}\n}`);
+                    }
+                }
+                // Other at-rules, such as @charset, @namespace and @page, do not apply to the SVG
+                break;
+        }
+    }
+    return texts;
+}
+
+function matchesAny(selectorText, root) {
+    return splitSelectors(selectorText).some((selector) => {
+        if (/:root(?![\w-])/.test(selector)) {
+            return true;
+        }
+        const stripped = selector.replace(statePattern, '').trim() || '*';
+        try {
+            return root.matches(stripped) || root.querySelector(stripped) !== null;
+        } catch (e) {
+            // Selectors the browser cannot evaluate without their states, e.g. ':not(:hover)'
+            return false;
+        }
+    });
+}
+
+function splitSelectors(selectorText) {
+    // Split at top-level commas, not those inside :is(...), [attr="a,b"] or strings
+    const selectors = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < selectorText.length; i++) {
+        const c = selectorText[i];
+        if (quote) {
+            if (c === '\\') {
+                i++;
+            } else if (c === quote) {
+                quote = null;
+            }
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(' || c === '[') {
+            depth++;
+        } else if (c === ')' || c === ']') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            selectors.push(selectorText.substring(start, i));
+            start = i + 1;
+        }
+    }
+    selectors.push(selectorText.substring(start));
+    return selectors.map((selector) => selector.trim()).filter((selector) => selector);
+}
@@ -0,0 +1,308 @@
+/**
+ * @file viewport.js
+ * @description Pan and zoom support for graphs rendered by graph.js.
+ * A viewport applies a translate/scale transform to a group inside an SVG element
+ * and updates it from mouse wheel, drag and pinch gestures.
+ */
+
+/**
+ * Pan and zoom state of an SVG group.
+ * The transform maps a graph point `p` to the SVG element's local coordinates as
+ * `p * scale + (x, y)`.
+ */
+export class Viewport {
+    /**
+     * Creates a viewport and starts listening to pointer and wheel events.
+     * @param {SVGSVGElement} svgElement - The SVG element receiving the gestures.
+     * @param {SVGGElement} groupElement - The group whose transform is controlled.
+     * @param {object} [options={}] - Viewport options.
+     * @param {number} [options.minZoom=0.1] - Smallest allowed scale.
+     * @param {number} [options.maxZoom=4] - Largest allowed scale.
+     * @param {function} [options.onChange] - Called with `{ x, y, scale }` whenever the transform changes.
+     * @param {function(PointerEvent): boolean} [options.filter] - Returns whether a pointer event may start
+     * a pan or pinch. By default every primary pointer does.
+     */
+    constructor(svgElement, groupElement, options = {}) {
+        this.svgElement = svgElement;
+        this.groupElement = groupElement;
+        this.minZoom = options.minZoom === undefined ? 0.1 : options.minZoom;
+        this.maxZoom = options.maxZoom === undefined ? 4 : options.maxZoom;
+        this.onChange = options.onChange || null;
+        this.filter = options.filter || null;
+        this._x = 0;
+        this._y = 0;
+        this._scale = 1;
+        this._pointers = new Map(); // Active pointers by pointerId, in local coordinates
+        this._gesture = null;
+        this._animation = null;
+
+        this._listeners = {
+            wheel: (e) => this._onWheel(e),
+            pointerdown: (e) => this._onPointerDown(e),
+            pointermove: (e) => this._onPointerMove(e),
+            pointerup: (e) => this._onPointerUp(e),
+            pointercancel: (e) => this._onPointerUp(e),
+            click: (e) => this._onClick(e),
+        };
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            // Clicks are captured so the click ending a pan can be swallowed before it reaches nodes
+            svgElement.addEventListener(type, listener, type === 'click' ? true : { passive: type !== 'wheel' });
+        }
+        svgElement.style.touchAction = 'none';
+        groupElement.setAttribute('transform', 'translate(0,0) scale(1)');
+    }
+
+    /**
+     * The current transform.
+     * @returns {{x: number, y: number, scale: number}}
+     */
+    get transform() {
+        return { x: this._x, y: this._y, scale: this._scale };
+    }
+
+    /**
+     * The size of the visible area, in pixels.
+     * @returns {{width: number, height: number}}
+     */
+    get size() {
+        const rect = this.svgElement.getBoundingClientRect();
+        return { width: rect.width, height: rect.height };
+    }
+
+    /**
+     * Sets the transform. The scale is clamped to the zoom limits.
+     * @param {number} x - Horizontal translation.
+     * @param {number} y - Vertical translation.
+     * @param {number} scale - Scale factor.
+     */
+    setTransform(x, y, scale) {
+        this._cancelAnimation();
+        this._setTransform(x, y, scale);
+    }
+
+    /**
+     * Centers a graph point in the viewport at a given scale, optionally animating
+     * from the current view. Any other change of the transform stops the animation.
+     * @param {{x: number, y: number}} point - The graph point to center.
+     * @param {number} [scale] - The new scale factor. Defaults to the current scale.
+     * @param {number} [duration=0] - Duration of the animation in milliseconds. `0` jumps immediately.
+     * @returns {Promise<boolean>} Resolves when the view is reached, with `false` if the animation was stopped.
+     */
+    centerOn(point, scale = this._scale, duration = 0) {
+        this._cancelAnimation();
+        scale = this._clamp(scale);
+        const center = this._center();
+        if (!(duration > 0) || typeof requestAnimationFrame !== 'function') {
+            this._setTransform(center.x - point.x * scale, center.y - point.y * scale, scale);
+            return Promise.resolve(true);
+        }
+        // Interpolate the centered point rather than the translation, so the view moves in a straight line
+        const from = { point: this.toGraph(center), scale: this._scale };
+        return new Promise((resolve) => {
+            const animation = { resolve, frame: 0 };
+            let start = null;
+            const step = (time) => {
+                start = start === null ? time : start;
+                const t = Math.min((time - start) / duration, 1);
+                const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+                const s = from.scale + (scale - from.scale) * ease;
+                const x = from.point.x + (point.x - from.point.x) * ease;
+                const y = from.point.y + (point.y - from.point.y) * ease;
+                this._setTransform(center.x - x * s, center.y - y * s, s);
+                if (t < 1) {
+                    animation.frame = requestAnimationFrame(step);
+                } else {
+                    this._animation = null;
+                    resolve(true);
+                }
+            };
+            this._animation = animation;
+            animation.frame = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Zooms to a scale, keeping a graph point at the same place on screen.
+     * @param {number} scale - The new scale factor.
+     * @param {{x: number, y: number}} [point] - The graph point to keep in place. Defaults to the point at the center of the viewport.
+     */
+    zoomTo(scale, point) {
+        const anchor = point ? this.toLocal(point) : this._center();
+        const graphPoint = point || this.toGraph(anchor);
+        scale = this._clamp(scale);
+        this.setTransform(anchor.x - graphPoint.x * scale, anchor.y - graphPoint.y * scale, scale);
+    }
+
+    /**
+     * Pans so that a graph point is at the center of the viewport.
+     * @param {number} x - Horizontal graph coordinate.
+     * @param {number} y - Vertical graph coordinate.
+     */
+    panTo(x, y) {
+        const center = this._center();
+        this.setTransform(center.x - x * this._scale, center.y - y * this._scale, this._scale);
+    }
+
+    /**
+     * Scales and centers a box of the graph within the viewport.
+     * @param {{x: number, y: number, width: number, height: number}} bounds - The box, in graph coordinates.
+     * @param {number} [margin=0] - Space to keep around the box, in pixels.
+     * @param {number} [maxScale=Infinity] - Largest scale to use, e.g. `1` to never enlarge.
+     */
+    fit(bounds, margin = 0, maxScale = Infinity) {
+        const size = this.size;
+        const width = Math.max(size.width - 2 * margin, 1);
+        const height = Math.max(size.height - 2 * margin, 1);
+        const scale = this._clamp(Math.min(width / (bounds.width || 1), height / (bounds.height || 1), maxScale));
+        const x = (size.width - bounds.width * scale) / 2 - bounds.x * scale;
+        const y = (size.height - bounds.height * scale) / 2 - bounds.y * scale;
+        this.setTransform(x, y, scale);
+    }
+
+    /**
+     * Converts a point in the SVG element's local coordinates to graph coordinates.
+     * @param {{x: number, y: number}} point - The local point.
+     * @returns {{x: number, y: number}} The graph point.
+     */
+    toGraph(point) {
+        return { x: (point.x - this._x) / this._scale, y: (point.y - this._y) / this._scale };
+    }
+
+    /**
+     * Converts a point in graph coordinates to the SVG element's local coordinates.
+     * @param {{x: number, y: number}} point - The graph point.
+     * @returns {{x: number, y: number}} The local point.
+     */
+    toLocal(point) {
+        return { x: point.x * this._scale + this._x, y: point.y * this._scale + this._y };
+    }
+
+    /**
+     * Removes all event listeners.
+     */
+    destroy() {
+        for (const [type, listener] of Object.entries(this._listeners)) {
+            this.svgElement.removeEventListener(type, listener, type === 'click');
+        }
+        this._cancelAnimation();
+        this._pointers.clear();
+        this._gesture = null;
+    }
+
+    _setTransform(x, y, scale) {
+        this._scale = this._clamp(scale);
+        this._x = x;
+        this._y = y;
+        this._apply();
+    }
+
+    _apply() {
+        this.groupElement.setAttribute('transform', `translate(${this._x},${this._y}) scale(${this._scale})`);
+        if (this.onChange) {
+            this.onChange(this.transform);
+        }
+    }
+
+    _cancelAnimation() {
+        if (this._animation) {
+            cancelAnimationFrame(this._animation.frame);
+            this._animation.resolve(false);
+            this._animation = null;
+        }
+    }
+
+    _clamp(scale) {
+        return Math.min(this.maxZoom, Math.max(this.minZoom, scale));
+    }
+
+    _center() {
+        const size = this.size;
+        return { x: size.width / 2, y: size.height / 2 };
+    }
+
+    _localPoint(e) {
+        const rect = this.svgElement.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    _onWheel(e) {
+        e.preventDefault();
+        // Line-based deltas (Firefox) are much coarser than pixel-based ones
+        const delta = e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002);
+        const anchor = this._localPoint(e);
+        this.zoomTo(this._scale * Math.pow(2, -delta), this.toGraph(anchor));
+    }
+
+    _onPointerDown(e) {
+        this._suppressClick = false;
+        if ((e.pointerType === 'mouse' && e.button !== 0) || (this.filter && !this.filter(e))) {
+            return;
+        }
+        this._pointers.set(e.pointerId, this._localPoint(e));
+        this._startGesture();
+    }
+
+    _onPointerMove(e) {
+        if (!this._pointers.has(e.pointerId)) {
+            return;
+        }
+        this._pointers.set(e.pointerId, this._localPoint(e));
+        const gesture = this._gesture;
+        const points = Array.from(this._pointers.values());
+        if (points.length >= 2) {
+            const distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+            const center = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+            const scale = this._clamp(gesture.scale * distance / (gesture.distance || 1));
+            this.setTransform(center.x - gesture.anchor.x * scale, center.y - gesture.anchor.y * scale, scale);
+            gesture.moved = true;
+        } else {
+            const dx = points[0].x - gesture.start.x;
+            const dy = points[0].y - gesture.start.y;
+            // Small movements are treated as clicks, so pointer capture starts only once panning does
+            if (!gesture.moved && Math.hypot(dx, dy) < 3) {
+                return;
+            }
+            if (!gesture.moved) {
+                gesture.moved = true;
+                this.svgElement.setPointerCapture(e.pointerId);
+                this.svgElement.style.cursor = 'grabbing';
+            }
+            this.setTransform(gesture.x + dx, gesture.y + dy, this._scale);
+        }
+    }
+
+    _onPointerUp(e) {
+        if (!this._pointers.has(e.pointerId)) {
+            return;
+        }
+        this._pointers.delete(e.pointerId);
+        const moved = this._gesture && this._gesture.moved;
+        if (this._pointers.size > 0) {
+            // Continue with the remaining pointer, e.g. when lifting one finger of a pinch
+            this._startGesture();
+            this._gesture.moved = moved;
+        } else {
+            this._gesture = null;
+            this._suppressClick = moved;
+            this.svgElement.style.removeProperty('cursor');
+        }
+    }
+
+    _onClick(e) {
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            e.stopPropagation();
+            e.preventDefault();
+        }
+    }
+
+    _startGesture() {
+        const points = Array.from(this._pointers.values());
+        const gesture = { x: this._x, y: this._y, scale: this._scale, start: points[0], moved: false };
+        if (points.length >= 2) {
+            gesture.distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+            gesture.anchor = this.toGraph({ x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 });
+        }
+        this._gesture = gesture;
+    }
+}
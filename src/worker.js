@@ -0,0 +1,29 @@
+/**
+ * @file worker.js
+ * @description Web Worker script running the layouts of graph.js, with dagre or the engines of
+ * layout.js, so that laying out a large graph does not block the page. Started and controlled by `LayoutWorker` (layoutworker.js).
+ */
+
+import { layout } from './dagre.js';
+import { engines } from './layout.js';
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    switch (message.type) {
+        case 'dagre.layout': {
+            try {
+                // The engines set the positions on the node and edge objects they are given
+                const engine = message.engine && message.engine !== 'dagre' ? engines[message.engine] : { layout };
+                engine.layout(message.nodes, message.edges, message.layout, message.state);
+                self.postMessage({ type: 'dagre.layout', nodes: message.nodes, edges: message.edges, state: { log: message.state.log } });
+            } catch (error) {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+            break;
+        }
+        default: {
+            self.postMessage({ type: 'error', message: `Unsupported message type '${message.type}'.` });
+            break;
+        }
+    }
+});
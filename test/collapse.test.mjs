@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+import { computeLayout } from '../src/headless.js';
+
+const createGraph = (collapsed, options) => {
+    const graph = new GraphLibrary(createContainer(), options);
+    graph.addCluster({ id: 'outer', label: 'Outer', collapsed: collapsed.includes('outer') });
+    graph.addCluster({ id: 'inner', label: 'Inner', parent: 'outer', collapsed: collapsed.includes('inner') });
+    graph.addNode({ id: 'input' });
+    graph.addNode({ id: 'a', parent: 'outer' });
+    graph.addNode({ id: 'b', parent: 'inner' });
+    graph.addNode({ id: 'c', parent: 'inner' });
+    graph.addNode({ id: 'output' });
+    graph.addEdge({ from: 'input', to: 'a' });
+    graph.addEdge({ from: 'input', to: 'b' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    graph.addEdge({ from: 'c', to: 'output' });
+    return graph;
+};
+
+const nodeIds = (graph) => Array.from(graph.container.querySelectorAll('#nodes > .node'), element => element.id).sort();
+const clusterCount = (graph) => graph.container.querySelectorAll('#clusters > .cluster').length;
+const edgeEnds = (graph) => Array.from(graph.grapherInstance.edges.values(), edge => `${edge.v}->${edge.w}`).sort();
+
+test('expanded clusters', async () => {
+    const graph = createGraph([]);
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['a', 'b', 'c', 'input', 'output']);
+    assert.equal(clusterCount(graph), 2);
+    assert.equal(edgeEnds(graph).length, 5);
+});
+
+test('a collapsed cluster is a summary node', async () => {
+    const graph = createGraph(['inner']);
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['a', 'inner', 'input', 'output']);
+    assert.equal(clusterCount(graph), 1);
+    const summary = graph.container.querySelector('#inner');
+    assert.ok(summary.classList.contains('cluster-collapsed'));
+    assert.deepEqual(Array.from(summary.querySelectorAll('.node-item text'), element => element.textContent), ['Inner', '+2']);
+    assert.equal(summary.querySelector('.cluster-count title').textContent, '2 hidden nodes');
+    // Edges between members are hidden, the others end at the summary node
+    assert.deepEqual(edgeEnds(graph), ['a->inner', 'inner->output', 'input->a', 'input->inner']);
+    assert.equal(graph.grapherInstance.parent('inner'), 'outer');
+});
+
+test('edges to a collapsed cluster are merged', async () => {
+    const graph = createGraph(['outer', 'inner']);
+    graph.addEdge({ from: 'output', to: 'inner' });
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['input', 'outer', 'output']);
+    assert.equal(clusterCount(graph), 0);
+    assert.equal(graph.container.querySelector('#outer .cluster-count text').textContent, '+3');
+    assert.deepEqual(edgeEnds(graph), ['input->outer', 'outer->output', 'output->outer']);
+    const merged = graph.container.querySelectorAll('.edge-path.edge-merged');
+    assert.equal(merged.length, 1);
+    assert.deepEqual(Array.from(graph.container.querySelectorAll('.edge-label'), element => element.textContent), ['×2']);
+});
+
+test('collapseCluster and expandCluster', async (t) => {
+    const graph = createGraph([]);
+    const toggles = [];
+    graph.on('cluster:toggle', (info) => toggles.push(info));
+    assert.equal(await graph.collapseCluster('inner'), true);
+    assert.equal(await graph.collapseCluster('inner'), false);
+    assert.equal(graph.grapherInstance, null);
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['a', 'inner', 'input', 'output']);
+    assert.equal(await graph.expandCluster('inner'), true);
+    assert.deepEqual(nodeIds(graph), ['a', 'b', 'c', 'input', 'output']);
+    assert.deepEqual(toggles, [{ id: 'inner', collapsed: true }, { id: 'inner', collapsed: false }]);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(await graph.expandCluster('a'), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot expand cluster: no cluster with ID 'a' exists/);
+});
+
+test('clicks collapse and expand clusters', async () => {
+    const graph = createGraph([]);
+    await graph.render();
+    const toggled = new Promise(resolve => graph.on('cluster:toggle', resolve));
+    const inner = Array.from(graph.container.querySelectorAll('#clusters > .cluster')).find(element => element.textContent === 'Inner');
+    inner.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(await toggled, { id: 'inner', collapsed: true });
+    assert.deepEqual(nodeIds(graph), ['a', 'inner', 'input', 'output']);
+
+    const expanded = new Promise(resolve => graph.on('cluster:toggle', info => !info.collapsed && resolve(info)));
+    graph.container.querySelector('#inner .cluster-count').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(await expanded, { id: 'inner', collapsed: false });
+    assert.deepEqual(nodeIds(graph), ['a', 'b', 'c', 'input', 'output']);
+});
+
+test('collapsibleClusters disabled', async () => {
+    const graph = createGraph(['inner'], { collapsibleClusters: false });
+    await graph.render();
+    let toggled = false;
+    graph.on('cluster:toggle', () => {
+        toggled = true;
+    });
+    graph.container.querySelector('#inner .cluster-count').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    graph.container.querySelector('#clusters > .cluster').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(toggled, false);
+    assert.deepEqual(nodeIds(graph), ['a', 'inner', 'input', 'output']);
+});
+
+test('edges ending at an expanded cluster are skipped with a warning', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const graph = createGraph([]);
+    graph.addEdge({ from: 'input', to: 'inner' });
+    graph.addEdge({ from: 'outer', to: 'output' });
+    await graph.render();
+    assert.equal(edgeEnds(graph).length, 5);
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping edge from 'input' to 'inner': 'inner' is an expanded cluster/);
+    assert.match(warn.mock.calls[1].arguments[0], /Skipping edge from 'outer' to 'output': 'outer' is an expanded cluster/);
+
+    // The edges are drawn while their cluster is collapsed
+    await graph.collapseCluster('outer');
+    assert.deepEqual(edgeEnds(graph), ['input->outer', 'outer->output']);
+
+    // Every layout engine skips them
+    for (const layout of ['dagre', 'force', 'tree', 'radial', 'grid']) {
+        const { edges } = await computeLayout({ ...graph.toJSON(), clusters: graph.toJSON().clusters.map(clusterOpts => ({ ...clusterOpts, collapsed: false })), options: { layout } });
+        assert.equal(Object.keys(edges).length, 5, layout);
+    }
+});
+
+test('parallel edges leaving an expanded cluster', async () => {
+    const spec = {
+        clusters: [{ id: 'group' }],
+        nodes: [{ id: 'a', parent: 'group' }, { id: 'b' }],
+        edges: [{ from: 'a', to: 'b' }, { from: 'a', to: 'b' }],
+    };
+    const { edges } = await computeLayout(spec);
+    assert.deepEqual(Object.keys(edges), ['a->b', 'a->b#1']);
+    assert.notDeepEqual(edges['a->b'].points, edges['a->b#1'].points);
+
+    const graph = new GraphLibrary(createContainer());
+    graph.addCluster({ id: 'group', label: 'Group' });
+    spec.nodes.forEach(node => graph.addNode(node));
+    spec.edges.forEach(edge => graph.addEdge(edge));
+    await graph.render();
+    assert.equal(edgeEnds(graph).length, 2);
+});
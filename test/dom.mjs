@@ -0,0 +1,59 @@
+import { JSDOM } from 'jsdom';
+
+// A browser-like environment for the parts of GraphLibrary that render into the DOM.
+// jsdom does not lay out elements, so text is measured with a fixed width per character
+// and containers take the size of their inline style.
+const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { pretendToBeVisual: true });
+
+window.SVGElement.prototype.getBBox = function () {
+    const text = this.textContent || '';
+    return { x: 0, y: -10, width: text.length * 6, height: 14 };
+};
+
+window.HTMLElement.prototype.getBoundingClientRect = function () {
+    const width = parseFloat(this.style.width) || 0;
+    const height = parseFloat(this.style.height) || 0;
+    return { x: 0, y: 0, left: 0, top: 0, right: width, bottom: height, width, height };
+};
+
+for (const [name, property] of [['clientWidth', 'width'], ['clientHeight', 'height']]) {
+    Object.defineProperty(window.HTMLElement.prototype, name, {
+        get() {
+            return parseFloat(this.style[property]) || 0;
+        }
+    });
+}
+
+// The SVG element fills its container
+window.SVGSVGElement.prototype.getBoundingClientRect = function () {
+    return window.HTMLElement.prototype.getBoundingClientRect.call(this.parentNode);
+};
+
+// jsdom implements neither pointer events nor pointer capture
+window.PointerEvent = class PointerEvent extends window.MouseEvent {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.pointerId = init.pointerId === undefined ? 1 : init.pointerId;
+        this.pointerType = init.pointerType || 'mouse';
+    }
+};
+window.Element.prototype.setPointerCapture = function () {};
+window.Element.prototype.releasePointerCapture = function () {};
+
+for (const name of ['window', 'document', 'HTMLElement', 'SVGElement', 'XMLSerializer', 'PointerEvent', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame']) {
+    globalThis[name] = window[name];
+}
+
+/**
+ * Creates a container element of the given size attached to the document.
+ * @param {number} [width=800] - Width in pixels.
+ * @param {number} [height=600] - Height in pixels.
+ * @returns {HTMLElement} The container.
+ */
+export function createContainer(width = 800, height = 600) {
+    const container = document.createElement('div');
+    container.style.width = `${width}px`;
+    container.style.height = `${height}px`;
+    document.body.appendChild(container);
+    return container;
+}
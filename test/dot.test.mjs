@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { parse, write, DotError } from '../src/dot.js';
+import { GraphLibrary } from '../src/graph.js';
+
+test('parse nodes, edges and clusters', () => {
+    const graph = parse(`
+        strict digraph model {
+            rankdir=lr
+            node [class="op", shape=box]
+            edge [weight=2]
+            "input" -> conv [label="1x3", minlen=2, id=e1]
+            subgraph cluster_block {
+                label="Block \\G"
+                conv -> relu -> { add mul }
+                subgraph cluster_inner { class=hot; relu }
+            }
+            input -> conv
+            mul [label="Mul \\N"]
+        }`);
+    assert.deepEqual(graph.options, { direction: 'LR' });
+    assert.deepEqual(graph.clusters, [
+        { id: 'block', label: 'Block model' },
+        { id: 'inner', label: '', parent: 'block', styleClass: 'hot' },
+    ]);
+    assert.deepEqual(graph.nodes.map(nodeOpts => [nodeOpts.id, nodeOpts.label, nodeOpts.parent, nodeOpts.styleClass]), [
+        ['input', 'input', undefined, 'op'],
+        ['conv', 'conv', 'block', 'op'],
+        ['relu', 'relu', 'block', 'op'],
+        ['add', 'add', 'block', 'op'],
+        ['mul', 'Mul mul', 'block', 'op'],
+    ]);
+    assert.deepEqual(graph.edges, [
+        { from: 'input', to: 'conv', weight: 2, label: '1x3', minlen: 2, id: 'e1' },
+        { from: 'conv', to: 'relu', weight: 2 },
+        { from: 'relu', to: 'add', weight: 2 },
+        { from: 'relu', to: 'mul', weight: 2 },
+    ]);
+    // Only the 'cluster_' prefix written by toDot is removed
+    const names = parse('digraph { subgraph cluster0 { a } subgraph cluster_ { b } subgraph cluster_cluster_c { c } }');
+    assert.deepEqual(names.clusters.map(clusterOpts => clusterOpts.id), ['cluster0', 'cluster_', 'cluster_c']);
+});
+
+test('parse record labels into arguments', () => {
+    const { nodes } = parse(`digraph {
+        a [shape=record, label="{Conv|kernel: 3x3\\lpads: 1\\l}"]
+        b [shape=Mrecord, label="<f0> \\N|<f1> x\\|y: \\{1\\}"]
+        c [shape=box, label="a|b"]
+    }`);
+    assert.deepEqual(nodes, [
+        { id: 'a', label: 'Conv', arguments: { kernel: '3x3', pads: '1' } },
+        { id: 'b', label: 'b', arguments: { 'x|y': '{1}' } },
+        { id: 'c', label: 'a|b' },
+    ]);
+});
+
+test('parse rank subgraphs into rank constraints', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const graph = parse(`digraph {
+        a -> b -> c -> d
+        { rank=same; b; d }
+        subgraph first { rank=source; a }
+        subgraph last { rank=sink; color=red; c; d }
+        subgraph cluster_x { rank=max; e }
+    }`);
+    assert.deepEqual(graph.rankConstraints, [
+        { type: 'same', nodes: ['b', 'd'] },
+        { type: 'min', nodes: ['a'] },
+        { type: 'max', nodes: ['c'] },
+        { type: 'max', nodes: ['e'] },
+    ]);
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+        "Ignoring attribute 'color' of a subgraph at line 5, column 42: only 'rank' is supported.",
+        "Ignoring rank=sink for node 'd' at line 5, column 30: it is already in a rank=same subgraph.",
+    ]);
+    assert.equal(parse('digraph { a }').rankConstraints, undefined);
+});
+
+test('parse errors', () => {
+    const errors = [
+        ['graph { a -- b }', "Undirected graphs are not supported, use 'digraph' at line 1, column 1."],
+        ['digraph { a -- b }', "Undirected edge '--' in a digraph, use '->' at line 1, column 13."],
+        ['digraph { a:p -> b }', 'Node ports are not supported at line 1, column 12.'],
+        ['digraph { a [label=<<b>x</b>>] }', "HTML-like 'label' values are not supported at line 1, column 20."],
+        ['digraph { a [label="x] }', 'Unterminated string at line 1, column 20.'],
+        ['digraph { /* a }', 'Unterminated comment at line 1, column 11.'],
+        ['digraph { rankdir=UP }', "Invalid rankdir 'UP', expected 'TB', 'BT', 'LR' or 'RL' at line 1, column 19."],
+        ['digraph { { rank=top; a } }', "Invalid rank 'top', expected 'same', 'min', 'max', 'source' or 'sink' at line 1, column 18."],
+        ['digraph { a -> b [minlen=1.5] }', "Invalid minlen '1.5', expected a non-negative integer at line 1, column 26."],
+        ['digraph { subgraph cluster_a { x } a }', "ID 'a' is used for both a node and a cluster at line 1, column 38."],
+        ['digraph { a subgraph cluster_a { x } }', "ID 'a' is used for both a node and a cluster at line 1, column 34."],
+        ['digraph { a -> }', "Expected a node or subgraph after '->' but found '}' at line 1, column 16."],
+        ['digraph { a', "Expected '}' but found end of input at line 1, column 12."],
+        ['digraph { } x', "Expected end of input after the graph but found 'x' at line 1, column 13."],
+        ['flowchart', "Expected 'digraph' but found 'flowchart' at line 1, column 1."],
+        ['digraph { @ }', "Unexpected character '@' at line 1, column 11."],
+    ];
+    for (const [text, message] of errors) {
+        assert.throws(() => parse(text), (error) => {
+            assert.ok(error instanceof DotError, text);
+            assert.equal(error.message, message);
+            return true;
+        });
+    }
+    assert.throws(() => parse(null), { line: 1, column: 1 });
+});
+
+test('fromDot', async () => {
+    const graph = GraphLibrary.fromDot(createContainer(), `digraph {
+        rankdir=LR
+        subgraph cluster_model { label="Model"; conv -> relu }
+        input -> conv [label="1x3x224x224", class=data]
+        { rank=same; input; relu }
+    }`, { rankSep: 80 });
+    assert.equal(graph.options.direction, 'LR');
+    assert.equal(graph.options.rankSep, 80);
+    assert.deepEqual(graph.toJSON().rankConstraints, [{ type: 'same', nodes: ['input', 'relu'] }]);
+    await graph.render();
+    assert.equal(graph.grapherInstance.node('input').label.x, graph.grapherInstance.node('relu').label.x);
+    assert.deepEqual(Array.from(graph.container.querySelectorAll('#nodes > .node'), element => element.id).sort(), ['conv', 'input', 'relu']);
+    assert.equal(graph.container.querySelector('.cluster-label').textContent, 'Model');
+    assert.equal(graph.container.querySelectorAll('.edge-path.data').length, 1);
+    assert.deepEqual(Array.from(graph.container.querySelectorAll('.edge-label'), element => element.textContent), ['1x3x224x224']);
+    assert.throws(() => GraphLibrary.fromDot(createContainer(), 'digraph { a -> b:p }'), DotError);
+});
+
+test('write', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const text = write({
+        direction: 'LR',
+        graph: {
+            clusters: [{ id: 'block', label: 'Block', styleClass: 'x', clusters: [], nodes: [{ id: 'conv', label: 'Conv "2d"', arguments: [['kernel', '3|3']] }] }],
+            nodes: [{ id: 'in put', label: 'Input', styleClass: 'io', arguments: [] }],
+        },
+        edges: [
+            { from: 'in put', to: 'conv', id: 'e1', label: 'x', styleClass: 'data', minlen: 2, weight: 3 },
+            { from: 'in put', to: 'block' },
+        ],
+    });
+    assert.equal(text, [
+        'digraph {',
+        '  rankdir=LR;',
+        '  subgraph "cluster_block" {',
+        '    label="Block";',
+        '    class="x";',
+        '    "conv" [shape=record, label="Conv \\"2d\\"|kernel: 3\\|3\\l"];',
+        '  }',
+        '  "in put" [label="Input", class="io"];',
+        '  "in put" -> "conv" [id="e1", label="x", class="data", minlen=2, weight=3];',
+        '}',
+        '',
+    ].join('\n'));
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping edge from 'in put' to 'block': 'block' is a cluster/);
+});
+
+test('toDot and fromDot round-trip', () => {
+    for (const direction of ['TB', 'LR']) {
+        const graph = new GraphLibrary(createContainer(), { direction });
+        // Cluster IDs come back without the prefix added for Graphviz, whether or not they had one
+        graph.addCluster({ id: 'group', label: 'A' });
+        graph.addCluster({ id: 'cluster_b', label: 'B "b"', parent: 'group', styleClass: 'hot' });
+        graph.addNode({ id: 'n1', label: 'Conv', parent: 'cluster_b', arguments: { kernel: '3x3', 'a{b}': '<c>\\d' } });
+        graph.addNode({ id: 'n 2', label: 'Relu', styleClass: 'op' });
+        graph.addEdge({ from: 'n1', to: 'n 2', label: 'x', minlen: 2, weight: 0.5, id: 'e' });
+        const copy = GraphLibrary.fromDot(createContainer(), graph.toDot());
+        const json = copy.toJSON();
+        assert.equal(json.options.direction, direction);
+        assert.deepEqual(json.clusters, graph.toJSON().clusters);
+        assert.deepEqual(json.nodes, graph.toJSON().nodes);
+        assert.deepEqual(json.edges, graph.toJSON().edges);
+        assert.equal(copy.toDot(), graph.toDot());
+    }
+});
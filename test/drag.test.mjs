@@ -0,0 +1,205 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+import { routeEdges } from '../src/routing.js';
+
+const createGraph = (options) => {
+    const graph = new GraphLibrary(createContainer(), options);
+    graph.addCluster({ id: 'group', label: 'Group' });
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B', parent: 'group' });
+    graph.addNode({ id: 'c', label: 'C', parent: 'group' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    return graph;
+};
+
+const box = (graph, id) => {
+    const node = graph.grapherInstance.node(id).label;
+    return { x: node.x, y: node.y, width: node.width, height: node.height };
+};
+
+const points = (graph, v, w) => graph.grapherInstance.edge(v, w).label.points;
+
+// Converts graph coordinates to client coordinates
+const toClient = (graph, x, y) => {
+    const view = graph.getViewport();
+    if (view) {
+        return { clientX: x * view.scale + view.x, clientY: y * view.scale + view.y };
+    }
+    const [minX, minY] = graph.container.querySelector('svg').getAttribute('viewBox').split(' ').map(Number);
+    return { clientX: x - minX, clientY: y - minY };
+};
+
+// Drags the header of a node by dx, dy in graph coordinates
+const drag = (graph, id, dx, dy, init = {}, end = 'pointerup') => {
+    const header = graph.container.querySelector(`#${id} .node-label`);
+    const { x, y } = box(graph, id);
+    const pointer = (type, px, py) => {
+        header.dispatchEvent(new PointerEvent(type, { bubbles: true, button: 0, ...toClient(graph, px, py), ...init }));
+    };
+    pointer('pointerdown', x, y);
+    pointer('pointermove', x + dx / 2, y + dy / 2);
+    pointer('pointermove', x + dx, y + dy);
+    pointer(end, x + dx, y + dy);
+    header.dispatchEvent(new window.MouseEvent('click', { bubbles: true, ...init }));
+};
+
+test('dragging a node moves and pins it', async () => {
+    const graph = createGraph();
+    await graph.render();
+    const clicks = [];
+    const drops = [];
+    graph.on('node:click', (id) => clicks.push(id));
+    graph.on('node:dragend', (info) => drops.push(info));
+    const c = box(graph, 'c');
+    const group = box(graph, 'group');
+    const ab = points(graph, 'a', 'b');
+    const bc = points(graph, 'b', 'c');
+    const view = graph.getViewport();
+
+    drag(graph, 'c', 200, 100);
+    const moved = box(graph, 'c');
+    assert.deepEqual({ x: moved.x, y: moved.y }, { x: c.x + 200, y: c.y + 100 });
+    assert.equal(graph.container.querySelector('#c').getAttribute('transform'), `translate(${moved.x - moved.width / 2},${moved.y - moved.height / 2})`);
+    assert.deepEqual(drops, [{ id: 'c', x: c.x + 200, y: c.y + 100 }]);
+    assert.deepEqual(clicks, []);
+    assert.deepEqual(graph.getSelection(), { nodes: [], edges: [] });
+    // The drag moves the node rather than panning
+    assert.deepEqual(graph.getViewport(), view);
+
+    // The edge keeps its start and bends towards the node, other edges are unchanged
+    const moveBc = points(graph, 'b', 'c');
+    assert.deepEqual(moveBc[0], bc[0]);
+    assert.deepEqual(moveBc[moveBc.length - 1], { x: bc[bc.length - 1].x + 200, y: bc[bc.length - 1].y + 100 });
+    assert.deepEqual(points(graph, 'a', 'b'), ab);
+
+    // The cluster grows to enclose the node
+    const grown = box(graph, 'group');
+    assert.ok(grown.x + grown.width / 2 >= moved.x + moved.width / 2);
+    assert.ok(grown.y + grown.height / 2 >= moved.y + moved.height / 2);
+    assert.ok(grown.width > group.width && grown.height > group.height);
+    // Its label stays at the top left corner
+    const label = graph.container.querySelector('#clusters .cluster-label');
+    assert.equal(label.getAttribute('x'), String(-grown.width / 2 + 10));
+    assert.equal(label.getAttribute('y'), String(-grown.height / 2 + 20));
+
+    // The node stays pinned when the layout is computed again
+    const json = graph.toJSON();
+    assert.deepEqual(json.nodes.find(node => node.id === 'c'), { id: 'c', label: 'C', parent: 'group', pinned: true, x: c.x + 200, y: c.y + 100 });
+    graph.addNode({ id: 'd', label: 'D' });
+    graph.addEdge({ from: 'a', to: 'd' });
+    await graph.render();
+    assert.deepEqual({ x: box(graph, 'c').x, y: box(graph, 'c').y }, { x: c.x + 200, y: c.y + 100 });
+
+    // Unpinned nodes return to the layout when it is computed again
+    graph.updateNode('c', { pinned: false });
+    graph.removeNode('d');
+    await graph.render();
+    assert.deepEqual(box(graph, 'c'), c);
+    assert.deepEqual(box(graph, 'group'), group);
+});
+
+test('small movements click and cancelled drags restore the node', async () => {
+    const graph = createGraph();
+    await graph.render();
+    const clicks = [];
+    graph.on('node:click', (id) => clicks.push(id));
+    const a = box(graph, 'a');
+    drag(graph, 'a', 1, 1);
+    assert.deepEqual(clicks, ['a']);
+    assert.deepEqual(box(graph, 'a'), a);
+
+    let dropped = false;
+    graph.on('node:dragend', () => {
+        dropped = true;
+    });
+    drag(graph, 'a', 100, 0, {}, 'pointercancel');
+    assert.deepEqual(box(graph, 'a'), a);
+    assert.equal(dropped, false);
+    assert.equal(graph.toJSON().nodes[0].pinned, undefined);
+});
+
+test('clusters are not dragged and Shift+drag selects', async () => {
+    const graph = createGraph();
+    await graph.render();
+    const group = box(graph, 'group');
+    const view = graph.getViewport();
+    const label = graph.container.querySelector('#clusters > .cluster');
+    const pointer = (type, x, y) => label.dispatchEvent(new PointerEvent(type, { bubbles: true, button: 0, ...toClient(graph, x, y) }));
+    pointer('pointerdown', group.x, group.y);
+    pointer('pointermove', group.x + 100, group.y);
+    pointer('pointerup', group.x + 100, group.y);
+    assert.deepEqual(box(graph, 'group'), group);
+    assert.notDeepEqual(graph.getViewport(), view);
+
+    const a = box(graph, 'a');
+    drag(graph, 'a', 10, 5, { shiftKey: true });
+    assert.deepEqual(box(graph, 'a'), a);
+    assert.deepEqual(graph.getSelection().nodes, ['a']);
+});
+
+test('dropping a node routes orthogonal edges with the fewest bends', async () => {
+    const graph = new GraphLibrary(createContainer(), { edgeRouting: 'orthogonal' });
+    ['a', 'b', 'c', 'd', 'e'].forEach(id => graph.addNode({ id, label: id.toUpperCase() }));
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    graph.addEdge({ from: 'c', to: 'd' });
+    graph.addEdge({ from: 'a', to: 'd' });
+    await graph.render();
+    drag(graph, 'e', 300, 0);
+    // Routes do not follow the points they had before the drop
+    for (const entry of graph.grapherInstance.edges.values()) {
+        const gEdge = entry.label;
+        const dropped = gEdge.points;
+        routeEdges(graph.grapherInstance, [gEdge], false);
+        assert.deepEqual(dropped, gEdge.points);
+    }
+    assert.equal(points(graph, 'a', 'd').length, 2);
+});
+
+test('dragging without panZoom', async (t) => {
+    const graph = createGraph({ panZoom: false });
+    // jsdom does not lay out the SVG, so measure it from the node boxes
+    const getBBox = window.SVGElement.prototype.getBBox;
+    t.mock.method(window.SVGElement.prototype, 'getBBox', function () {
+        if (this.tagName !== 'svg') {
+            return getBBox.call(this);
+        }
+        const boxes = Array.from(graph.grapherInstance.nodes.keys(), id => box(graph, id));
+        const left = Math.min(...boxes.map(node => node.x - node.width / 2));
+        const top = Math.min(...boxes.map(node => node.y - node.height / 2));
+        const right = Math.max(...boxes.map(node => node.x + node.width / 2));
+        const bottom = Math.max(...boxes.map(node => node.y + node.height / 2));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    });
+    await graph.render();
+    const a = box(graph, 'a');
+    drag(graph, 'a', -300, 0);
+    assert.equal(box(graph, 'a').x, a.x - 300);
+    assert.deepEqual(graph.getSelection(), { nodes: [], edges: [] });
+    // The SVG grows to show the node
+    const [minX] = graph.container.querySelector('svg').getAttribute('viewBox').split(' ').map(Number);
+    assert.equal(minX, a.x - 300 - a.width / 2 - 20);
+});
+
+test('draggableNodes disabled', async () => {
+    const graph = createGraph({ draggableNodes: false });
+    await graph.render();
+    const a = box(graph, 'a');
+    const view = graph.getViewport();
+    drag(graph, 'a', 100, 100);
+    assert.deepEqual(box(graph, 'a'), a);
+    assert.notDeepEqual(graph.getViewport(), view);
+});
+
+test('nodes added as pinned', async (t) => {
+    const graph = createGraph();
+    graph.updateNode('a', { pinned: true, x: 500, y: -200 });
+    graph.addNode({ id: 'd', pinned: true });
+    const warn = t.mock.method(console, 'warn', () => {});
+    await graph.render();
+    assert.deepEqual({ x: box(graph, 'a').x, y: box(graph, 'a').y }, { x: 500, y: -200 });
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring pin of node 'd': x and y must be numbers/);
+});
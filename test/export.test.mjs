@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+
+const createGraph = () => {
+    const graph = new GraphLibrary(createContainer());
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    return graph;
+};
+
+// jsdom neither loads images nor draws on a canvas, so record what would be drawn
+const mockCanvas = (t) => {
+    const drawing = { images: [], operations: [] };
+    globalThis.Image = class {
+        set src(value) {
+            this._src = value;
+            drawing.images.push(value);
+            setTimeout(() => this.onload(), 0);
+        }
+        get src() {
+            return this._src;
+        }
+    };
+    t.after(() => delete globalThis.Image);
+    t.mock.method(window.HTMLCanvasElement.prototype, 'getContext', function () {
+        drawing.canvas = this;
+        return {
+            fillRect: (...args) => drawing.operations.push(['fillRect', ...args]),
+            drawImage: (image, ...args) => drawing.operations.push(['drawImage', ...args]),
+            set fillStyle(value) {
+                drawing.operations.push(['fillStyle', value]);
+            },
+        };
+    });
+    t.mock.method(window.HTMLCanvasElement.prototype, 'toBlob', (callback, type) => callback(new Blob(['png'], { type })));
+    return drawing;
+};
+
+// Records the files passed to the browser for download
+const mockDownloads = (t) => {
+    const downloads = [];
+    const blobs = new Map();
+    t.mock.method(URL, 'createObjectURL', (blob) => {
+        const url = `blob:${blobs.size}`;
+        blobs.set(url, blob);
+        return url;
+    });
+    t.mock.method(URL, 'revokeObjectURL', () => {});
+    t.mock.method(window.HTMLAnchorElement.prototype, 'click', function () {
+        downloads.push({ filename: this.download, blob: blobs.get(this.getAttribute('href')) });
+    });
+    return downloads;
+};
+
+const mockBounds = (t, bounds) => {
+    const getBBox = window.SVGElement.prototype.getBBox;
+    t.mock.method(window.SVGElement.prototype, 'getBBox', function () {
+        return this.getAttribute('class') === 'viewport' ? bounds : getBBox.call(this);
+    });
+};
+
+test('saveSvg saves the whole graph', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 300, height: 200 });
+    const downloads = mockDownloads(t);
+    const style = document.createElement('style');
+    style.textContent = '.node-label text { fill: red; }';
+    document.head.appendChild(style);
+    t.after(() => style.remove());
+    const graph = createGraph();
+    await graph.render();
+    graph.zoomTo(2);
+    graph.saveSvg('model.svg');
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].filename, 'model.svg');
+    assert.equal(downloads[0].blob.type, 'image/svg+xml;charset=utf-8');
+    const svg = await downloads[0].blob.text();
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="340" height="240" viewBox="-20 -20 340 240">/);
+    assert.match(svg, /<g class="viewport">/);
+    assert.match(svg, /<style>\.node-label text \{fill: red;\}\n<\/style><\/defs>/);
+    assert.equal(graph.container.querySelector('g.viewport').getAttribute('transform'), 'translate(-360,-260) scale(2)');
+});
+
+test('toSvgString options', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 300, height: 200 });
+    const style = document.createElement('style');
+    style.textContent = '.node-label text { fill: red; font-weight: bold; }';
+    document.head.appendChild(style);
+    t.after(() => style.remove());
+    const graph = createGraph();
+    await graph.render();
+
+    const svg = graph.toSvgString({ embedStyles: false, inlineComputedStyles: true, padding: 5 });
+    assert.match(svg, /^<svg [^>]*width="310" height="210" [^>]*viewBox="-5 -5 310 210">/);
+    assert.doesNotMatch(svg, /<style>/);
+    assert.match(svg, /<text [^>]*style="fill: red; font-weight: bold;">A<\/text>/);
+    // Inherited values equal to the parent's are left out
+    assert.doesNotMatch(svg, /<g class="node-item node-label"[^>]*style=/);
+    assert.equal(graph.container.querySelector('#a text').getAttribute('style'), null);
+
+    // Only the rules used by the graph are embedded, unless all are requested
+    const unused = document.createElement('style');
+    unused.textContent = '.toolbar button { color: blue; }';
+    document.head.appendChild(unused);
+    t.after(() => unused.remove());
+    assert.match(graph.toSvgString(), /<style>\.node-label text \{fill: red; font-weight: bold;\}\n<\/style>/);
+    assert.match(graph.toSvgString({ embedStyles: 'all' }), /<style>\.node-label text \{fill: red; font-weight: bold;\}\n\.toolbar button \{color: blue;\}\n<\/style>/);
+
+    assert.throws(() => graph.toSvgString({ embedStyles: 'used' }), /Invalid embedStyles 'used'. Expected true, false or 'all'/);
+    assert.throws(() => graph.toSvgString({ padding: -1 }), /Invalid padding '-1'. Expected a non-negative number/);
+});
+
+test('exports throw before rendering', async () => {
+    const graph = createGraph();
+    assert.throws(() => graph.toSvgString(), /SVG element not found. Please render the graph first/);
+    assert.throws(() => graph.saveSvg(), /SVG element not found. Please render the graph first/);
+    await assert.rejects(graph.savePng(), /SVG element not found. Please render the graph first/);
+});
+
+test('savePng and toPngBlob', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 300, height: 200 });
+    const drawing = mockCanvas(t);
+    const downloads = mockDownloads(t);
+    const graph = createGraph();
+    await graph.render();
+
+    const blob = await graph.toPngBlob({ scale: 2, background: 'white' });
+    assert.equal(blob.type, 'image/png');
+    assert.deepEqual([drawing.canvas.width, drawing.canvas.height], [680, 480]);
+    assert.deepEqual(drawing.operations, [
+        ['fillStyle', 'white'],
+        ['fillRect', 0, 0, 680, 480],
+        ['drawImage', 0, 0, 680, 480],
+    ]);
+    assert.match(decodeURIComponent(drawing.images[0]), /^data:image\/svg\+xml;charset=utf-8,<svg [^>]*viewBox="-20 -20 340 240"/);
+
+    // The scale defaults to the device pixel ratio, 1 in jsdom, and the background is transparent
+    await graph.savePng();
+    assert.deepEqual([drawing.canvas.width, drawing.canvas.height], [340, 240]);
+    assert.deepEqual(drawing.operations.slice(3), [['drawImage', 0, 0, 340, 240]]);
+    assert.equal(downloads[0].filename, 'graph.png');
+    assert.equal(downloads[0].blob.type, 'image/png');
+});
+
+test('toPngBlob errors', async () => {
+    const graph = createGraph();
+    await assert.rejects(graph.toPngBlob(), /SVG element not found. Please render the graph first/);
+    await assert.rejects(graph.toPngBlob({ scale: 0 }), /Invalid scale '0'. Expected a positive number/);
+});
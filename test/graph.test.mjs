@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+
+const createGraph = () => {
+    const graph = new GraphLibrary(createContainer());
+    graph.addCluster({ id: 'outer', label: 'Outer' });
+    graph.addCluster({ id: 'inner', label: 'Inner', parent: 'outer' });
+    graph.addNode({ id: 'a', label: 'A', parent: 'inner' });
+    graph.addNode({ id: 'b', label: 'B', parent: 'inner' });
+    graph.addNode({ id: 'c', label: 'C' });
+    graph.addEdge({ from: 'a', to: 'b', id: 'ab', label: 'x' });
+    graph.addEdge({ from: 'b', to: 'c', label: 'y' });
+    graph.addEdge({ from: 'a', to: 'c', label: 'z' });
+    return graph;
+};
+
+const nodeIds = (graph) => Array.from(graph.container.querySelectorAll('#nodes > .node'), element => element.id);
+const edgeLabels = (graph) => Array.from(graph.container.querySelectorAll('.edge-label'), element => element.textContent);
+const clusterLabels = (graph) => Array.from(graph.container.querySelectorAll('.cluster-label'), element => element.textContent);
+
+test('updateNode', async (t) => {
+    const graph = createGraph();
+    assert.equal(graph.updateNode('a', { label: 'Alpha', arguments: { k: 'v' } }), true);
+    await graph.render();
+    assert.equal(graph.container.querySelector('#a .node-label text').textContent, 'Alpha');
+    assert.match(graph.container.querySelector('#a .node-argument').textContent, /k: v/);
+    assert.throws(() => graph.updateNode('a', { id: 'd' }), /The ID of node 'a' cannot be changed/);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(graph.updateNode('d', { label: 'D' }), false);
+    assert.equal(graph.updateNode('outer', { label: 'D' }), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot update node: no node with ID 'd' exists/);
+    graph.addNode({ id: 'a' });
+    assert.match(warn.mock.calls[2].arguments[0], /Node or cluster with ID 'a' already exists. Use updateNode\(\) or updateCluster\(\) to modify it/);
+});
+
+test('removeNode removes its edges', async (t) => {
+    const graph = createGraph();
+    assert.equal(graph.removeNode('b'), true);
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['a', 'c']);
+    assert.deepEqual(edgeLabels(graph), ['z']);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(graph.removeNode('b'), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot remove node: no node with ID 'b' exists/);
+});
+
+test('updateEdge and removeEdge', async (t) => {
+    const graph = createGraph();
+    assert.equal(graph.updateEdge('ab', { label: 'xx' }), 1);
+    assert.equal(graph.updateEdge({ to: 'c' }, { styleClass: 'out' }), 2);
+    assert.equal(graph.removeEdge({ from: 'b', to: 'c' }), 1);
+    await graph.render();
+    assert.deepEqual(edgeLabels(graph), ['xx', 'z']);
+    assert.equal(graph.container.querySelectorAll('.edge-path.out').length, 1);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(graph.updateEdge('cd', { label: 'w' }), 0);
+    assert.equal(graph.removeEdge({}), 0);
+    assert.equal(graph.removeEdge({ from: 'a', to: 'c', id: 'ac' }), 0);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot update edge: no edge matches "cd"/);
+    assert.match(warn.mock.calls[1].arguments[0], /Cannot remove edge: no edge matches \{\}/);
+    assert.equal(graph.removeEdge('ab'), 1);
+});
+
+test('updateCluster', async (t) => {
+    const graph = createGraph();
+    assert.equal(graph.updateCluster('inner', { label: 'Core' }), true);
+    await graph.render();
+    assert.deepEqual(clusterLabels(graph).sort(), ['Core', 'Outer']);
+    assert.throws(() => graph.updateCluster('inner', { id: 'core' }), /The ID of cluster 'inner' cannot be changed/);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(graph.updateCluster('a', { label: 'A' }), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot update cluster: no cluster with ID 'a' exists/);
+});
+
+test('removeCluster moves its members to its parent', async (t) => {
+    const graph = createGraph();
+    graph.addEdge({ from: 'c', to: 'inner' });
+    assert.equal(graph.removeCluster('inner'), true);
+    assert.equal(graph.removeCluster('outer'), true);
+    await graph.render();
+    assert.deepEqual(nodeIds(graph), ['a', 'b', 'c']);
+    assert.equal(graph.container.querySelectorAll('.cluster').length, 0);
+    assert.equal(graph.container.querySelectorAll('.edge-path').length, 3);
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(graph.removeCluster('inner'), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot remove cluster: no cluster with ID 'inner' exists/);
+});
+
+test('render patches the existing SVG', async (t) => {
+    const graph = createGraph();
+    await graph.render();
+    const svg = graph.container.querySelector('svg');
+    const b = graph.container.querySelector('#b');
+    const layout = t.mock.method(graph.grapherInstance, 'layout');
+
+    // Changes that keep the sizes rebuild the changed elements without a new layout
+    graph.updateNode('a', { styleClass: 'hot' });
+    graph.updateEdge('ab', { styleClass: 'flow' });
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 0);
+    assert.equal(graph.container.querySelector('svg'), svg);
+    assert.equal(graph.container.querySelector('#b'), b);
+    assert.ok(graph.container.querySelector('#a').classList.contains('hot'));
+    assert.ok(graph.container.querySelector('#ab').classList.contains('flow'));
+
+    // A render without changes leaves everything in place
+    const transform = b.getAttribute('transform');
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 0);
+    assert.equal(b.getAttribute('transform'), transform);
+
+    // Larger labels, new and removed elements and layout options lay the graph out again
+    graph.updateNode('a', { label: 'A longer label' });
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 1);
+    assert.equal(graph.container.querySelector('#a .node-label text').textContent, 'A longer label');
+    graph.addNode({ id: 'd', label: 'D' });
+    graph.addEdge({ from: 'c', to: 'd' });
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 2);
+    assert.deepEqual(nodeIds(graph).sort(), ['a', 'b', 'c', 'd']);
+    graph.removeNode('d');
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 3);
+    assert.deepEqual(nodeIds(graph).sort(), ['a', 'b', 'c']);
+    assert.equal(graph.container.querySelectorAll('.edge-path').length, 3);
+    graph.options.rankSep = 100;
+    await graph.render();
+    assert.equal(layout.mock.callCount(), 4);
+    assert.equal(graph.container.querySelector('svg'), svg);
+    assert.equal(graph.container.querySelector('#b'), b);
+});
+
+test('render rebuilds the SVG after the container was cleared', async () => {
+    const graph = createGraph();
+    await graph.render();
+    graph.container.innerHTML = '';
+    await graph.render();
+    assert.equal(graph.container.querySelectorAll('svg').length, 1);
+    assert.deepEqual(nodeIds(graph), ['a', 'b', 'c']);
+});
+
+test('parallel edges', async (t) => {
+    const graph = new GraphLibrary(createContainer());
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B' });
+    graph.addEdge({ from: 'a', to: 'b', id: 'p', label: 'P' });
+    graph.addEdge({ from: 'a', to: 'b', id: 'q', label: 'Q' });
+    graph.addEdge({ from: 'a', to: 'b', label: 'R' });
+    graph.addEdge({ from: 'a', to: 'b', label: 'S' });
+    await graph.render();
+    assert.deepEqual(edgeLabels(graph).sort(), ['P', 'Q', 'R', 'S']);
+    const paths = Array.from(graph.container.querySelectorAll('#edge-paths > .edge-path'), element => element.getAttribute('d'));
+    assert.equal(paths.length, 4);
+    assert.equal(new Set(paths).size, 4);
+
+    const clicks = [];
+    graph.on('edge:click', (edge) => clicks.push(edge));
+    const hitTests = graph.container.querySelectorAll('#edge-paths-hit-test > path');
+    assert.equal(hitTests.length, 4);
+    hitTests.forEach(element => element.dispatchEvent(new window.MouseEvent('click', { bubbles: true })));
+    assert.deepEqual(clicks.map(edge => edge.label).sort(), ['P', 'Q', 'R', 'S']);
+    assert.deepEqual(clicks.filter(edge => edge.id).map(edge => edge.id).sort(), ['p', 'q']);
+
+    assert.equal(graph.updateEdge('q', { label: 'Q2' }), 1);
+    assert.equal(graph.removeEdge('p'), 1);
+    await graph.render();
+    assert.deepEqual(edgeLabels(graph).sort(), ['Q2', 'R', 'S']);
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    graph.addEdge({ from: 'a', to: 'b', id: 'q', label: 'Q3' });
+    await graph.render();
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping edge from 'a' to 'b': duplicate edge ID 'q'/);
+    assert.deepEqual(edgeLabels(graph).sort(), ['Q2', 'R', 'S']);
+});
+
+const position = (graph, id) => {
+    const node = graph.grapherInstance.node(id).label;
+    return { x: node.x, y: node.y };
+};
+
+const createTree = (options) => {
+    const graph = new GraphLibrary(createContainer(), options);
+    for (const id of ['a', 'b', 'c', 'd']) {
+        graph.addNode({ id, label: id.toUpperCase() });
+    }
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    graph.addEdge({ from: 'a', to: 'd' });
+    return graph;
+};
+
+test('spacing options', async () => {
+    const narrow = createTree({ nodeSep: 20, rankSep: 30 });
+    const wide = createTree({ nodeSep: 70, rankSep: 90 });
+    await narrow.render();
+    await wide.render();
+    const gap = (graph, axis, v, w) => position(graph, w)[axis] - position(graph, v)[axis];
+    assert.equal(gap(wide, 'y', 'a', 'b') - gap(narrow, 'y', 'a', 'b'), 60);
+    assert.equal(Math.abs(gap(wide, 'x', 'b', 'd')) - Math.abs(gap(narrow, 'x', 'b', 'd')), 50);
+});
+
+test('ranker and align options', async () => {
+    const simplex = createTree();
+    const longestPath = createTree({ ranker: 'longest-path' });
+    await simplex.render();
+    await longestPath.render();
+    assert.equal(position(simplex, 'd').y, position(simplex, 'b').y);
+    assert.equal(position(longestPath, 'd').y, position(longestPath, 'c').y);
+    const fan = async (align) => {
+        const graph = new GraphLibrary(createContainer(), { align });
+        for (const id of ['a', 'b', 'c', 'd']) {
+            graph.addNode({ id, label: id.toUpperCase() });
+        }
+        graph.addEdge({ from: 'a', to: 'b' });
+        graph.addEdge({ from: 'a', to: 'c' });
+        graph.addEdge({ from: 'a', to: 'd' });
+        await graph.render();
+        return graph;
+    };
+    const children = (graph) => ['b', 'c', 'd'].map(id => position(graph, id).x);
+    const balanced = await fan();
+    assert.equal(position(balanced, 'a').x, position(balanced, 'c').x);
+    const left = await fan('ul');
+    assert.equal(position(left, 'a').x, Math.min(...children(left)));
+    const right = await fan('UR');
+    assert.equal(position(right, 'a').x, Math.max(...children(right)));
+    assert.throws(() => createTree({ align: 'middle' }), /Invalid align 'middle'. Expected 'UL', 'UR', 'DL' or 'DR'/);
+    assert.throws(() => createTree({ ranker: 'fastest' }), /Invalid ranker 'fastest'/);
+});
+
+test('direction option', async () => {
+    const expected = {
+        TB: (a, b) => b.y > a.y && b.x === a.x,
+        BT: (a, b) => b.y < a.y && b.x === a.x,
+        LR: (a, b) => b.x > a.x && b.y === a.y,
+        RL: (a, b) => b.x < a.x && b.y === a.y,
+    };
+    for (const [direction, check] of Object.entries(expected)) {
+        const graph = new GraphLibrary(createContainer(), { direction });
+        graph.addNode({ id: 'a', label: 'A' });
+        graph.addNode({ id: 'b', label: 'B' });
+        graph.addEdge({ from: 'a', to: 'b', label: 'x' });
+        await graph.render();
+        assert.ok(check(position(graph, 'a'), position(graph, 'b')), direction);
+    }
+    assert.throws(() => new GraphLibrary(createContainer(), { direction: 'vertical' }), /Invalid direction 'vertical'. Expected 'TB', 'BT', 'LR' or 'RL'/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { write } from '../src/graphml.js';
+import { GraphLibrary } from '../src/graph.js';
+
+test('write', () => {
+    const text = write({
+        direction: 'TB',
+        graph: {
+            clusters: [{ id: 'c&1', label: 'C <1>', styleClass: 'hot', clusters: [], nodes: [{ id: 'a', label: "A's", arguments: [['kernel', '3x3'], ['pads', '"1"']] }] }],
+            nodes: [{ id: 'b', label: 'B', arguments: [['kernel', '1']] }, { id: 'c', label: '', arguments: [] }],
+        },
+        edges: [
+            { from: 'a', to: 'b', id: 'e1', label: 'x', styleClass: 'data', minlen: 2, weight: 0.5 },
+            { from: 'b', to: 'c' },
+        ],
+    });
+    assert.equal(text, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="direction" for="graph" attr.name="direction" attr.type="string"/>',
+        '  <key id="label" for="all" attr.name="label" attr.type="string"/>',
+        '  <key id="styleClass" for="all" attr.name="styleClass" attr.type="string"/>',
+        '  <key id="minlen" for="edge" attr.name="minlen" attr.type="int"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+        '  <key id="argument0" for="node" attr.name="argument.kernel" attr.type="string"/>',
+        '  <key id="argument1" for="node" attr.name="argument.pads" attr.type="string"/>',
+        '  <graph id="G" edgedefault="directed">',
+        '    <data key="direction">TB</data>',
+        '    <node id="c&amp;1">',
+        '      <data key="label">C &lt;1&gt;</data>',
+        '      <data key="styleClass">hot</data>',
+        '      <graph id="c&amp;1:" edgedefault="directed">',
+        '        <node id="a">',
+        '          <data key="label">A&apos;s</data>',
+        '          <data key="argument0">3x3</data>',
+        '          <data key="argument1">&quot;1&quot;</data>',
+        '        </node>',
+        '      </graph>',
+        '    </node>',
+        '    <node id="b">',
+        '      <data key="label">B</data>',
+        '      <data key="argument0">1</data>',
+        '    </node>',
+        '    <node id="c">',
+        '    </node>',
+        '    <edge id="e1" source="a" target="b">',
+        '      <data key="label">x</data>',
+        '      <data key="styleClass">data</data>',
+        '      <data key="minlen">2</data>',
+        '      <data key="weight">0.5</data>',
+        '    </edge>',
+        '    <edge source="b" target="c">',
+        '    </edge>',
+        '  </graph>',
+        '</graphml>',
+        '',
+    ].join('\n'));
+});
+
+test('toGraphML nests clusters', () => {
+    const graph = new GraphLibrary(createContainer(), { direction: 'LR' });
+    graph.addCluster({ id: 'outer' });
+    graph.addCluster({ id: 'inner', parent: 'outer' });
+    graph.addNode({ id: 'a', parent: 'inner', arguments: { x: '1' } });
+    graph.addNode({ id: 'b', parent: 'outer' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    const text = graph.toGraphML();
+    const ids = Array.from(text.matchAll(/<(node|graph) id="([^"]*)"/g), match => match[2]);
+    assert.deepEqual(ids, ['G', 'outer', 'outer:', 'inner', 'inner:', 'a', 'b']);
+    assert.match(text, /<data key="direction">LR<\/data>/);
+    assert.match(text, /<key id="argument0" for="node" attr.name="argument.x" attr.type="string"\/>/);
+    assert.match(text, /<edge source="a" target="b">/);
+});
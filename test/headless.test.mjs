@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeLayout, renderToSvgString, measureText, defaultCss } from '../src/headless.js';
+
+const spec = {
+    options: { direction: 'LR' },
+    clusters: [{ id: 'group', label: 'Group' }],
+    nodes: [{ id: 'a', label: 'Alpha', arguments: { kernel: '3x3' } }, { id: 'b', parent: 'group' }],
+    edges: [{ from: 'a', to: 'b', label: 'x' }],
+};
+
+test('measureText', () => {
+    assert.equal(measureText('', { size: 10, weight: 'normal' }), 0);
+    assert.equal(measureText('i', { size: 10, weight: 'normal' }), 2.22);
+    assert.equal(measureText('i', { size: 10, weight: 'bold' }), 2.78);
+    assert.equal(measureText('é中', { size: 10, weight: 'normal' }), 15.56);
+});
+
+test('computeLayout', async () => {
+    const layout = await computeLayout(spec);
+    assert.deepEqual(Object.keys(layout.nodes).sort(), ['a', 'b']);
+    assert.deepEqual(Object.keys(layout.clusters), ['group']);
+    const { a, b } = layout.nodes;
+    const group = layout.clusters.group;
+    assert.ok(a.x < b.x, 'LR places b right of a');
+    assert.ok(group.x - group.width / 2 < b.x - b.width / 2 && b.x + b.width / 2 < group.x + group.width / 2);
+    const edge = layout.edges['a->b'];
+    assert.deepEqual([edge.from, edge.to], ['a', 'b']);
+    assert.ok(edge.points.length >= 2);
+    assert.equal(typeof edge.x, 'number');
+    const { bounds } = layout;
+    for (const box of [a, b, group]) {
+        assert.ok(bounds.x <= box.x - box.width / 2 && box.x + box.width / 2 <= bounds.x + bounds.width);
+        assert.ok(bounds.y <= box.y - box.height / 2 && box.y + box.height / 2 <= bounds.y + bounds.height);
+    }
+    // Edges without a label have no label position
+    const unlabeled = await computeLayout({ nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ from: 'a', to: 'b', id: 'e' }] });
+    assert.equal(unlabeled.edges.e.x, undefined);
+});
+
+test('collapsed clusters are laid out as nodes', async () => {
+    const layout = await computeLayout({ ...spec, clusters: [{ id: 'group', label: 'Group', collapsed: true }] });
+    assert.deepEqual(Object.keys(layout.nodes).sort(), ['a', 'group']);
+    assert.deepEqual(layout.clusters, {});
+    assert.deepEqual(Object.keys(layout.edges), ['a->group']);
+});
+
+test('renderToSvgString', async () => {
+    const svg = await renderToSvgString(spec, { padding: 10 });
+    const { bounds } = await computeLayout(spec);
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.ok(svg.includes(`viewBox="${bounds.x - 10} ${bounds.y - 10} ${bounds.width + 20} ${bounds.height + 20}"`));
+    assert.ok(svg.includes(`width="${bounds.width + 20}"`));
+    for (const id of ['clusters', 'edge-paths', 'edge-paths-hit-test', 'edge-labels', 'nodes', 'arrowhead']) {
+        assert.ok(svg.includes(`id="${id}"`), id);
+    }
+    // The markup is XML, so the '>' combinators of the styles are escaped
+    assert.ok(svg.includes(`<style>${defaultCss.replace(/>/g, '&gt;')}</style>`));
+    assert.match(svg, />Alpha</);
+    assert.match(svg, />kernel</);
+    assert.match(svg, />Group</);
+    assert.doesNotMatch(await renderToSvgString(spec, { css: '' }), /<style>/);
+    assert.match(await renderToSvgString(spec, { css: '.node { fill: red; }' }), /<style>\.node \{ fill: red; \}<\/style>/);
+});
+
+test('renderToSvgString errors', async () => {
+    await assert.rejects(renderToSvgString(spec, { padding: -1 }), /Invalid padding '-1'/);
+    await assert.rejects(renderToSvgString(spec, { padding: '5' }), /Invalid padding '5'/);
+    await assert.rejects(renderToSvgString(spec, { css: 1 }), /Invalid css/);
+    await assert.rejects(renderToSvgString(null), /Graph spec must be an object/);
+});
+
+test('a custom measureText changes the node sizes', async () => {
+    const calls = [];
+    const wide = await computeLayout(spec, { measureText: (text, font) => {
+        calls.push(`${text} ${font.size} ${font.weight}`);
+        return text.length * 20;
+    } });
+    const { nodes } = await computeLayout(spec);
+    assert.ok(wide.nodes.a.width > nodes.a.width);
+    // Node labels, arguments and edge labels have the fonts of grapher.css
+    assert.ok(calls.includes('Alpha 11 normal'));
+    assert.ok(calls.includes('kernel 9 bold'));
+    assert.ok(calls.includes(': 3x3 9 normal'));
+    assert.ok(calls.includes('x 10 normal'));
+});
+
+test('computeLayout errors', async () => {
+    await assert.rejects(computeLayout(null), /Graph spec must be an object/);
+    await assert.rejects(computeLayout({ nodes: [{ label: 'a' }] }), /Node options with an `id` must be provided/);
+    await assert.rejects(computeLayout({ edges: [{ from: 'a' }] }), /Edge options with `from` and `to` IDs must be provided/);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import * as grapher from '../src/grapher.js';
+import { GraphLibrary } from '../src/graph.js';
+import { computeLayout } from '../src/headless.js';
+
+const createGraph = () => {
+    const graph = new GraphLibrary(createContainer(), { direction: 'LR', nodeSep: 30 });
+    graph.addCluster({ id: 'group', label: 'Group', style: { backgroundColor: '#eef' } });
+    graph.addNode({ id: 'a', label: 'Alpha', arguments: { kernel: '3x3', stride: '1' }, styleClass: 'op' });
+    graph.addNode({ id: 'b', parent: 'group' });
+    graph.addNode({ id: 'c', parent: 'group' });
+    graph.addEdge({ from: 'a', to: 'b', id: 'e1', label: 'x', minlen: 2, weight: 3 });
+    graph.addEdge({ from: 'b', to: 'c' });
+    return graph;
+};
+
+test('toJSON and fromJSON round-trip', () => {
+    const json = createGraph().toJSON();
+    assert.equal(json.version, 1);
+    assert.equal(json.options.direction, 'LR');
+    assert.deepEqual(json.clusters, [{ id: 'group', label: 'Group', style: { backgroundColor: '#eef' } }]);
+    assert.deepEqual(json.edges[0], { from: 'a', to: 'b', id: 'e1', label: 'x', minlen: 2, weight: 3 });
+    assert.deepEqual(GraphLibrary.fromJSON(createContainer(), json).toJSON(), json);
+    assert.deepEqual(GraphLibrary.fromJSON(createContainer(), JSON.stringify(json)).toJSON(), json);
+    assert.deepEqual(JSON.parse(JSON.stringify(createGraph())), json);
+});
+
+test('toJSON leaves out custom layout engines', () => {
+    const graph = new GraphLibrary(createContainer(), { layout: { layout: () => {} } });
+    assert.equal(graph.toJSON().options.layout, undefined);
+    assert.equal(new GraphLibrary(createContainer(), { layout: 'grid' }).toJSON().options.layout, 'grid');
+});
+
+test('toJSON warns when the layout is requested before rendering', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const json = createGraph().toJSON({ layout: true });
+    assert.equal(json.layout, undefined);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot serialize the layout: render the graph first/);
+});
+
+test('fromJSON restores the saved layout', async (t) => {
+    const graph = createGraph();
+    await graph.render();
+    const json = graph.toJSON({ layout: true });
+    assert.deepEqual(Object.keys(json.layout.nodes).sort(), ['a', 'b', 'c', 'group']);
+    assert.deepEqual(Object.keys(json.layout.edges).sort(), ['b->c', 'e1']);
+
+    // Move everything, so positions can only come from the saved layout
+    const layout = JSON.parse(JSON.stringify(json.layout));
+    Object.values(layout.nodes).forEach(node => {
+        node.x += 100;
+        node.y += 50;
+    });
+    Object.values(layout.edges).forEach(edge => edge.points.forEach(point => {
+        point.x += 100;
+        point.y += 50;
+    }));
+
+    const layoutCalls = t.mock.method(grapher.Graph.prototype, 'layout');
+    const restored = GraphLibrary.fromJSON(createContainer(), { ...json, layout });
+    await restored.render();
+    assert.equal(layoutCalls.mock.callCount(), 0);
+    for (const [id, node] of Object.entries(layout.nodes)) {
+        const gNode = restored.grapherInstance.node(id).label;
+        assert.deepEqual({ x: gNode.x, y: gNode.y }, { x: node.x, y: node.y }, id);
+    }
+    assert.equal(restored.container.querySelector('#a').getAttribute('transform'), `translate(${layout.nodes.a.x - layout.nodes.a.width / 2},${layout.nodes.a.y - layout.nodes.a.height / 2})`);
+    const group = restored.grapherInstance.node('group').label;
+    assert.deepEqual({ width: group.width, height: group.height }, { width: layout.nodes.group.width, height: layout.nodes.group.height });
+    assert.deepEqual(restored.grapherInstance.edge('a', 'b', 'e1').label.points, layout.edges.e1.points);
+    assert.deepEqual(restored.grapherInstance.edge('b', 'c').label.points, layout.edges['b->c'].points);
+    assert.deepEqual(restored.toJSON({ layout: true }).layout, layout);
+
+    // The layout is computed again when the graph changes
+    restored.addNode({ id: 'd' });
+    await restored.render();
+    assert.equal(layoutCalls.mock.callCount(), 1);
+});
+
+test('fromJSON renders the layout of computeLayout', async (t) => {
+    const json = createGraph().toJSON();
+    const layout = await computeLayout(json);
+    assert.deepEqual(Object.keys(layout.nodes).sort(), ['a', 'b', 'c']);
+    assert.deepEqual(Object.keys(layout.clusters), ['group']);
+    assert.deepEqual(Object.keys(layout.edges).sort(), ['b->c', 'e1']);
+
+    const layoutCalls = t.mock.method(grapher.Graph.prototype, 'layout');
+    const graph = GraphLibrary.fromJSON(createContainer(), { ...json, layout });
+    await graph.render();
+    assert.equal(layoutCalls.mock.callCount(), 0);
+    for (const [id, node] of Object.entries({ ...layout.nodes, ...layout.clusters })) {
+        const gNode = graph.grapherInstance.node(id).label;
+        assert.deepEqual({ x: gNode.x, y: gNode.y }, { x: node.x, y: node.y }, id);
+    }
+    assert.deepEqual(graph.grapherInstance.edge('a', 'b', 'e1').label.points, layout.edges.e1.points);
+    assert.deepEqual(graph.grapherInstance.edge('b', 'c').label.points, layout.edges['b->c'].points);
+});
+
+test('fromJSON ignores an incomplete layout', async (t) => {
+    const graph = createGraph();
+    await graph.render();
+    const json = graph.toJSON({ layout: true });
+    delete json.layout.edges.e1;
+    const warn = t.mock.method(console, 'warn', () => {});
+    const layoutCalls = t.mock.method(grapher.Graph.prototype, 'layout');
+    await GraphLibrary.fromJSON(createContainer(), json).render();
+    assert.equal(layoutCalls.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Saved layout does not match the graph and is ignored/);
+});
+
+test('fromJSON errors', () => {
+    assert.throws(() => GraphLibrary.fromJSON(createContainer(), null), /Graph JSON must be an object or a JSON string/);
+    assert.throws(() => GraphLibrary.fromJSON(createContainer(), { version: 2 }), /Unsupported graph JSON version '2'/);
+    assert.throws(() => GraphLibrary.fromJSON(createContainer(), '{'), SyntaxError);
+    assert.throws(() => GraphLibrary.fromJSON(createContainer(), { version: 1, options: { direction: 'up' } }), /Invalid direction 'up'/);
+    assert.throws(() => GraphLibrary.fromJSON({}, { version: 1 }), /A valid HTML container element must be provided/);
+});
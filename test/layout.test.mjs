@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeLayout } from '../src/headless.js';
+
+const engines = ['dagre', 'force', 'tree', 'radial', 'grid'];
+const directions = ['TB', 'BT', 'LR', 'RL'];
+
+const spec = (options) => ({
+    options: { compound: true, ...options },
+    clusters: [{ id: 'group', label: 'Group' }],
+    nodes: [
+        { id: 'input', arguments: { shape: '1x3' } },
+        { id: 'conv', parent: 'group' },
+        { id: 'relu', parent: 'group' },
+        { id: 'skip' },
+        { id: 'output' },
+    ],
+    edges: [
+        { from: 'input', to: 'conv', label: 'x' },
+        { from: 'conv', to: 'relu' },
+        { from: 'input', to: 'skip' },
+        { from: 'relu', to: 'output' },
+        { from: 'skip', to: 'output' },
+    ],
+});
+
+const overlap = (a, b) => Math.abs(a.x - b.x) * 2 < a.width + b.width && Math.abs(a.y - b.y) * 2 < a.height + b.height;
+const contains = (outer, inner) => Math.abs(inner.x - outer.x) + inner.width / 2 <= outer.width / 2 + 1e-6 &&
+    Math.abs(inner.y - outer.y) + inner.height / 2 <= outer.height / 2 + 1e-6;
+// The bounds are given by their top left corner
+const within = (bounds, box) => box.x - box.width / 2 >= bounds.x - 1e-6 && box.x + box.width / 2 <= bounds.x + bounds.width + 1e-6 &&
+    box.y - box.height / 2 >= bounds.y - 1e-6 && box.y + box.height / 2 <= bounds.y + bounds.height + 1e-6;
+
+for (const engine of engines) {
+    for (const direction of directions) {
+        test(`${engine} layout ${direction}`, async () => {
+            const result = await computeLayout(spec({ layout: engine, direction }));
+            const nodes = Object.entries(result.nodes);
+            assert.deepEqual(nodes.map(([id]) => id).sort(), ['conv', 'input', 'output', 'relu', 'skip']);
+            for (const [id, box] of nodes) {
+                assert.ok([box.x, box.y, box.width, box.height].every(Number.isFinite), id);
+                assert.ok(within(result.bounds, box), `${id} is outside the bounds`);
+            }
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    assert.ok(!overlap(nodes[i][1], nodes[j][1]), `${nodes[i][0]} overlaps ${nodes[j][0]}`);
+                }
+            }
+            assert.ok(contains(result.clusters.group, result.nodes.conv));
+            assert.ok(contains(result.clusters.group, result.nodes.relu));
+            assert.equal(Object.keys(result.edges).length, 5);
+            for (const edge of Object.values(result.edges)) {
+                assert.ok(edge.points.length >= 2);
+                assert.ok(edge.points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)));
+            }
+            const label = result.edges['input->conv'];
+            assert.ok(Number.isFinite(label.x) && Number.isFinite(label.y));
+        });
+    }
+}
+
+for (const engine of ['dagre', 'tree']) {
+    test(`${engine} layout ranks follow the direction`, async () => {
+        const along = { TB: (box) => box.y, BT: (box) => -box.y, LR: (box) => box.x, RL: (box) => -box.x };
+        for (const direction of directions) {
+            const { nodes } = await computeLayout(spec({ layout: engine, direction }));
+            const rank = along[direction];
+            assert.ok(rank(nodes.input) < rank(nodes.conv), direction);
+            assert.ok(rank(nodes.conv) < rank(nodes.relu), direction);
+            assert.ok(rank(nodes.relu) < rank(nodes.output), direction);
+        }
+    });
+}
+
+test('grid layout fills rows or columns in the order nodes were added', async () => {
+    const grid = (direction) => computeLayout({
+        options: { layout: 'grid', direction },
+        nodes: ['a', 'b', 'c', 'd'].map(id => ({ id })),
+    });
+    const rows = (await grid('TB')).nodes;
+    assert.equal(rows.a.y, rows.b.y);
+    assert.ok(rows.a.x < rows.b.x);
+    const columns = (await grid('LR')).nodes;
+    assert.equal(columns.a.x, columns.b.x);
+    assert.ok(columns.a.y < columns.b.y);
+});
+
+test('custom layout engine', async () => {
+    const engine = {
+        layout: (nodes, edges, layout) => {
+            assert.equal(layout.rankdir, 'LR');
+            nodes.forEach((node, i) => {
+                node.x = i * 100;
+                node.y = 0;
+            });
+            for (const edge of edges) {
+                const v = nodes.find(node => node.v === edge.v);
+                const w = nodes.find(node => node.v === edge.w);
+                edge.points = [{ x: v.x, y: 0 }, { x: (v.x + w.x) / 2, y: 0 }, { x: w.x, y: 0 }];
+            }
+        }
+    };
+    const result = await computeLayout({ options: { layout: engine, direction: 'LR' }, nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ from: 'a', to: 'b' }] });
+    assert.equal(result.nodes.b.x - result.nodes.a.x, 100);
+    assert.deepEqual(result.edges['a->b'].points, [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }]);
+});
+
+test('invalid layout option', async () => {
+    await assert.rejects(computeLayout({ options: { layout: 'circle' } }), /Invalid layout 'circle'. Expected 'dagre', 'force', 'tree', 'radial', 'grid' or an object with a layout\(\) function/);
+    await assert.rejects(computeLayout({ options: { layout: {} } }), /Invalid layout '\[object Object\]'/);
+});
+
+test('edges to missing nodes are skipped with a warning', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const result = await computeLayout({ nodes: [{ id: 'a' }], edges: [{ from: 'a', to: 'missing' }] });
+    assert.deepEqual(result.edges, {});
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping edge from 'a' to 'missing'/);
+});
+
+test('pinned nodes keep their positions', async () => {
+    const result = await computeLayout({
+        nodes: [{ id: 'a' }, { id: 'b', pinned: true, x: 500, y: -200 }],
+        edges: [{ from: 'a', to: 'b' }],
+    });
+    assert.equal(result.nodes.b.x, 500);
+    assert.equal(result.nodes.b.y, -200);
+    const points = result.edges['a->b'].points;
+    const end = points[points.length - 1];
+    assert.ok(Math.abs(end.x - 500) <= result.nodes.b.width / 2 + 1e-6);
+    assert.ok(Math.abs(end.y + 200) <= result.nodes.b.height / 2 + 1e-6);
+});
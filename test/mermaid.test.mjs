@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { parse, write, MermaidError } from '../src/mermaid.js';
+import * as grapher from '../src/grapher.js';
+import { GraphLibrary } from '../src/graph.js';
+
+test('parse nodes, links and subgraphs', () => {
+    const graph = parse(`---
+title: Model
+---
+flowchart td
+    %% comment
+    input([Input]) --> conv[Conv 1x3]:::op
+    conv -- "relu #amp; pool" --> relu{{ReLU}}
+    subgraph block [Block]
+        relu ---> add & mul((Mul))
+        subgraph inner
+            mul
+        end
+    end
+    add <-.-> mul
+    add ~~~ input
+    mul -->|out| output
+    class add,mul op
+    style add fill:#f9f
+`);
+    assert.deepEqual(graph.options, { direction: 'TB' });
+    assert.deepEqual(graph.clusters, [
+        { id: 'block', label: 'Block' },
+        { id: 'inner', label: 'inner', parent: 'block' },
+    ]);
+    assert.deepEqual(graph.nodes, [
+        { id: 'input', label: 'Input' },
+        { id: 'conv', label: 'Conv 1x3', styleClass: 'op' },
+        { id: 'relu', label: 'ReLU', parent: 'block' },
+        { id: 'add', label: 'add', parent: 'block', styleClass: 'op' },
+        { id: 'mul', label: 'Mul', parent: 'block', styleClass: 'op' },
+        { id: 'output', label: 'output' },
+    ]);
+    // '<-.->' links both ways and '~~~' only affects the layout in Mermaid
+    assert.deepEqual(graph.edges, [
+        { from: 'input', to: 'conv' },
+        { from: 'conv', to: 'relu', label: 'relu & pool' },
+        { from: 'relu', to: 'add', minlen: 2 },
+        { from: 'relu', to: 'mul', minlen: 2 },
+        { from: 'add', to: 'mul' },
+        { from: 'mul', to: 'add' },
+        { from: 'mul', to: 'output', label: 'out' },
+    ]);
+});
+
+test('parse link lengths', () => {
+    const { edges } = parse('graph LR\n a --> b ---> c ==> d ===> e -.-> f -..-> g --- h');
+    assert.deepEqual(edges.map(edgeOpts => edgeOpts.minlen), [undefined, 2, undefined, 2, undefined, 2, undefined]);
+});
+
+test('parse errors', () => {
+    const errors = [
+        ['flowchart LR\n a --o b', "Circle and cross link ends ('o') are not supported, use '-->' at line 2, column 4."],
+        ['flowchart LR\n a --x b', "Circle and cross link ends ('x') are not supported, use '-->' at line 2, column 4."],
+        ['flowchart LR\n a@{ shape: rect }', "Shape data '@{ ... }' is not supported at line 2, column 3."],
+        ['flowchart LR\n subgraph s\n end\n a --> s', "Subgraph 's' cannot be used as a node at line 4, column 8."],
+        ['flowchart UP', "Invalid direction 'UP', expected 'TB', 'TD', 'BT', 'LR' or 'RL' at line 1, column 11."],
+        ['flowchart\n a["x]', 'Unterminated string at line 2, column 4.'],
+        ['flowchart\n subgraph s\n a', "Expected 'end' for subgraph 's' but found end of input at line 3, column 3."],
+        ['flowchart\n end', "Unexpected 'end' outside of a subgraph at line 2, column 2."],
+        ['sequenceDiagram', "Expected 'flowchart' or 'graph' but found 'sequenceDiagram' at line 1, column 1."],
+        ['flowchart\n a[x', "Expected ']' but found 'x' at line 2, column 4."],
+        ['flowchart\n a -- x', 'Expected the end of the link at line 2, column 7.'],
+        ['flowchart\n a --> b c', "Expected the end of the statement but found 'c' at line 2, column 10."],
+        ['---\ntitle: x\nflowchart', "Expected '---' closing the front matter but found end of input at line 3, column 10."],
+        [null, 'Mermaid input must be a string at line 1, column 1.'],
+    ];
+    for (const [text, message] of errors) {
+        assert.throws(() => parse(text), (error) => {
+            assert.ok(error instanceof MermaidError, text);
+            assert.equal(error.message, message);
+            return true;
+        });
+    }
+});
+
+test('write', () => {
+    const text = write({
+        direction: 'LR',
+        graph: {
+            clusters: [{ id: 'end', label: 'End', styleClass: 'a b', clusters: [], nodes: [{ id: 'n_1', label: 'A "<#>"', arguments: [['k', 'v']] }] }],
+            nodes: [{ id: 'x y', label: 'X', arguments: [] }, { id: 'ok', label: 'Ok', styleClass: 'op', arguments: [] }],
+        },
+        edges: [
+            { from: 'x y', to: 'n_1', label: 'e', minlen: 3 },
+            { from: 'ok', to: 'x y', minlen: 0 },
+            { from: 'ok', to: 'n_1', minlen: 9 },
+        ],
+    });
+    // Keywords, invalid and reserved IDs are replaced in order of appearance
+    assert.equal(text, [
+        'flowchart LR',
+        '    subgraph n_0["End"]',
+        '        n_1["A #quot;#lt;#35;#gt;#quot;<br/>k: v"]',
+        '    end',
+        '    n_2["X"]',
+        '    ok["Ok"]',
+        '    n_2 ---->|"e"| n_1',
+        '    ok --> n_2',
+        '    ok ----> n_1',
+        '    class n_0 a',
+        '    class n_0 b',
+        '    class ok op',
+        '',
+    ].join('\n'));
+});
+
+test('toMermaid', () => {
+    const graph = new GraphLibrary(createContainer(), { direction: 'BT' });
+    graph.addCluster({ id: 'outer', label: 'Outer "1"' });
+    graph.addCluster({ id: 'inner', label: 'Inner', parent: 'outer', styleClass: 'hot', collapsed: true });
+    graph.addNode({ id: 'a', label: 'A', parent: 'inner', styleClass: 'op', arguments: { kernel: '3x3', graph: new grapher.Node() } });
+    graph.addNode({ id: 'b', parent: 'outer' });
+    graph.addEdge({ from: 'a', to: 'b', label: 'x & y', weight: 2, id: 'e1' });
+    graph.addEdge({ from: 'b', to: 'a', minlen: 2 });
+    assert.equal(graph.toMermaid(), [
+        'flowchart BT',
+        '    subgraph outer["Outer #quot;1#quot;"]',
+        '        subgraph inner["Inner"]',
+        '            a["A<br/>kernel: 3x3"]',
+        '        end',
+        '        b["b"]',
+        '    end',
+        '    a -->|"x & y"| b',
+        '    b ---> a',
+        '    class a op',
+        '    class inner hot',
+        '',
+    ].join('\n'));
+});
+
+test('toMermaid and fromMermaid round-trip', () => {
+    for (const direction of ['TB', 'BT', 'LR', 'RL']) {
+        const graph = new GraphLibrary(createContainer(), { direction });
+        graph.addCluster({ id: 'outer', label: 'Outer "1"' });
+        graph.addCluster({ id: 'inner', label: 'Inner', parent: 'outer', styleClass: 'hot' });
+        graph.addNode({ id: 'a', label: 'A <b> #1', parent: 'inner', styleClass: 'op' });
+        graph.addNode({ id: 'b', label: 'B', parent: 'outer' });
+        graph.addNode({ id: 'c', label: 'C' });
+        graph.addEdge({ from: 'a', to: 'b', label: 'x & y' });
+        graph.addEdge({ from: 'b', to: 'c', minlen: 3 });
+        const copy = GraphLibrary.fromMermaid(createContainer(), graph.toMermaid());
+        const json = copy.toJSON();
+        assert.equal(json.options.direction, direction);
+        assert.deepEqual(json.clusters, graph.toJSON().clusters);
+        assert.deepEqual(json.nodes, graph.toJSON().nodes);
+        assert.deepEqual(json.edges, graph.toJSON().edges);
+        assert.equal(copy.toMermaid(), graph.toMermaid());
+    }
+});
+
+test('render a subgraph entered from two ranks', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const graph = GraphLibrary.fromMermaid(createContainer(), [
+        'flowchart TD',
+        '    subgraph group',
+        '        c --> d',
+        '    end',
+        '    a --> c',
+        '    b --> d',
+        '    a --> b',
+    ].join('\n'));
+    await graph.render();
+    assert.equal(error.mock.callCount(), 0);
+    const nodes = Object.fromEntries(['a', 'b', 'c', 'd'].map(id => [id, graph.grapherInstance.node(id).label]));
+    assert.ok(nodes.a.y < nodes.b.y && nodes.b.y < nodes.d.y);
+    assert.ok(nodes.a.y < nodes.c.y && nodes.c.y < nodes.d.y);
+    assert.equal(graph.grapherInstance.edges.size, 4);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import * as grapher from '../src/grapher.js';
+import { computeLayout } from '../src/headless.js';
+import { GraphLibrary } from '../src/graph.js';
+
+const spec = (options, edges) => ({
+    options,
+    nodes: [
+        { id: 'a', arguments: { x: '1', y: '2', z: '3' } },
+        { id: 'b', arguments: { p: '1', q: '2' } },
+        { id: 'c' },
+    ],
+    edges,
+});
+
+const inside = (box, point) => Math.abs(point.y - box.y) < box.height / 2;
+
+for (const edgeRouting of ['spline', 'polyline', 'orthogonal', 'straight']) {
+    for (const direction of ['TB', 'LR', 'RL']) {
+        test(`ports with ${edgeRouting} routing ${direction}`, async () => {
+            const { nodes, edges } = await computeLayout(spec({ edgeRouting, direction }, [
+                { from: 'a', to: 'b', fromPort: 'y', toPort: 'q' },
+                { from: 'a', to: 'b', fromPort: 'z', toPort: 'p' },
+            ]));
+            // Edges leave the right side of the row and enter the left side, mirrored right to left
+            const side = direction === 'RL' ? -1 : 1;
+            const { a, b } = nodes;
+            const y = edges['a->b'].points;
+            const z = edges['a->b#1'].points;
+            for (const points of [y, z]) {
+                const start = points[0];
+                const end = points[points.length - 1];
+                assert.ok(Math.abs(start.x - (a.x + side * a.width / 2)) < 1e-6);
+                assert.ok(Math.abs(end.x - (b.x - side * b.width / 2)) < 1e-6);
+                assert.ok(inside(a, start) && inside(b, end));
+            }
+            // Rows are in the order of the arguments
+            assert.ok(y[0].y < z[0].y);
+            assert.ok(z[z.length - 1].y < y[y.length - 1].y);
+        });
+    }
+}
+
+test('edges without ports end at the node border', async () => {
+    const { nodes, edges } = await computeLayout(spec({}, [{ from: 'a', to: 'c', fromPort: 'x' }]));
+    const points = edges['a->c'].points;
+    const end = points[points.length - 1];
+    assert.ok(Math.abs(points[0].x - (nodes.a.x + nodes.a.width / 2)) < 1e-6);
+    assert.ok(Math.abs(end.y - (nodes.c.y - nodes.c.height / 2)) < 1e-6);
+});
+
+test('ports order the nodes they lead to', async () => {
+    const { nodes } = await computeLayout({
+        options: { direction: 'LR' },
+        nodes: [{ id: 'split', arguments: { first: '1', second: '2', third: '3' } }, { id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        edges: [
+            { from: 'split', to: 'n3', fromPort: 'third' },
+            { from: 'split', to: 'n1', fromPort: 'first' },
+            { from: 'split', to: 'n2', fromPort: 'second' },
+        ],
+    });
+    assert.ok(nodes.n1.y < nodes.n2.y && nodes.n2.y < nodes.n3.y);
+});
+
+test('unknown ports are ignored with a warning', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { nodes, edges } = await computeLayout(spec({}, [{ from: 'a', to: 'c', fromPort: 'w' }]));
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring port 'w' of edge from 'a' to 'c': 'a' has no argument 'w'/);
+    const start = edges['a->c'].points[0];
+    assert.ok(Math.abs(start.y - (nodes.a.y + nodes.a.height / 2)) < 1e-6);
+});
+
+test('ports are dropped at collapsed clusters', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { nodes, edges } = await computeLayout({
+        clusters: [{ id: 'group', collapsed: true }],
+        nodes: [{ id: 'a', arguments: { x: '1' } }, { id: 'b', parent: 'group', arguments: { y: '1' } }],
+        edges: [{ from: 'a', to: 'b', fromPort: 'x', toPort: 'y' }],
+    });
+    assert.equal(warn.mock.callCount(), 0);
+    const points = edges['a->group'].points;
+    assert.ok(Math.abs(points[0].x - (nodes.a.x + nodes.a.width / 2)) < 1e-6);
+    const end = points[points.length - 1];
+    assert.ok(Math.abs(end.y - (nodes.group.y - nodes.group.height / 2)) < 1e-6);
+});
+
+test('rendered edges attach to argument rows', async (t) => {
+    const graph = new GraphLibrary(createContainer(), { direction: 'LR' });
+    graph.addNode({ id: 'a', label: 'A', arguments: { x: '1', y: '2', z: '3' } });
+    graph.addNode({ id: 'b', label: 'B' });
+    graph.addEdge({ from: 'a', to: 'b', id: 'e', fromPort: 'z' });
+    await graph.render();
+    const start = () => graph.grapherInstance.edge('a', 'b', 'e').label.points[0];
+    const a = graph.grapherInstance.node('a').label;
+    assert.equal(start().x, a.x + a.width / 2);
+    const z = start().y;
+    assert.ok(inside(a, start()));
+
+    // Moving the port or its argument row lays the graph out again
+    const layoutCalls = t.mock.method(grapher.Graph.prototype, 'layout');
+    graph.updateEdge('e', { fromPort: 'x' });
+    await graph.render();
+    assert.equal(layoutCalls.mock.callCount(), 1);
+    assert.ok(start().y < z);
+    const x = start().y;
+    // Reordered rows keep the size of the node
+    graph.updateNode('a', { arguments: { z: '3', y: '2', x: '1' } });
+    await graph.render();
+    assert.equal(layoutCalls.mock.callCount(), 2);
+    assert.ok(start().y > x);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { computeLayout } from '../src/headless.js';
+import { GraphLibrary } from '../src/graph.js';
+
+const chain = (rankConstraints, options = {}) => computeLayout({
+    options,
+    nodes: ['a', 'b', 'c', 'd', 'e'].map(id => ({ id })),
+    edges: [{ from: 'a', to: 'b' }, { from: 'b', to: 'c' }, { from: 'c', to: 'd' }, { from: 'a', to: 'e' }],
+    rankConstraints,
+});
+
+test('rank same', async () => {
+    const { nodes, edges } = await chain([{ type: 'same', nodes: ['c', 'e'] }]);
+    assert.equal(nodes.c.y, nodes.e.y);
+    assert.ok(nodes.b.y < nodes.c.y);
+    assert.equal(Object.keys(edges).length, 4);
+});
+
+test('rank same across the direction', async () => {
+    const { nodes } = await chain([{ type: 'same', nodes: ['b', 'd'] }], { direction: 'LR' });
+    assert.equal(nodes.b.x, nodes.d.x);
+});
+
+test('rank min and max', async () => {
+    const { nodes } = await chain([{ type: 'min', nodes: ['d'] }, { type: 'max', nodes: ['b'] }]);
+    const ys = Object.values(nodes).map(box => box.y);
+    assert.equal(nodes.d.y, Math.min(...ys));
+    assert.equal(nodes.b.y, Math.max(...ys));
+});
+
+test('rank constraints apply to dagre only', async () => {
+    const { nodes } = await chain([{ type: 'same', nodes: ['a', 'd'] }], { layout: 'tree' });
+    assert.notEqual(nodes.a.y, nodes.d.y);
+});
+
+test('rank constraints ignore nodes hidden in collapsed clusters', async () => {
+    const { nodes } = await computeLayout({
+        clusters: [{ id: 'group', collapsed: true }],
+        nodes: [{ id: 'a' }, { id: 'b', parent: 'group' }, { id: 'c' }],
+        edges: [{ from: 'a', to: 'b' }, { from: 'b', to: 'c' }],
+        rankConstraints: [{ type: 'same', nodes: ['a', 'b', 'c'] }],
+    });
+    assert.deepEqual(Object.keys(nodes).sort(), ['a', 'c', 'group']);
+    assert.equal(nodes.a.y, nodes.c.y);
+});
+
+test('addRankConstraint', async () => {
+    const graph = new GraphLibrary(createContainer());
+    ['a', 'b', 'c', 'd'].forEach(id => graph.addNode({ id, label: id }));
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    graph.addEdge({ from: 'a', to: 'd' });
+    graph.addRankConstraint({ type: 'same', nodes: ['c', 'd'] });
+    await graph.render();
+    const y = (id) => graph.grapherInstance.node(id).label.y;
+    assert.equal(y('c'), y('d'));
+    assert.ok(y('b') < y('c'));
+
+    // Constraints are saved with the graph and lose the nodes that are removed
+    const json = graph.toJSON();
+    assert.deepEqual(json.rankConstraints, [{ type: 'same', nodes: ['c', 'd'] }]);
+    assert.deepEqual(GraphLibrary.fromJSON(createContainer(), json).toJSON(), json);
+    graph.removeNode('c');
+    assert.deepEqual(graph.toJSON().rankConstraints, [{ type: 'same', nodes: ['d'] }]);
+    graph.removeNode('d');
+    assert.equal(graph.toJSON().rankConstraints, undefined);
+    assert.throws(() => graph.addRankConstraint({ type: 'max', nodes: [] }), /must be a non-empty array of node IDs/);
+});
+
+test('invalid rank constraints', async () => {
+    await assert.rejects(chain([{ type: 'top', nodes: ['a'] }]), /Invalid rank constraint type 'top'/);
+    await assert.rejects(chain([{ type: 'same', nodes: [] }]), /must be a non-empty array of node IDs/);
+    await assert.rejects(chain([{ type: 'same', nodes: 'a' }]), /must be a non-empty array of node IDs/);
+    await assert.rejects(chain([{ type: 'same', nodes: ['a', 'b'] }, { type: 'max', nodes: ['b'] }]), /Node 'b' already has a rank constraint/);
+});
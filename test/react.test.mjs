@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { transformAsync } from '@babel/core';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+import React, { act } from 'react';
+
+// Node.js 20 has no navigator, which react-dom reads when it is loaded
+globalThis.navigator ??= window.navigator;
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+const { createRoot } = await import('react-dom/client');
+
+// Graph.jsx imports the library from './source' and its styles as the bundler sees them,
+// so compile it with the build's Babel preset and point it at src/ without the styles
+const loadComponent = async () => {
+    const require = createRequire(import.meta.url);
+    const source = await readFile(new URL('../react-graph-js/Graph.jsx', import.meta.url), 'utf8');
+    const { code } = await transformAsync(source, { presets: ['@babel/preset-react'], babelrc: false, configFile: false });
+    const module = code
+        .replace(/^import '\.\/source\/css\/.*$/gm, '')
+        .replace(/from '\.\/source\/graph'/, `from '${new URL('../src/graph.js', import.meta.url).href}'`)
+        .replace(/from 'react'/, `from '${pathToFileURL(require.resolve('react')).href}'`);
+    return (await import(`data:text/javascript,${encodeURIComponent(module)}`)).default;
+};
+
+const Graph = await loadComponent();
+
+const nodes = [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }];
+const edges = [{ from: 'a', to: 'b' }];
+
+// Mounts the component, waitForRender() resolves once the effect has rendered the graph
+const mount = (t, props) => {
+    const rendered = [];
+    t.mock.method(console, 'log', (...args) => rendered.push(args));
+    const container = createContainer();
+    const root = createRoot(container);
+    const ref = React.createRef();
+    // The effect starts the render of the graph without waiting for it
+    act(() => {
+        root.render(React.createElement(Graph, { ref, nodes, edges, ...props }));
+    });
+    t.after(() => act(() => root.unmount()));
+    const waitForRender = async (count = 1) => {
+        while (rendered.length < count) {
+            await act(() => new Promise(resolve => setTimeout(resolve, 5)));
+        }
+    };
+    return { container, root, ref, rendered, waitForRender };
+};
+
+test('saveSvg logs an error until the graph is rendered', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const downloads = [];
+    t.mock.method(URL, 'createObjectURL', () => 'blob:graph');
+    t.mock.method(URL, 'revokeObjectURL', () => {});
+    t.mock.method(window.HTMLAnchorElement.prototype, 'click', function () {
+        downloads.push(this.download);
+    });
+
+    // A graph that has not been rendered has no SVG to save
+    const render = t.mock.method(GraphLibrary.prototype, 'render', async () => {});
+    const unrendered = mount(t, {});
+    assert.equal(render.mock.callCount(), 1);
+    unrendered.ref.current.saveSvg('early.svg');
+    assert.deepEqual(error.mock.calls[0].arguments, ['Cannot save SVG:', 'SVG element not found. Please render the graph first.']);
+    assert.deepEqual(downloads, []);
+    render.mock.restore();
+
+    const { container, ref, waitForRender } = mount(t, {});
+    await waitForRender();
+    assert.deepEqual(Array.from(container.querySelectorAll('#nodes > .node'), element => element.id).sort(), ['a', 'b']);
+    ref.current.saveSvg('model.svg');
+    assert.deepEqual(downloads, ['model.svg']);
+    assert.equal(error.mock.callCount(), 1);
+});
+
+test('useWorker computes the layout in a Web Worker', async (t) => {
+    const render = t.mock.method(GraphLibrary.prototype, 'render');
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { container, waitForRender } = mount(t, { useWorker: true });
+    assert.equal(render.mock.calls[0].arguments[0].useWorker, true);
+    assert.ok(render.mock.calls[0].arguments[0].signal instanceof AbortSignal);
+    await waitForRender();
+    // Node.js has no Web Workers, so the layout falls back to the main thread
+    assert.match(warn.mock.calls[0].arguments[0], /Web Workers are not available/);
+    assert.equal(container.querySelectorAll('#nodes > .node').length, 2);
+
+    const plain = mount(t, {});
+    assert.equal(render.mock.calls[1].arguments[0].useWorker, false);
+    await plain.waitForRender();
+    assert.equal(warn.mock.callCount(), 1);
+});
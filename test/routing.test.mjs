@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { computeLayout } from '../src/headless.js';
+import { GraphLibrary } from '../src/graph.js';
+
+const spec = (options, edgeOpts = {}) => ({
+    options,
+    nodes: ['a', 'b', 'c', 'd', 'e'].map(id => ({ id })),
+    edges: [
+        { from: 'a', to: 'b' },
+        { from: 'b', to: 'c' },
+        { from: 'a', to: 'c', ...edgeOpts },
+        { from: 'a', to: 'd' },
+        { from: 'd', to: 'e' },
+        { from: 'c', to: 'e' },
+    ],
+});
+
+const onBorder = (box, point) => {
+    const dx = Math.abs(point.x - box.x) - box.width / 2;
+    const dy = Math.abs(point.y - box.y) - box.height / 2;
+    return (Math.abs(dx) < 1e-6 && dy <= 1e-6) || (Math.abs(dy) < 1e-6 && dx <= 1e-6);
+};
+
+// Whether an axis-aligned segment passes through the inside of a box
+const crosses = (a, b, box) => Math.min(a.x, b.x) < box.x + box.width / 2 - 1e-6 && Math.max(a.x, b.x) > box.x - box.width / 2 + 1e-6 &&
+    Math.min(a.y, b.y) < box.y + box.height / 2 - 1e-6 && Math.max(a.y, b.y) > box.y - box.height / 2 + 1e-6;
+
+for (const direction of ['TB', 'BT', 'LR', 'RL']) {
+    test(`orthogonal routing ${direction}`, async () => {
+        const { nodes, edges } = await computeLayout(spec({ edgeRouting: 'orthogonal', direction }));
+        for (const [id, edge] of Object.entries(edges)) {
+            const points = edge.points;
+            assert.ok(onBorder(nodes[edge.from], points[0]), `${id} starts off its node`);
+            assert.ok(onBorder(nodes[edge.to], points[points.length - 1]), `${id} ends off its node`);
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                assert.ok(Math.abs(a.x - b.x) < 1e-6 || Math.abs(a.y - b.y) < 1e-6, `${id} has a diagonal segment`);
+                for (const [other, box] of Object.entries(nodes)) {
+                    if (other !== edge.from && other !== edge.to) {
+                        assert.ok(!crosses(a, b, box), `${id} crosses ${other}`);
+                    }
+                }
+            }
+        }
+    });
+}
+
+test('straight routing', async () => {
+    const { nodes, edges } = await computeLayout(spec({ edgeRouting: 'straight' }));
+    for (const [id, edge] of Object.entries(edges)) {
+        const [start, middle, end] = edge.points;
+        assert.equal(edge.points.length, 3, id);
+        assert.ok(onBorder(nodes[edge.from], start), id);
+        assert.ok(onBorder(nodes[edge.to], end), id);
+        assert.ok(Math.abs(middle.x - (start.x + end.x) / 2) < 1e-6 && Math.abs(middle.y - (start.y + end.y) / 2) < 1e-6, id);
+    }
+});
+
+test('polyline routing keeps the points of the layout', async () => {
+    const spline = await computeLayout(spec({}));
+    const polyline = await computeLayout(spec({ edgeRouting: 'polyline' }));
+    assert.deepEqual(polyline.edges, spline.edges);
+});
+
+test('edge routing overrides the graph option', async () => {
+    const { edges } = await computeLayout(spec({ edgeRouting: 'orthogonal' }, { routing: 'straight' }));
+    assert.equal(edges['a->c'].points.length, 3);
+});
+
+test('invalid edge routing', async (t) => {
+    await assert.rejects(computeLayout(spec({ edgeRouting: 'curved' })), /Invalid edgeRouting 'curved'/);
+    const warn = t.mock.method(console, 'warn', () => {});
+    const straight = await computeLayout(spec({}, { routing: 'curved' }));
+    const spline = await computeLayout(spec({}));
+    assert.deepEqual(straight.edges['a->c'], spline.edges['a->c']);
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring routing 'curved' of edge from 'a' to 'c'/);
+});
+
+test('self-loops', async () => {
+    for (const edgeRouting of ['spline', 'polyline', 'orthogonal', 'straight']) {
+        const { edges } = await computeLayout({ options: { edgeRouting }, nodes: [{ id: 'a' }], edges: [{ from: 'a', to: 'a' }] });
+        const points = edges['a->a'].points;
+        assert.ok(points.length >= 3, edgeRouting);
+        if (edgeRouting === 'orthogonal') {
+            for (let i = 1; i < points.length; i++) {
+                assert.ok(points[i].x === points[i - 1].x || points[i].y === points[i - 1].y);
+            }
+        }
+    }
+});
+
+test('rendered edges follow their routing', async () => {
+    const graph = new GraphLibrary(createContainer(), { edgeRouting: 'straight' });
+    ['a', 'b', 'c'].forEach(id => graph.addNode({ id, label: id.toUpperCase() }));
+    graph.addEdge({ from: 'a', to: 'b', id: 'ab' });
+    graph.addEdge({ from: 'a', to: 'c', id: 'ac' });
+    await graph.render();
+    const points = (id) => graph.grapherInstance.edge('a', id[1], id).label.points;
+    const straight = (edgePoints) => {
+        const [start, middle, end] = edgePoints;
+        return edgePoints.length === 3 && Math.abs(middle.x - (start.x + end.x) / 2) < 1e-6 && Math.abs(middle.y - (start.y + end.y) / 2) < 1e-6;
+    };
+    assert.ok(straight(points('ab')));
+    const d = graph.container.querySelector('#edge-paths > .edge-path').getAttribute('d');
+
+    // Changing the routing of an edge computes the layout again
+    graph.updateEdge('ab', { routing: 'orthogonal' });
+    await graph.render();
+    const ab = points('ab');
+    for (let i = 1; i < ab.length; i++) {
+        assert.ok(Math.abs(ab[i].x - ab[i - 1].x) < 1e-6 || Math.abs(ab[i].y - ab[i - 1].y) < 1e-6);
+    }
+    assert.notEqual(graph.container.querySelector('#edge-paths > .edge-path').getAttribute('d'), d);
+    assert.ok(straight(points('ac')));
+    assert.throws(() => new GraphLibrary(createContainer(), { edgeRouting: 'curved' }), /Invalid edgeRouting 'curved'/);
+});
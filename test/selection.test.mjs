@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+
+const createGraph = (options) => {
+    const graph = new GraphLibrary(createContainer(), options);
+    graph.addCluster({ id: 'group', label: 'Group' });
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B' });
+    graph.addNode({ id: 'c', label: 'C', parent: 'group' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    graph.addEdge({ from: 'a', to: 'b', label: 'second' });
+    graph.addEdge({ from: 'b', to: 'c', id: 'bc' });
+    return graph;
+};
+
+const click = (element, init = {}) => {
+    element.dispatchEvent(new window.MouseEvent('click', { bubbles: true, ...init }));
+};
+
+const selected = (graph) => Array.from(graph.container.querySelectorAll('.node.select, .cluster.select'), element => element.id || element.getAttribute('class')).sort();
+
+// Drags a box around the given nodes, in client coordinates
+const dragBox = (graph, ids, init = {}) => {
+    const view = graph.getViewport() || { x: 0, y: 0, scale: 1 };
+    const [minX, minY] = (graph.container.querySelector('svg').getAttribute('viewBox') || '0 0').split(' ').map(Number);
+    const offset = graph.getViewport() ? { x: view.x, y: view.y } : { x: -minX, y: -minY };
+    const boxes = ids.map(id => graph.grapherInstance.node(id).label);
+    const left = Math.min(...boxes.map(node => node.x - node.width / 2)) - 2;
+    const top = Math.min(...boxes.map(node => node.y - node.height / 2)) - 2;
+    const right = Math.max(...boxes.map(node => node.x + node.width / 2)) + 2;
+    const bottom = Math.max(...boxes.map(node => node.y + node.height / 2)) + 2;
+    const svg = graph.container.querySelector('svg');
+    const pointer = (type, x, y) => {
+        svg.dispatchEvent(new PointerEvent(type, { bubbles: true, button: 0, clientX: x * view.scale + offset.x, clientY: y * view.scale + offset.y, ...init }));
+    };
+    pointer('pointerdown', left, top);
+    pointer('pointermove', right, bottom);
+    pointer('pointerup', right, bottom);
+    click(svg, init);
+};
+
+test('clicks select nodes and edges', async () => {
+    const graph = createGraph();
+    await graph.render();
+    const changes = [];
+    graph.on('selection:change', (selection) => changes.push(selection));
+
+    click(graph.container.querySelector('#a .node-label'));
+    assert.deepEqual(graph.getSelection(), { nodes: ['a'], edges: [] });
+    assert.deepEqual(selected(graph), ['a']);
+    click(graph.container.querySelector('#b .node-label'));
+    assert.deepEqual(graph.getSelection(), { nodes: ['b'], edges: [] });
+
+    // Modifier keys toggle elements within the selection
+    click(graph.container.querySelector('#a .node-label'), { ctrlKey: true });
+    assert.deepEqual(graph.getSelection(), { nodes: ['b', 'a'], edges: [] });
+    click(graph.container.querySelector('#b .node-label'), { metaKey: true });
+    assert.deepEqual(graph.getSelection(), { nodes: ['a'], edges: [] });
+    const hitTests = graph.container.querySelectorAll('#edge-paths-hit-test > path');
+    hitTests.forEach(element => click(element, { shiftKey: true }));
+    assert.deepEqual(graph.getSelection(), { nodes: ['a'], edges: ['a->b', 'a->b#1', 'bc'] });
+    assert.equal(graph.container.querySelectorAll('.edge-path.select').length, 3);
+
+    // Clicking the canvas clears the selection
+    click(graph.container.querySelector('svg'));
+    assert.deepEqual(graph.getSelection(), { nodes: [], edges: [] });
+    assert.deepEqual(selected(graph), []);
+    assert.equal(changes.length, 8);
+    assert.deepEqual(changes[7], { nodes: [], edges: [] });
+});
+
+test('setSelection and focusNode', async () => {
+    const graph = createGraph();
+    graph.setSelection({ nodes: ['a', 'group', 'x'], edges: ['a->b#1'] });
+    await graph.render();
+    assert.deepEqual(graph.getSelection(), { nodes: ['a', 'group'], edges: ['a->b#1'] });
+    assert.deepEqual(selected(graph), ['a', 'cluster select']);
+    assert.equal(graph.container.querySelectorAll('.edge-path.select').length, 1);
+
+    // Selected elements stay selected when rebuilt and are dropped when removed
+    graph.updateNode('a', { label: 'Alpha' });
+    graph.removeCluster('group');
+    await graph.render();
+    assert.deepEqual(graph.getSelection(), { nodes: ['a'], edges: ['a->b#1'] });
+    assert.ok(graph.container.querySelector('#a').classList.contains('select'));
+
+    await graph.focusNode('b', { animate: false });
+    assert.deepEqual(graph.getSelection(), { nodes: ['b'], edges: [] });
+    graph.clearSelection();
+    assert.deepEqual(selected(graph), []);
+});
+
+test('box selection', async () => {
+    const graph = createGraph();
+    await graph.render();
+    const view = graph.getViewport();
+
+    // A plain drag pans
+    dragBox(graph, ['a', 'b']);
+    assert.deepEqual(graph.getSelection(), { nodes: [], edges: [] });
+    assert.notDeepEqual(graph.getViewport(), view);
+
+    // Shift+drag selects the nodes in the box and the edges between them
+    dragBox(graph, ['a', 'b'], { shiftKey: true });
+    assert.deepEqual(graph.getSelection(), { nodes: ['a', 'b'], edges: ['a->b', 'a->b#1'] });
+    assert.equal(graph.container.querySelector('.selection-box'), null);
+
+    // Clusters are selected when they lie completely inside the box, Ctrl adds to the selection
+    dragBox(graph, ['c'], { shiftKey: true, ctrlKey: true });
+    assert.deepEqual(graph.getSelection(), { nodes: ['a', 'b', 'c'], edges: ['a->b', 'a->b#1'] });
+    dragBox(graph, ['group', 'b'], { shiftKey: true });
+    assert.deepEqual(graph.getSelection().nodes.sort(), ['b', 'c', 'group']);
+    assert.deepEqual(graph.getSelection().edges, ['bc']);
+});
+
+test('box selection without panZoom', async () => {
+    const graph = createGraph({ panZoom: false });
+    await graph.render();
+    dragBox(graph, ['a']);
+    assert.deepEqual(graph.getSelection(), { nodes: ['a'], edges: [] });
+    // Without panZoom, Shift adds to the selection like Ctrl
+    dragBox(graph, ['b'], { shiftKey: true });
+    assert.deepEqual(graph.getSelection(), { nodes: ['a', 'b'], edges: [] });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.mjs';
+import { collectCss } from '../src/styles.js';
+
+const createSheets = (t, css) => {
+    const style = document.createElement('style');
+    style.textContent = css;
+    document.head.appendChild(style);
+    t.after(() => style.remove());
+    return [style.sheet];
+};
+
+const createRoot = () => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = '<g class="node"><g class="node-label"><text>A</text></g></g>';
+    return svg;
+};
+
+test('collectCss keeps the rules used by the element', (t) => {
+    const sheets = createSheets(t, `:root { --accent: red; }
+.node:hover, .node-label text { fill: var(--accent); font-family: Brand; animation: pulse 1s; }
+.unused, p { color: blue; }
+.node::before { content: 'x'; }
+button:hover { color: green; }
+@media print { .node { stroke: black; } .unused { stroke: none; } }
+@media screen { .unused { stroke: none; } }
+@font-face { font-family: "Brand"; src: url(brand.woff2); }
+@font-face { font-family: "Other"; src: url(other.woff2); }
+@keyframes pulse { from { opacity: 0; } to { opacity: 1; } }
+@keyframes fade { from { opacity: 0; } to { opacity: 1; } }
+[data-x="a,b"], .node:not(:hover) { fill: green; }`);
+    const lines = collectCss(sheets, createRoot()).split('\n');
+    assert.deepEqual(lines.filter(line => !line.startsWith(' ')), [
+        ':root {--accent: red;}',
+        '.node:hover, .node-label text {fill: var(--accent); font-family: Brand; animation: pulse 1s;}',
+        `.node::before {content: 'x';}`,
+        '@media print {',
+        '}',
+        '@font-face {font-family: "Brand"; src: url(brand.woff2);}',
+        '@keyframes pulse { ',
+        '}',
+        '',
+    ]);
+    // Grouping rules keep only the rules that apply
+    assert.ok(lines.includes('  .node {stroke: black;}'));
+    assert.ok(!lines.some(line => line.includes('.unused')));
+
+    // Without an element, every rule is kept
+    const all = collectCss(sheets);
+    assert.match(all, /^\.unused, p \{color: blue;\}$/m);
+    assert.match(all, /^@media screen \{\.unused \{stroke: none;\}\}$/m);
+    assert.match(all, /^@font-face \{font-family: "Other"; src: url\(other\.woff2\);\}$/m);
+    assert.match(all, /^@keyframes fade /m);
+});
+
+test('collectCss skips cross-origin stylesheets', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const crossOrigin = {
+        get cssRules() {
+            throw new Error('SecurityError');
+        },
+    };
+    const sheets = [crossOrigin, ...createSheets(t, '.node { fill: red; }')];
+    assert.equal(collectCss(sheets, createRoot()), '.node {fill: red;}\n');
+    assert.equal(collectCss(sheets), '.node {fill: red;}\n');
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot read cross-origin stylesheet/);
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+
+const createGraph = (options) => {
+    const graph = new GraphLibrary(createContainer(800, 600), options);
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B' });
+    graph.addEdge({ from: 'a', to: 'b' });
+    return graph;
+};
+
+// jsdom does not lay out the graph, so give the viewport group fixed bounds
+const mockBounds = (t, bounds) => {
+    const getBBox = window.SVGElement.prototype.getBBox;
+    t.mock.method(window.SVGElement.prototype, 'getBBox', function () {
+        return this.getAttribute('class') === 'viewport' ? bounds : getBBox.call(this);
+    });
+};
+
+const pointer = (element, type, clientX, clientY, pointerId = 1) => {
+    element.dispatchEvent(new PointerEvent(type, { bubbles: true, clientX, clientY, pointerId, button: 0 }));
+};
+
+test('the first render shows the top-left corner at 100%', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 1600, height: 900 });
+    const graph = createGraph();
+    const changes = [];
+    graph.on('viewport:change', (transform) => changes.push(transform));
+    assert.equal(graph.getViewport(), null);
+    await graph.render();
+    const svg = graph.container.querySelector('svg');
+    assert.equal(svg.getAttribute('width'), '100%');
+    assert.equal(svg.getAttribute('height'), '100%');
+    assert.deepEqual(graph.getViewport(), { x: 20, y: 20, scale: 1 });
+    assert.deepEqual(changes, [{ x: 20, y: 20, scale: 1 }]);
+    assert.equal(svg.querySelector('g.viewport').getAttribute('transform'), 'translate(20,20) scale(1)');
+
+    // Later renders keep the view
+    graph.zoomTo(2);
+    graph.addNode({ id: 'c', label: 'C' });
+    await graph.render();
+    assert.equal(graph.getViewport().scale, 2);
+    graph.resetView();
+    assert.deepEqual(graph.getViewport(), { x: 20, y: 20, scale: 1 });
+});
+
+test('zoomTo, panTo and fitToContainer', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 1600, height: 900 });
+    const graph = createGraph({ maxZoom: 3 });
+    await graph.render();
+
+    // The point at the center stays in place
+    graph.zoomTo(2);
+    assert.deepEqual(graph.getViewport(), { x: -360, y: -260, scale: 2 });
+    graph.zoomTo(0.5, { x: 0, y: 0 });
+    assert.deepEqual(graph.getViewport(), { x: -360, y: -260, scale: 0.5 });
+    graph.zoomTo(10);
+    assert.equal(graph.getViewport().scale, 3);
+
+    graph.panTo(100, 50);
+    assert.deepEqual(graph.getViewport(), { x: 100, y: 150, scale: 3 });
+
+    graph.fitToContainer();
+    assert.deepEqual(graph.getViewport(), { x: 20, y: 86.25, scale: 0.475 });
+});
+
+test('fitToContainer does not enlarge small graphs', async (t) => {
+    mockBounds(t, { x: 10, y: 10, width: 100, height: 100 });
+    const graph = createGraph();
+    await graph.render();
+    graph.fitToContainer();
+    assert.deepEqual(graph.getViewport(), { x: 340, y: 240, scale: 1 });
+});
+
+test('wheel, drag and pinch gestures', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 1600, height: 900 });
+    const graph = createGraph();
+    await graph.render();
+    const svg = graph.container.querySelector('svg');
+
+    // The graph point under the mouse stays in place
+    svg.dispatchEvent(new window.WheelEvent('wheel', { bubbles: true, cancelable: true, clientX: 100, clientY: 100, deltaY: -500 }));
+    assert.deepEqual(graph.getViewport(), { x: -60, y: -60, scale: 2 });
+
+    // Dragging the canvas pans
+    pointer(svg, 'pointerdown', 100, 100);
+    pointer(svg, 'pointermove', 150, 130);
+    pointer(svg, 'pointerup', 150, 130);
+    svg.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(graph.getViewport(), { x: -10, y: -30, scale: 2 });
+
+    // Small movements still click
+    const clicks = [];
+    graph.on('node:click', (id) => clicks.push(id));
+    const header = graph.container.querySelector('#a .node-label');
+    pointer(header, 'pointerdown', 100, 100);
+    pointer(header, 'pointermove', 101, 101);
+    pointer(header, 'pointerup', 101, 101);
+    header.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(graph.getViewport(), { x: -10, y: -30, scale: 2 });
+    assert.deepEqual(clicks, ['a']);
+
+    pointer(svg, 'pointerdown', 100, 100, 1);
+    pointer(svg, 'pointerdown', 200, 100, 2);
+    pointer(svg, 'pointermove', 300, 100, 2);
+    pointer(svg, 'pointerup', 300, 100, 2);
+    pointer(svg, 'pointerup', 100, 100, 1);
+    assert.equal(graph.getViewport().scale, 4);
+});
+
+test('panZoom disabled', async (t) => {
+    const graph = createGraph({ panZoom: false });
+    const warn = t.mock.method(console, 'warn', () => {});
+    graph.zoomTo(2);
+    await graph.render();
+    assert.equal(graph.container.querySelector('g.viewport'), null);
+    assert.notEqual(graph.container.querySelector('svg').getAttribute('width'), '100%');
+    assert.equal(graph.getViewport(), null);
+    graph.fitToContainer();
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot call zoomTo\(\): options.panZoom is disabled/);
+    assert.match(warn.mock.calls[1].arguments[0], /Cannot call fitToContainer\(\): options.panZoom is disabled/);
+
+    createGraph().panTo(0, 0);
+    assert.match(warn.mock.calls[2].arguments[0], /Cannot call panTo\(\): render the graph first/);
+    assert.throws(() => createGraph({ minZoom: 2, maxZoom: 1 }), /Invalid zoom limits 2-1. Expected 0 < minZoom <= maxZoom/);
+});
+
+const position = (graph, id) => {
+    const node = graph.grapherInstance.node(id).label;
+    return { x: node.x, y: node.y };
+};
+
+test('focusNode centers and selects a node', async (t) => {
+    mockBounds(t, { x: 0, y: 0, width: 1600, height: 900 });
+    const graph = createGraph();
+    await graph.render();
+    const focused = [];
+    graph.on('node:focus', (id) => focused.push(id));
+
+    assert.equal(await graph.focusNode('b', { zoom: 2, animate: false }), true);
+    const b = position(graph, 'b');
+    assert.deepEqual(graph.getViewport(), { x: 400 - b.x * 2, y: 300 - b.y * 2, scale: 2 });
+    assert.ok(graph.container.querySelector('#b').classList.contains('select'));
+
+    // Animations end at the node and keep the zoom level
+    assert.equal(await graph.focusNode('a'), true);
+    const a = position(graph, 'a');
+    assert.deepEqual(graph.getViewport(), { x: 400 - a.x * 2, y: 300 - a.y * 2, scale: 2 });
+    assert.ok(!graph.container.querySelector('#b').classList.contains('select'));
+    assert.deepEqual(focused, ['b', 'a']);
+
+    // A rebuilt node stays selected
+    graph.updateNode('a', { label: 'Alpha' });
+    await graph.render();
+    assert.ok(graph.container.querySelector('#a').classList.contains('select'));
+
+    // Other view changes stop an animation
+    const focus = graph.focusNode('b');
+    graph.zoomTo(1);
+    const view = graph.getViewport();
+    await focus;
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    assert.deepEqual(graph.getViewport(), view);
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(await graph.focusNode('c'), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Cannot focus node: no rendered node with ID 'c' exists/);
+});
+
+test('focusNode scrolls the container without panZoom', async () => {
+    const graph = createGraph({ panZoom: false });
+    await graph.render();
+    graph.container.scrollTo = (options) => {
+        graph.container.scrolledTo = options;
+    };
+    assert.equal(await graph.focusNode('b', { animate: false }), true);
+    const b = position(graph, 'b');
+    const viewBox = graph.container.querySelector('svg').getAttribute('viewBox').split(' ').map(Number);
+    assert.deepEqual(graph.container.scrolledTo, { left: b.x - viewBox[0] - 400, top: b.y - viewBox[1] - 300, behavior: 'auto' });
+});
@@ -0,0 +1,266 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer } from './dom.mjs';
+import { GraphLibrary } from '../src/graph.js';
+import { LayoutWorker } from '../src/layoutworker.js';
+
+// Node.js has no Web Workers, so run worker.js in a fake worker scope on the main thread
+const scope = new EventTarget();
+let activeWorker = null;
+scope.postMessage = (data) => activeWorker._receive(structuredClone(data));
+globalThis.self = scope;
+await import('../src/worker.js');
+
+const workers = [];
+let holdRequests = false;
+
+class FakeWorker {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.listeners = { message: [], error: [] };
+        this.requests = [];
+        this.terminated = false;
+        this.hold = holdRequests; // Keeps requests until release() is called, like a slow layout
+        workers.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(data) {
+        this.requests.push(structuredClone(data));
+        if (!this.hold) {
+            setTimeout(() => this.release(), 0);
+        }
+    }
+
+    release() {
+        const data = this.requests.shift();
+        if (!this.terminated && data) {
+            activeWorker = this;
+            scope.dispatchEvent(new MessageEvent('message', { data }));
+        }
+    }
+
+    fail(message) {
+        this.listeners.error.forEach(listener => listener({ message, preventDefault: () => {} }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    _receive(data) {
+        if (!this.terminated) {
+            this.listeners.message.forEach(listener => listener({ data }));
+        }
+    }
+}
+
+const useFakeWorker = (t) => {
+    workers.length = 0;
+    holdRequests = false;
+    globalThis.Worker = FakeWorker;
+    t.after(() => delete globalThis.Worker);
+};
+
+const createGraph = (options) => {
+    const graph = new GraphLibrary(createContainer(), options);
+    graph.addCluster({ id: 'group', label: 'Group' });
+    graph.addNode({ id: 'a', label: 'A' });
+    graph.addNode({ id: 'b', label: 'B', parent: 'group' });
+    graph.addNode({ id: 'c', label: 'C', parent: 'group' });
+    graph.addEdge({ from: 'a', to: 'b', label: 'x' });
+    graph.addEdge({ from: 'b', to: 'c' });
+    return graph;
+};
+
+const positions = (graph) => Object.fromEntries(['a', 'b', 'c', 'group'].map(id => {
+    const node = graph.grapherInstance.node(id).label;
+    return [id, { x: node.x, y: node.y }];
+}));
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('render with useWorker lays out the graph in a worker', async (t) => {
+    useFakeWorker(t);
+    const expected = createGraph();
+    await expected.render();
+
+    const graph = createGraph();
+    await graph.render({ useWorker: true });
+    assert.equal(workers.length, 1);
+    assert.equal(workers[0].options.type, 'module');
+    assert.match(String(workers[0].url), /\/src\/worker\.js$/);
+    assert.deepEqual(positions(graph), positions(expected));
+    assert.deepEqual(graph.grapherInstance.edge('a', 'b').label.points, expected.grapherInstance.edge('a', 'b').label.points);
+
+    // The worker is reused by later layouts and stopped by destroy()
+    graph.addNode({ id: 'd', label: 'D' });
+    await graph.render({ useWorker: true });
+    assert.equal(workers.length, 1);
+    graph.destroy();
+    assert.equal(workers[0].terminated, true);
+});
+
+test('layout engines run in the worker', async (t) => {
+    useFakeWorker(t);
+    const expected = createGraph({ layout: 'radial' });
+    await expected.render();
+    const graph = createGraph({ layout: 'radial' });
+    await graph.render({ useWorker: true });
+    assert.equal(workers[0].requests.length, 0);
+    assert.deepEqual(positions(graph), positions(expected));
+
+    // Functions cannot be sent to a worker, so custom engines run on the main thread
+    const engine = {
+        layout: (nodes, edges) => {
+            nodes.forEach(node => Object.assign(node, { x: node.v === 'b' ? 100 : 0, y: 0 }));
+            edges.forEach(edge => {
+                edge.points = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }];
+            });
+        }
+    };
+    const custom = createGraph({ layout: engine });
+    await custom.render({ useWorker: true });
+    assert.equal(workers.length, 1);
+    assert.equal(custom.grapherInstance.node('b').label.x, 100);
+});
+
+test('slow layouts can be cancelled', async (t) => {
+    useFakeWorker(t);
+    const graph = createGraph({ slowLayoutTimeout: 10 });
+    const events = [];
+    graph.on('layout:slow', (notification) => events.push(['slow', notification]));
+    graph.on('layout:end', (result) => events.push(['end', result]));
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    holdRequests = true;
+    const rendering = graph.render({ useWorker: true });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(events.length, 1);
+    assert.equal(events[0][0], 'slow');
+    assert.equal(events[0][1].message, 'This large graph layout might take a very long time to complete.');
+    events[0][1].cancel();
+    await rendering;
+    assert.deepEqual(events[1], ['end', { cancelled: true }]);
+    assert.equal(workers[0].terminated, true);
+    assert.match(warn.mock.calls[0].arguments[0], /Graph layout was cancelled/);
+    assert.equal(graph.grapherInstance.node('a').label.x, undefined);
+
+    // The next render starts a new worker and lays the graph out again
+    holdRequests = false;
+    await graph.render({ useWorker: true });
+    assert.equal(workers.length, 2);
+    assert.equal(typeof graph.grapherInstance.node('a').label.x, 'number');
+    assert.equal(events.length, 2);
+});
+
+test('render with an AbortSignal', async (t) => {
+    useFakeWorker(t);
+    const graph = createGraph();
+    const aborted = new AbortController();
+    aborted.abort();
+    await assert.rejects(graph.render({ signal: aborted.signal }), { name: 'AbortError' });
+    assert.equal(graph.container.querySelector('svg'), null);
+
+    // Aborting stops the layout in the worker, and the next render computes it again
+    holdRequests = true;
+    const controller = new AbortController();
+    const rendering = graph.render({ useWorker: true, signal: controller.signal });
+    await tick();
+    controller.abort(new Error('Closed'));
+    await assert.rejects(rendering, /Closed/);
+    assert.equal(workers[0].terminated, true);
+    assert.equal(graph.grapherInstance.node('a').label.x, undefined);
+    holdRequests = false;
+    await graph.render({ useWorker: true, signal: new AbortController().signal });
+    assert.equal(typeof graph.grapherInstance.node('a').label.x, 'number');
+});
+
+test('a newer render supersedes a pending one', async (t) => {
+    useFakeWorker(t);
+    const warn = t.mock.method(console, 'warn', () => {});
+    const graph = createGraph();
+    holdRequests = true;
+    const controller = new AbortController();
+    const first = graph.render({ useWorker: true, signal: controller.signal });
+    await tick();
+    graph.addNode({ id: 'd', label: 'D' });
+    const second = graph.render({ useWorker: true });
+    await tick();
+
+    // The first render resolves without updating the SVG or warning, and aborting it
+    // no longer cancels the layout of the second one
+    await first;
+    controller.abort();
+    assert.equal(workers[0].terminated, true);
+    assert.equal(workers[1].terminated, false);
+    workers[1].release();
+    await second;
+    assert.equal(warn.mock.callCount(), 0);
+    assert.equal(typeof graph.grapherInstance.node('d').label.x, 'number');
+    assert.ok(graph.container.querySelector('#d'));
+
+    // Renders in progress resolve without updating the SVG once the graph is destroyed
+    graph.addNode({ id: 'e', label: 'E' });
+    const third = graph.render({ useWorker: true });
+    await tick();
+    graph.destroy();
+    await third;
+    assert.equal(graph.grapherInstance.node('e').label.x, undefined);
+});
+
+test('LayoutWorker', async (t) => {
+    useFakeWorker(t);
+    const slow = [];
+    const ends = [];
+    const worker = new LayoutWorker({ url: 'layout.js', onSlow: (notification) => slow.push(notification), onEnd: (result) => ends.push(result) });
+    assert.equal(workers.length, 0);
+
+    // Unsupported requests are reported by the worker
+    await assert.rejects(worker.request({ type: 'unknown' }, 1000, 'Slow'), /Layout failed: Unsupported message type 'unknown'/);
+    assert.equal(workers[0].url, 'layout.js');
+
+    // A new request cancels the running one
+    holdRequests = true;
+    workers[0].hold = true;
+    const first = worker.request({ type: 'unknown' }, 0, 'First');
+    await tick();
+    assert.equal(slow.length, 1);
+    const second = worker.request({ type: 'unknown' }, 1000, 'Second');
+    assert.deepEqual(await first, { type: 'cancel' });
+    assert.deepEqual(ends, [{ cancelled: true }]);
+    assert.equal(workers[0].terminated, true);
+    assert.equal(workers.length, 2);
+
+    // A stale cancel function does not cancel the new request
+    slow[0].cancel();
+    assert.equal(workers[1].terminated, false);
+
+    // Scripts that fail to load reject the request and stop the worker
+    workers[1].fail('');
+    await assert.rejects(second, /Layout worker failed: cannot load 'layout.js'/);
+    assert.equal(workers[1].terminated, true);
+    assert.equal(ends.length, 1);
+
+    // The timeout option overrides the delay of the request
+    const timed = new LayoutWorker({ timeout: 0, onSlow: (notification) => slow.push(notification), onEnd: (result) => ends.push(result) });
+    const request = timed.request({ type: 'unknown' }, 1000, 'Timed');
+    await tick();
+    assert.equal(slow[1].message, 'Timed');
+    timed.terminate();
+    assert.deepEqual(await request, { type: 'cancel' });
+    assert.deepEqual(ends, [{ cancelled: true }, { cancelled: true }]);
+});
+
+test('render with useWorker without Web Workers', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const graph = createGraph();
+    await graph.render({ useWorker: true });
+    assert.equal(typeof graph.grapherInstance.node('a').label.x, 'number');
+    assert.match(warn.mock.calls[0].arguments[0], /Web Workers are not available. Computing the layout on the main thread/);
+    assert.throws(() => createGraph({ slowLayoutTimeout: -1 }), /Invalid slowLayoutTimeout '-1'. Expected a non-negative number/);
+});